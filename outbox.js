@@ -0,0 +1,258 @@
+/**
+ * @file Durable outbox for Rock Living Water PWA
+ * @description Single IndexedDB queue of offline form submissions, shared by the
+ * page (scripts.js) and the service worker (importScripts). Both sides read and
+ * write the same store, and only one of them drains it at a time.
+ */
+
+const Outbox = {
+  DB_NAME: 'RockLivingWaterOutbox',
+  DB_VERSION: 1,
+  STORE_NAME: 'outbox',
+  LOCK_NAME: 'rock-outbox-drain',
+  CHANNEL_NAME: 'rock-outbox',
+  SYNC_TAG: 'sync-form-submissions',
+  BASE_RETRY_DELAY: 30 * 1000,
+  MAX_RETRY_DELAY: 60 * 60 * 1000,
+
+  openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          // The auto-increment key doubles as the replay order
+          db.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to open outbox: ${request.error}`));
+    });
+  },
+
+  async run(mode, operation) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.STORE_NAME], mode);
+      const request = operation(transaction.objectStore(this.STORE_NAME));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(new Error(`Outbox transaction failed: ${transaction.error}`));
+      };
+    });
+  },
+
+  generateKey() {
+    if (self.crypto && self.crypto.randomUUID) return self.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  },
+
+  /**
+   * Adds a submission to the end of the outbox
+   * @param {Object} submission - { url, method, body, formId, idempotencyKey, replayHeaders, tempId }
+   * @return {Promise<Object>} The stored entry, including its id
+   */
+  async add({ url, method = 'POST', body = {}, formId, idempotencyKey, replayHeaders = null, tempId = null }) {
+    const entry = {
+      url,
+      method,
+      body,
+      formId,
+      idempotencyKey: idempotencyKey || this.generateKey(),
+      replayHeaders,
+      tempId,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null
+    };
+    entry.id = await this.run('readwrite', store => store.add(entry));
+    this.notify();
+    return entry;
+  },
+
+  async getAll() {
+    const entries = await this.run('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.id - b.id);
+  },
+
+  async get(id) {
+    return this.run('readonly', store => store.get(id));
+  },
+
+  async update(entry) {
+    await this.run('readwrite', store => store.put(entry));
+    this.notify();
+  },
+
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id));
+    this.notify();
+  },
+
+  /**
+   * Reads the ID the server assigned to a created record
+   * @param {Object} result - Response from send()
+   * @return {string|null} The server ID, if the response carries one
+   */
+  serverId(result) {
+    if (!result) return null;
+    return result.id ?? (result.data && (result.data['ID'] ?? result.data.id)) ?? null;
+  },
+
+  /**
+   * Once a record created offline gets its server ID, points every later entry that
+   * still refers to its temporary ID (a sale for a new customer, an edit of a new sale)
+   * at the real one
+   */
+  async replaceTempId(tempId, serverId) {
+    const entries = await this.getAll();
+    for (const entry of entries) {
+      const url = entry.url.split(tempId).join(serverId);
+      const body = JSON.parse(JSON.stringify(entry.body).split(JSON.stringify(tempId)).join(JSON.stringify(String(serverId))));
+      if (url !== entry.url || JSON.stringify(body) !== JSON.stringify(entry.body)) {
+        await this.update({ ...entry, url, body });
+      }
+    }
+  },
+
+  /**
+   * Checks whether an entry refers to any of the given temporary IDs
+   * @param {Object} entry - Outbox entry
+   * @param {Set<string>} tempIds - Temporary IDs of records that were never created
+   * @return {boolean} True if the entry's route or body names one of them
+   */
+  referencesAny(entry, tempIds) {
+    if (!tempIds.size) return false;
+    const text = `${entry.url} ${JSON.stringify(entry.body)}`;
+    return Array.from(tempIds).some(tempId => text.includes(tempId));
+  },
+
+  /**
+   * Tells every open page and the service worker that the outbox changed
+   */
+  notify() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const channel = new BroadcastChannel(this.CHANNEL_NAME);
+    channel.postMessage({ type: 'outbox-changed' });
+    channel.close();
+  },
+
+  subscribe(callback) {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const channel = new BroadcastChannel(this.CHANNEL_NAME);
+    channel.addEventListener('message', event => callback(event.data));
+  },
+
+  /**
+   * Exponential backoff with equal jitter: half the capped delay is fixed, half random,
+   * so devices that lost signal together do not all retry at the same moment
+   * @param {number} attempts - Attempts made so far (1 or more)
+   * @return {number} Delay in milliseconds
+   */
+  backoffDelay(attempts) {
+    const cap = Math.min(this.MAX_RETRY_DELAY, this.BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0));
+    return cap / 2 + Math.random() * (cap / 2);
+  },
+
+  /**
+   * Client errors mean the server understood and refused the request, so replaying
+   * the same payload cannot succeed. Timeouts and rate limits are worth retrying.
+   * @param {Error} err - Error thrown while sending, with an optional status
+   * @return {boolean} True if the failure is permanent
+   */
+  isPermanentFailure(err) {
+    return err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+  },
+
+  /**
+   * Runs fn while holding the drain lock, so the page and the service worker never
+   * replay the same entries concurrently. Resolves null if another context holds it.
+   */
+  async withLock(fn) {
+    if (self.navigator && self.navigator.locks) {
+      return self.navigator.locks.request(this.LOCK_NAME, { ifAvailable: true }, lock => (lock ? fn() : null));
+    }
+    if (this.draining) return null;
+    this.draining = true;
+    try {
+      return await fn();
+    } finally {
+      this.draining = false;
+    }
+  },
+
+  /**
+   * Replays pending entries oldest first. A transient failure (network, 5xx, timeout)
+   * schedules a backoff and stops the drain so later entries never overtake an earlier
+   * one they may depend on, e.g. a sale for a customer created offline. A permanent
+   * failure (4xx, or success: false) marks the entry failed and keeps it for the user.
+   * Entries that refer to a record whose create failed are held back, pending, until
+   * the user fixes or discards the failed one, since replaying them can only be refused.
+   * @param {Function} send - async (entry) => { success, message }
+   * @param {Object} [options] - { force } ignores pending backoff delays
+   * @return {Promise<Object|null>} { synced, failed, blocked, stopped, nextAttemptAt } or null if already draining
+   */
+  async drain(send, { force = false } = {}) {
+    return this.withLock(async () => {
+      const report = { synced: [], failed: [], blocked: [], stopped: false, nextAttemptAt: null };
+      const ids = (await this.getAll()).map(entry => entry.id);
+      // Temporary IDs of records that were not created, so nothing may refer to them yet
+      const missing = new Set();
+
+      for (const id of ids) {
+        // Re-read each entry, since an earlier one may have rewritten its temporary IDs
+        const entry = await this.get(id);
+        if (!entry) continue;
+        if (entry.status === 'failed' || this.referencesAny(entry, missing)) {
+          if (entry.tempId) missing.add(entry.tempId);
+          if (entry.status !== 'failed') report.blocked.push(entry);
+          continue;
+        }
+        if (!force && entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > Date.now()) {
+          report.stopped = true;
+          report.nextAttemptAt = entry.nextAttemptAt;
+          break;
+        }
+
+        const attempt = { ...entry, attempts: entry.attempts + 1, lastAttemptAt: new Date().toISOString() };
+        try {
+          const result = await send(entry);
+          if (result && result.success === false) {
+            await this.update({ ...attempt, status: 'failed', nextAttemptAt: null, lastError: result.message || 'Rejected by server' });
+            if (entry.tempId) missing.add(entry.tempId);
+            report.failed.push(entry);
+          } else {
+            await this.remove(entry.id);
+            const serverId = entry.tempId && this.serverId(result);
+            if (serverId) await this.replaceTempId(entry.tempId, serverId);
+            report.synced.push({ ...entry, serverId });
+          }
+        } catch (err) {
+          const lastError = err.message || String(err);
+          if (this.isPermanentFailure(err)) {
+            await this.update({ ...attempt, status: 'failed', nextAttemptAt: null, lastError });
+            if (entry.tempId) missing.add(entry.tempId);
+            report.failed.push(entry);
+            continue;
+          }
+          const nextAttemptAt = new Date(Date.now() + this.backoffDelay(attempt.attempts)).toISOString();
+          await this.update({ ...attempt, nextAttemptAt, lastError });
+          report.stopped = true;
+          report.nextAttemptAt = nextAttemptAt;
+          break;
+        }
+      }
+
+      return report;
+    });
+  }
+};
@@ -10,14 +10,43 @@
 // State management using a simple store pattern
 const Store = {
   state: {
-    credentials: { email: '', token: '' },
+    credentials: { email: '', token: '', expiry: '' },
     cachedData: {
       sales: [],
       customers: [],
       vendors: [],
       expenses: [],
+      payments: [],
+      products: [],
+      production: [],
+      deliveries: [],
+      closings: [],
+      expensePayments: [],
+      staff: [],
+      recurringExpenses: [],
+      budgets: [],
+      attachments: [],
+      archivedSales: [],
       metrics: null // For offline metrics storage
     },
+    // Server copies of the collections; cachedData is these plus pending outbox writes
+    snapshots: {
+      sales: [],
+      customers: [],
+      vendors: [],
+      expenses: [],
+      payments: [],
+      products: [],
+      production: [],
+      deliveries: [],
+      closings: [],
+      expensePayments: [],
+      staff: [],
+      recurringExpenses: [],
+      budgets: [],
+      attachments: [],
+      archivedSales: []
+    },
     uiState: {
       currentView: 'dashboard',
       isLoading: false,
@@ -36,8 +65,10 @@ const Store = {
   },
 
   setCachedData(type, data) {
+    this.state.snapshots[type] = data;
     this.state.cachedData[type] = data;
     this.saveToStorage(type, data);
+    Ledger.rebuild();
   },
 
   setOfflineStatus(status) {
@@ -52,17 +83,11 @@ const Store = {
       const metrics = await localforage.getItem('metrics');
       if (metrics) this.state.cachedData.metrics = metrics;
 
-      const sales = await localforage.getItem('sales');
-      if (sales) this.state.cachedData.sales = sales;
-
-      const customers = await localforage.getItem('customers');
-      if (customers) this.state.cachedData.customers = customers;
-
-      const vendors = await localforage.getItem('vendors');
-      if (vendors) this.state.cachedData.vendors = vendors;
-
-      const expenses = await localforage.getItem('expenses');
-      if (expenses) this.state.cachedData.expenses = expenses;
+      // Each collection is stored under its own name as the last server copy
+      for (const type of Object.keys(this.state.snapshots)) {
+        const data = await localforage.getItem(type);
+        if (data) this.state.snapshots[type] = this.state.cachedData[type] = data;
+      }
 
       Utils.logInfo('State loaded from storage', 'Store');
     } catch (err) {
@@ -179,6 +204,17 @@ const Utils = {
     return div.innerHTML;
   },
 
+  /**
+   * Reverses sanitizeInput, for putting stored text back into a form field
+   * @param {string} str - The sanitized string
+   * @return {string} Text as it was typed
+   */
+  unescapeInput(str) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = str;
+    return textarea.value;
+  },
+
   /**
    * Validates a form field
    * @param {HTMLElement} field - The form field to validate
@@ -247,6 +283,95 @@ const Utils = {
     });
   },
 
+  /**
+   * Delays calls to a function until input has settled
+   * @param {Function} fn - The function to debounce
+   * @param {number} wait - Delay in milliseconds
+   * @return {Function} Debounced function
+   */
+  debounce(fn, wait = 200) {
+    let timer;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), wait);
+    };
+  },
+
+  /**
+   * Derives the balance and payment status of a sale from its totals
+   * @param {number} totalAmount - Sale total
+   * @param {number} amountPaid - Amount paid so far
+   * @return {Object} { balance, paymentStatus }
+   */
+  calculateBalance(totalAmount, amountPaid) {
+    const balance = Math.max(totalAmount - amountPaid, 0);
+    const paymentStatus = balance <= 0 ? 'Paid' : amountPaid > 0 ? 'Partial' : 'Unpaid';
+    return { balance, paymentStatus };
+  },
+
+  /**
+   * Builds CSV text, quoting every field so commas, quotes and newlines survive
+   * @param {Array<string>} headers - Column headings
+   * @param {Array<Array>} rows - Row values in column order
+   * @return {string} CSV content
+   */
+  toCSV(headers, rows) {
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return [headers, ...rows].map(row => row.map(quote).join(',')).join('\r\n');
+  },
+
+  /**
+   * Saves generated content as a file download
+   * @param {string} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadFile(content, filename, type = 'text/csv') {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Wraps report markup in a standalone HTML document with print-friendly styles
+   * @param {string} title - Document title, as plain text; it is escaped here
+   * @param {string} bodyHtml - Escaped HTML for the document body
+   * @return {string} Complete HTML document
+   */
+  htmlDocument(title, bodyHtml) {
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${this.sanitizeInput(title)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; color: #111; }
+        h1 { font-size: 18px; margin-bottom: 4px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+        th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+        td.num, th.num { text-align: right; }
+        tfoot td { font-weight: bold; }
+        .muted { color: #666; }
+      </style></head><body>${bodyHtml}</body></html>`;
+  },
+
+  /**
+   * Opens a printable copy of some HTML; the browser's print dialog saves it as PDF
+   * @param {string} title - Document title, also the suggested PDF name
+   * @param {string} bodyHtml - Escaped HTML for the document body
+   */
+  printDocument(title, bodyHtml) {
+    const win = window.open('', '_blank');
+    if (!win) {
+      Utils.showToast('Allow pop-ups to print or save as PDF', 'warning');
+      return;
+    }
+    win.document.write(this.htmlDocument(title, bodyHtml));
+    win.document.close();
+    win.focus();
+    win.print();
+  },
+
   /**
    * Checks if required dependencies are loaded
    */
@@ -281,6 +406,7 @@ const OfflineManager = {
         storeName: 'app_data'
       });
       await Store.loadFromStorage();
+      await this.migrateLegacyQueue();
       Utils.logInfo('Offline manager initialized', 'OfflineManager');
     } catch (err) {
       Utils.logError(`Failed to initialize offline manager: ${err.message || err}`, 'OfflineManager');
@@ -310,376 +436,5367 @@ const OfflineManager = {
     }
   },
 
-async queueForm(formData) {
-  try {
-    let queue = await localforage.getItem('formQueue') || [];
-    queue.push({
-      ...formData,
-      timestamp: new Date().toISOString(),
-      attempts: 0,
-      csrfToken: DataManager.getCSRFToken() // Add CSRF token
-    });
-    await localforage.setItem('formQueue', queue);
-    Utils.logInfo('Form queued for sync', 'OfflineManager');
-
-    // Notify service worker
-    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-      const channel = new MessageChannel();
-      navigator.serviceWorker.controller.postMessage(
-        { type: 'queue-form', formData: { ...formData, csrfToken: DataManager.getCSRFToken() } },
-        [channel.port2]
-      );
+  /**
+   * Moves submissions queued by older versions (localforage formQueue) into the shared outbox
+   */
+  async migrateLegacyQueue() {
+    try {
+      const legacyQueue = await localforage.getItem('formQueue');
+      if (!legacyQueue || !legacyQueue.length) return;
+      for (const form of legacyQueue) {
+        await Outbox.add({ url: form.url, method: form.method, body: form.data || form.body, formId: form.formId });
+      }
+      await localforage.removeItem('formQueue');
+      Utils.logInfo(`Migrated ${legacyQueue.length} queued forms to the outbox`, 'OfflineManager');
+    } catch (err) {
+      Utils.logError(`Failed to migrate form queue: ${err.message || err}`, 'OfflineManager');
     }
-  } catch (err) {
-    Utils.logError(`Failed to queue form: ${err.message || err}`, 'OfflineManager');
-  }
-}
+  },
 
-  async syncPendingForms() {
+  async queueForm({ url, method, data, formId, idempotencyKey }) {
     try {
-      let queue = await localforage.getItem('formQueue') || [];
-      if (queue.length === 0) return;
-
-      for (let form of queue) {
-        if (form.attempts >= 3) {
-          queue = queue.filter(q => q !== form);
-          Utils.showToast(`Failed to sync form ${form.formId} after max attempts`, 'danger');
-          continue;
-        }
-        try {
-          await DataManager.fetchData(form.url, {
-            method: form.method,
-            body: form.data
-          });
-          queue = queue.filter(q => q !== form);
-          Utils.showToast(`Synced form ${form.formId}`, 'success');
-        } catch (err) {
-          form.attempts++;
-          Utils.logError(`Failed to sync form ${form.formId}: ${err.message || err}`, 'OfflineManager');
-        }
-      }
-      await localforage.setItem('formQueue', queue);
+      const { operation } = DataManager.parseEndpoint(url);
+      const entry = await Outbox.add({
+        url,
+        method,
+        body: data,
+        formId,
+        idempotencyKey,
+        // Lets the service worker replay REST submissions when no page is open
+        replayHeaders: DataManager.adapter === RestAdapter ? RestAdapter.authHeaders() : null,
+        // Stands in for the server ID of a new record until the entry syncs
+        tempId: Ledger.createsRecord(operation) ? `tmp-${idempotencyKey}` : null
+      });
+      await Ledger.refresh();
+      Utils.logInfo(`Form ${formId} queued for sync`, 'OfflineManager');
+      this.requestBackgroundSync();
+      return entry;
     } catch (err) {
-      Utils.logError(`Error syncing forms: ${err.message || err}`, 'OfflineManager');
+      Utils.logError(`Failed to queue form: ${err.message || err}`, 'OfflineManager');
+      throw err;
     }
-  }
-};
+  },
 
-// Enhanced DataManager with offline support and pagination
-const DataManager = {
-  currentPage: 1,
-  pageSize: 20,
-  charts: {
-    dashboardPaymentMethodChart: null,
-    dashboardTopCustomersChart: null,
-    dashboardTopExpenseCategoriesChart: null,
-    dashboardTotalSalesChart: null
+  async resubmit(outboxId, { url, method, data, formId }) {
+    const entry = await Outbox.get(Number(outboxId));
+    if (!entry) {
+      throw new Error('Queued submission no longer exists');
+    }
+    // Edited content is a new request as far as the server is concerned
+    await Outbox.update({
+      ...entry,
+      url,
+      method,
+      body: data,
+      formId,
+      idempotencyKey: Outbox.generateKey(),
+      status: 'pending',
+      lastError: null,
+      nextAttemptAt: null
+    });
+    this.syncPendingForms({ force: true });
   },
 
-  async fetchData(url, options = {}) {
+  async retry(outboxId) {
+    const entry = await Outbox.get(Number(outboxId));
+    if (!entry) return;
+    await Outbox.update({ ...entry, status: 'pending', nextAttemptAt: null });
     if (Store.state.uiState.offline) {
-      return this.handleOfflineData(url, options);
+      Utils.showToast('Still offline. It will sync when you reconnect.', 'warning');
+      return;
     }
+    await this.syncPendingForms({ force: true });
+  },
 
-    try {
-      const response = await fetch(url, {
-        method: options.method || 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCSRFToken(),
-          ...(Store.state.credentials.token && { 
-            'Authorization': `Bearer ${Store.state.credentials.token}` 
-          }),
-          ...options.headers
-        },
-        body: options.body ? JSON.stringify(options.body) : undefined
-      });
+  async discard(outboxId) {
+    await Outbox.remove(Number(outboxId));
+    Utils.logInfo(`Discarded queued submission ${outboxId}`, 'OfflineManager');
+  },
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  /**
+   * Asks the browser to wake the service worker when connectivity returns, and to
+   * check the outbox periodically where Periodic Background Sync is allowed
+   */
+  async requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration) return;
+      if ('sync' in registration) {
+        await registration.sync.register(Outbox.SYNC_TAG);
       }
-
-      const data = await response.json();
-
-      if (url.includes('/api/getSalesRecords') && data.success) {
-        await Store.setCachedData('sales', data.data);
-      } else if (url.includes('/api/getCustomers') && data.success) {
-        await Store.setCachedData('customers', data.data);
-      } else if (url.includes('/api/getVendors') && data.success) {
-        await Store.setCachedData('vendors', data.data);
-      } else if (url.includes('/api/getExpensesRecords') && data.success) {
-        await Store.setCachedData('expenses', data.data);
-      } else if (url.includes('/api/generateReports') && data.success) {
-        await OfflineManager.saveMetrics(data.data);
+      if ('periodicSync' in registration) {
+        const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (permission.state === 'granted') {
+          await registration.periodicSync.register(Outbox.SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+        }
       }
-
-      return data;
-    } catch (error) {
-      Utils.logError(`Failed to fetch data from ${url}: ${error.message || error}`, 'DataManager');
-      throw error;
+    } catch (err) {
+      Utils.logError(`Background sync registration failed: ${err.message || err}`, 'OfflineManager');
     }
   },
 
-  getCSRFToken() {
-    const meta = document.querySelector('meta[name="csrf-token"]');
-    return meta ? meta.content : '';
+  scheduleRetry(nextAttemptAt) {
+    clearTimeout(this.retryTimer);
+    const delay = Math.max(Date.parse(nextAttemptAt) - Date.now(), 1000);
+    this.retryTimer = setTimeout(() => this.syncPendingForms(), delay);
+    Utils.logInfo(`Next outbox retry in ${Math.round(delay / 1000)}s`, 'OfflineManager');
   },
 
-  async handleOfflineData(url, options) {
-    Utils.logInfo(`Attempting offline data fetch for ${url}`, 'DataManager');
-    
-    if (url.includes('/api/generateReports')) {
-      const cachedMetrics = await OfflineManager.getCachedMetrics();
-      if (cachedMetrics) {
-        return { success: true, data: cachedMetrics };
-      }
-      return { success: false, message: 'No cached metrics available offline' };
-    } else if (url.includes('/api/getSalesRecords')) {
-      const cachedSales = Store.state.cachedData.sales;
-      if (cachedSales) {
-        return { success: true, data: cachedSales };
-      }
-    } else if (url.includes('/api/getCustomers')) {
-      const cachedCustomers = Store.state.cachedData.customers;
-      if (cachedCustomers) {
-        return { success: true, data: cachedCustomers };
+  /**
+   * Replays one outbox entry straight through the backend adapter. Not through fetchData,
+   * whose offline fallback answers success: false, which the drain would take as a refusal
+   * if the connection dropped partway through; a failed request throws and is retried.
+   * @param {Object} entry - Outbox entry
+   * @return {Promise<Object>} The server's reply
+   */
+  send(entry) {
+    const { operation, id, query } = DataManager.parseEndpoint(entry.url);
+    return DataManager.adapter.request({
+      operation,
+      id,
+      query,
+      method: entry.method,
+      body: entry.body,
+      idempotencyKey: entry.idempotencyKey
+    });
+  },
+
+  /**
+   * Drains the outbox through the active backend adapter
+   * @param {Object} [options] - { force } retries now, ignoring backoff delays
+   */
+  async syncPendingForms({ force = false } = {}) {
+    if (Store.state.uiState.offline) return;
+    try {
+      const report = await Outbox.drain(entry => this.send(entry), { force });
+      if (!report) return;
+      await Ledger.refresh();
+
+      if (report.synced.length) {
+        Utils.showToast(`Synced ${report.synced.length} queued submission(s)`, 'success');
+        // Swap the optimistic rows for the server's records
+        await DataManager.refresh();
       }
-    } else if (url.includes('/api/getVendors')) {
-      const cachedVendors = Store.state.cachedData.vendors;
-      if (cachedVendors) {
-        return { success: true, data: cachedVendors };
+      report.failed.forEach(entry => {
+        Utils.showToast(`Server rejected queued ${entry.formId}. See Outbox.`, 'danger');
+      });
+      if (report.blocked.length) {
+        Utils.showToast(`${report.blocked.length} queued submission(s) wait on a rejected one. See Outbox.`, 'warning');
       }
-    } else if (url.includes('/api/getExpensesRecords')) {
-      const cachedExpenses = Store.state.cachedData.expenses;
-      if (cachedExpenses) {
-        return { success: true, data: cachedExpenses };
+      if (report.nextAttemptAt) {
+        this.scheduleRetry(report.nextAttemptAt);
+        this.requestBackgroundSync();
       }
+    } catch (err) {
+      Utils.logError(`Error syncing forms: ${err.message || err}`, 'OfflineManager');
     }
+  }
+};
 
-    return { success: false, message: 'Cannot fetch this data while offline' };
-  },
+// Optimistic local ledger. Store.state.cachedData holds the server snapshots with every
+// outbox entry still waiting to sync applied on top, so work entered offline shows up in
+// tables, dropdowns and dashboard totals straight away, marked as pending.
+const Ledger = {
+  // Outbox entries that still count, oldest first
+  entries: [],
 
-  async submitForm({ url, method, data, formId, successCallback }) {
-    if (Store.state.uiState.offline) {
-      await OfflineManager.queueForm({ url, method, data, formId });
-      Utils.showToast('Request queued for sync when online', 'info');
-      return { success: true, message: 'Request queued' };
-    }
+  async init() {
+    Outbox.subscribe(() => this.refresh());
+    await this.refresh();
+  },
 
+  async refresh() {
     try {
-      const result = await this.fetchData(url, {
-        method,
-        body: data
-      });
-      if (result.success && successCallback) successCallback();
-      return result;
+      // Rejected entries stay in the Outbox screen but no longer count
+      this.entries = (await Outbox.getAll()).filter(entry => entry.status !== 'failed');
     } catch (err) {
-      Utils.showToast('Error submitting form', 'danger');
-      Utils.logError(`Form submission error for ${formId}: ${err.message || err}`, 'DataManager');
-      throw err;
+      Utils.logError(`Failed to read outbox: ${err.message || err}`, 'Ledger');
     }
+    this.rebuild();
   },
 
-  async initDashboard() {
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const startDate = document.getElementById('dashboardStartDate')?.value || DOM.today;
-      const endDate = document.getElementById('dashboardEndDate')?.value || DOM.today;
+  createsRecord(operation) {
+    return ['addCustomer', 'addVendor', 'addSale', 'addExpense', 'addProduct', 'addProduction', 'addDelivery', 'addClosing', 'addStaff', 'addRecurringExpense', 'addBudget', 'addAttachment'].includes(operation);
+  },
 
-      const result = await this.fetchData('/api/generateReports', {
-        method: 'POST',
-        body: { startDate, endDate }
-      });
+  /**
+   * Checks whether a request refers to a record that only exists in the outbox so far
+   * @param {string} url - API route of the request
+   * @param {Object} data - Request body
+   * @return {boolean} True if the request names a temporary ID
+   */
+  dependsOnPending(url, data) {
+    const text = `${url} ${JSON.stringify(data || {})}`;
+    return this.entries.some(entry => entry.tempId && text.includes(entry.tempId));
+  },
 
-      if (result.success) {
-        this.renderDashboard(result.data);
-      } else {
-        Utils.showToast(result.message, 'warning');
-      }
-    } catch (err) {
-      Utils.showToast('Error loading dashboard data', 'danger');
-      Utils.logError(`Dashboard error: ${err.message || err}`, 'DataManager');
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
+  rebuild() {
+    const { snapshots, cachedData } = Store.state;
+    if (!this.entries.length) {
+      Object.assign(cachedData, snapshots);
+      return;
     }
+
+    const db = JSON.parse(JSON.stringify(snapshots));
+    this.entries.forEach(entry => {
+      const { operation, id } = DataManager.parseEndpoint(entry.url);
+      const result = LedgerOps.apply(db, operation, { id, body: entry.body, newId: entry.tempId, stamp: { _pending: true } });
+      if (result && !result.success) {
+        Utils.logInfo(`Pending ${entry.formId} not applied locally: ${result.message}`, 'Ledger');
+      }
+    });
+    Object.assign(cachedData, db);
   },
 
-  renderDashboard(data) {
-    const defaultData = {
-      totalSales: 0,
-      outstandingPayments: 0,
-      totalQuantitySold: 0,
-      overduePayments: 0,
-      cashSales: 0,
-      transferSales: 0,
-      creditSales: 0,
-      totalExpenses: 0,
-      totalExpensesPaid: 0,
-      topCustomers: [],
-      topExpenseCategories: [],
-      metricsByDate: []
-    };
-    const dashboardData = { ...defaultData, ...data };
+  /**
+   * Adds the effect of pending writes to dashboard totals computed by the server
+   * @param {Object} metrics - generateReports data
+   * @param {Object} range - { startDate, endDate }
+   * @return {Object} Metrics including pending sales and expenses
+   */
+  withPending(metrics, range) {
+    if (!this.entries.length || !metrics) return metrics;
+    const withPending = MetricsEngine.compute(Store.state.cachedData, range);
+    const withoutPending = MetricsEngine.compute(Store.state.snapshots, range);
+    const adjusted = { ...metrics };
+    MetricsEngine.TOTAL_KEYS.forEach(key => {
+      adjusted[key] = (parseFloat(metrics[key]) || 0) + withPending[key] - withoutPending[key];
+    });
+    return adjusted;
+  }
+};
 
-    document.getElementById('totalSales').textContent = Utils.formatCurrency(dashboardData.totalSales);
-    document.getElementById('totalQuantitySold').textContent = dashboardData.totalQuantitySold.toLocaleString();
-    document.getElementById('outstandingPayments').textContent = Utils.formatCurrency(dashboardData.outstandingPayments);
-    document.getElementById('overduePayments').textContent = dashboardData.overduePayments.toLocaleString();
-    document.getElementById('totalExpenses').textContent = Utils.formatCurrency(dashboardData.totalExpenses);
-    document.getElementById('totalExpensesPaid').textContent = Utils.formatCurrency(dashboardData.totalExpensesPaid);
+// Backend adapters. Every adapter implements the same interface so DataManager can
+// talk to the REST API, the Google Apps Script web app or local fixtures:
+//   request({ operation, id, method, body, query, headers }) -> { success, data, message }
+//   getCSRFToken() -> string
+const BackendAdapters = {
+  /**
+   * Builds the error thrown for a non-2xx response so callers can inspect the status
+   * @param {number} status - HTTP status code
+   * @return {Error} Error carrying the status code
+   */
+  httpError(status) {
+    const error = new Error(`HTTP error! status: ${status}`);
+    error.status = status;
+    return error;
+  },
 
-    const netIncome = dashboardData.totalSales - dashboardData.totalExpenses;
-    const netIncomeElement = document.getElementById('netIncome');
-    netIncomeElement.textContent = Utils.formatCurrency(netIncome);
-    netIncomeElement.classList.toggle('negative', netIncome < 0);
+  /**
+   * Looks up an adapter by name
+   * @param {string} name - Adapter name (rest, appsScript, mock)
+   * @return {Object} The adapter, falling back to the REST adapter
+   */
+  get(name) {
+    const adapters = { rest: RestAdapter, appsScript: AppsScriptAdapter, mock: MockAdapter };
+    if (!adapters[name]) {
+      Utils.logError(`Unknown backend adapter "${name}", using rest`, 'BackendAdapters');
+      return RestAdapter;
+    }
+    return adapters[name];
+  }
+};
 
-    this.renderAccessibleChart('dashboardPaymentMethodChart', {
-      type: 'doughnut',
-      labels: ['Cash', 'Transfer', 'Credit'],
-      data: [dashboardData.cashSales, dashboardData.transferSales, dashboardData.creditSales],
-      title: 'Sales by Payment Method'
-    });
+// REST adapter for the Node API (/api/<operation>/<id>)
+const RestAdapter = {
+  name: 'rest',
 
-    this.renderAccessibleChart('dashboardTopCustomersChart', {
-      type: 'bar',
-      labels: dashboardData.topCustomers.length ? dashboardData.topCustomers.map(c => c.name) : ['No Data'],
-      data: dashboardData.topCustomers.length ? dashboardData.topCustomers.map(c => c.totalPurchases) : [0],
-      title: 'Top Customers by Purchases'
-    });
+  getCSRFToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.content : '';
+  },
 
-    this.renderAccessibleChart('dashboardTopExpenseCategoriesChart', {
-      type: 'bar',
-      labels: dashboardData.topExpenseCategories.length ? dashboardData.topExpenseCategories.map(c => c.name) : ['No Data'],
-      data: dashboardData.topExpenseCategories.length ? dashboardData.topExpenseCategories.map(c => c.totalVendorExpenses) : [0],
-      title: 'Top Expense Categories'
+  authHeaders() {
+    return {
+      'X-CSRF-Token': this.getCSRFToken(),
+      ...(Store.state.credentials.token && {
+        'Authorization': `Bearer ${Store.state.credentials.token}`
+      })
+    };
+  },
+
+  buildUrl({ operation, id, query }) {
+    const path = `/api/${operation}${id ? `/${encodeURIComponent(id)}` : ''}`;
+    const search = query ? new URLSearchParams(query).toString() : '';
+    return search ? `${path}?${search}` : path;
+  },
+
+  async request({ operation, id, method = 'GET', body, query, headers = {}, idempotencyKey }) {
+    const response = await fetch(this.buildUrl({ operation, id, query }), {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.authHeaders(),
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
     });
 
-    if (dashboardData.metricsByDate.length) {
-      this.renderTotalSalesChart(dashboardData.metricsByDate);
+    if (!response.ok) {
+      throw BackendAdapters.httpError(response.status);
     }
+    return response.json();
+  }
+};
+
+// Google Apps Script adapter (<baseUrl>?path=<operation>)
+const AppsScriptAdapter = {
+  name: 'appsScript',
+  baseUrl: 'https://script.google.com/macros/s/YOURSPREADSHEET/exec', // Replace with your Google Apps Script web app URL
+
+  // Operations whose Apps Script path differs from the REST route name
+  paths: {
+    getSalesRecords: 'getdbsalesrecords',
+    getCustomers: 'getdbcustomers',
+    getVendors: 'getdbvendors',
+    getExpensesRecords: 'getdbexpensesrecords',
+    getPayments: 'getdbpayments',
+    getProducts: 'getdbproducts',
+    getProduction: 'getdbproduction',
+    getDeliveries: 'getdbdeliveries',
+    getClosings: 'getdbclosings',
+    getExpensePayments: 'getdbexpensepayments',
+    getStaff: 'getdbstaff',
+    getRecurringExpenses: 'getdbrecurringexpenses',
+    getBudgets: 'getdbbudgets',
+    getAttachments: 'getdbattachments',
+    getArchivedSales: 'getdbarchivedsales',
+    generateReports: 'newreports',
+    adminLogin: 'mylogin'
   },
 
-  renderAccessibleChart(canvasId, { type, labels, data, title }) {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas || !window.Chart) {
-      Utils.logError(`Chart.js not available or canvas ${canvasId} not found`, 'DataManager');
-      return;
+  getCSRFToken() {
+    return localStorage.getItem('csrfToken') || '';
+  },
+
+  async refreshCSRFToken() {
+    const response = await fetch(`${this.baseUrl}?path=getCSRFToken`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to get CSRF token');
     }
+    localStorage.setItem('csrfToken', data.token);
+    return data.token;
+  },
 
-    canvas.setAttribute('role', 'img');
-    canvas.setAttribute('aria-label', `${title} data visualization`);
+  async request({ operation, id, method = 'GET', body, query, idempotencyKey }) {
+    const csrfToken = this.getCSRFToken() || await this.refreshCSRFToken();
+    const sessionToken = Store.state.credentials.token || '';
+    const params = new URLSearchParams({
+      path: this.paths[operation] || operation,
+      ...(id && { id }),
+      ...query
+    });
 
-    if (this.charts[canvasId]) {
-      this.charts[canvasId].destroy();
+    // Apps Script web apps cannot read custom request headers, so the CSRF and
+    // session tokens travel in the query string or payload instead.
+    let response;
+    if (method === 'GET') {
+      params.set('csrfToken', csrfToken);
+      params.set('sessionToken', sessionToken);
+      response = await fetch(`${this.baseUrl}?${params}`);
+    } else {
+      response = await fetch(`${this.baseUrl}?${params}`, {
+        method: 'POST',
+        // text/plain keeps this a simple request; Apps Script does not answer CORS preflights
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ ...body, method, csrfToken, sessionToken, ...(idempotencyKey && { idempotencyKey }) })
+      });
     }
 
-    const isMobile = window.innerWidth <= 768;
-    const backgroundColors = ['#60A5FA', '#34D399', '#F472B6', '#4BC0C0', '#FF9F40', '#9966FF', '#FF6384', '#36A2EB', '#FFCE56'];
+    if (!response.ok) {
+      throw BackendAdapters.httpError(response.status);
+    }
+    const data = await response.json();
+    if (data.csrfExpired) {
+      localStorage.removeItem('csrfToken');
+    }
+    return data;
+  }
+};
+
+// Record operations shared by the mock backend and the optimistic local ledger. Each one
+// applies a write, keyed by its API operation name, to a { sales, customers, vendors,
+// expenses } dataset, the way the backend would:
+//   (db, { id, body, newId, stamp }) -> { success, message, id }
+// `newId` names a created record and `stamp` is merged into every record written.
+const LedgerOps = {
+  num(value) {
+    return parseFloat(value) || 0;
+  },
+
+  find(db, collection, id) {
+    return (db[collection] || []).find(row => String(row['ID']) === String(id));
+  },
+
+  dueDate(body) {
+    return body.creditDays ? moment(body.date).add(body.creditDays, 'days').format('YYYY-MM-DD') : '';
+  },
+
+  inRange(date, { startDate, endDate } = {}) {
+    return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+  },
+
+  salePayments(db, saleId) {
+    return (db.payments || []).filter(payment => String(payment['Sale ID']) === String(saleId));
+  },
+
+  paymentRow(db, sale, { type, date, amount, method, reference = '', collectedBy = '' }, stamp = {}) {
+    return {
+      'ID': `${sale['ID']}-P${this.salePayments(db, sale['ID']).length + 1}`, 'Sale ID': sale['ID'],
+      'Customer ID': sale['Customer ID'], 'Customer Name': sale['Customer Name'], 'Date': date, 'Amount (NGN)': amount,
+      'Method': method, 'Reference': reference, 'Collected By': collectedBy, 'Type': type,
+      ...stamp
+    };
+  },
+
+  /**
+   * Sales recorded before payments were kept get their Amount Paid as one brought-forward
+   * payment, so what a sale has been paid is always the sum of its payment history
+   */
+  ensurePaymentHistory(db, sale) {
+    db.payments = db.payments || [];
+    const paid = this.num(sale['Amount Paid (NGN)']);
+    if (paid > 0 && !this.salePayments(db, sale['ID']).length) {
+      db.payments.push(this.paymentRow(db, sale, { type: 'Brought forward', date: sale['Date'], amount: paid, method: sale['Payment Method'] }));
+    }
+  },
+
+  // Amount Paid, Balance and Payment Status follow from the payment history
+  settleSale(db, sale) {
+    const amountPaid = this.salePayments(db, sale['ID']).reduce((total, payment) => total + this.num(payment['Amount (NGN)']), 0);
+    const { balance, paymentStatus } = Utils.calculateBalance(this.num(sale['Total Amount (NGN)']), amountPaid);
+    Object.assign(sale, { 'Amount Paid (NGN)': amountPaid, 'Balance (NGN)': balance, 'Payment Status': paymentStatus });
+  },
+
+  expensePayments(db, expenseId) {
+    return (db.expensePayments || []).filter(payment => String(payment['Expense ID']) === String(expenseId));
+  },
+
+  expensePaymentRow(db, expense, { type, date, amount, method, reference = '', paidBy = '' }, stamp = {}) {
+    return {
+      'ID': `${expense['ID']}-P${this.expensePayments(db, expense['ID']).length + 1}`, 'Expense ID': expense['ID'],
+      'Vendor ID': expense['Vendor ID'], 'Vendor': expense['Vendor'], 'Date': date, 'Amount (NGN)': amount,
+      'Method': method || 'cash', 'Reference': reference, 'Paid By': paidBy, 'Type': type,
+      ...stamp
+    };
+  },
+
+  // What is still owed on an expense; older records carry no Balance column
+  expenseBalance(expense) {
+    if (expense['Balance (NGN)'] !== undefined && expense['Balance (NGN)'] !== '') return this.num(expense['Balance (NGN)']);
+    return Math.max(this.num(expense['Total Expenses (NGN)']) - this.num(expense['Amount Paid (NGN)']), 0);
+  },
+
+  // As ensurePaymentHistory, for what was paid on expenses entered before vendor payments were kept
+  ensureExpensePaymentHistory(db, expense) {
+    db.expensePayments = db.expensePayments || [];
+    const paid = this.num(expense['Amount Paid (NGN)']);
+    if (paid > 0 && !this.expensePayments(db, expense['ID']).length) {
+      db.expensePayments.push(this.expensePaymentRow(db, expense, { type: 'Brought forward', date: expense['Date'], amount: paid, method: expense['Payment Method'] }));
+    }
+  },
+
+  // Amount Paid, Balance and Status follow from the vendor payments
+  settleExpense(db, expense) {
+    const amountPaid = this.expensePayments(db, expense['ID']).reduce((total, payment) => total + this.num(payment['Amount (NGN)']), 0);
+    const total = this.num(expense['Total Expenses (NGN)']);
+    Object.assign(expense, {
+      'Amount Paid (NGN)': amountPaid, 'Balance (NGN)': Math.max(total - amountPaid, 0),
+      'Status': amountPaid >= total ? 'Paid' : 'Outstanding'
+    });
+  },
+
+  // Containers and deposits a sale moved, as stored on the sale
+  containerFields(body) {
+    return {
+      'Containers Issued': body.containersIssued || 0,
+      'Empties Collected': body.emptiesCollected || 0,
+      'Deposit Taken (NGN)': body.depositTaken || 0,
+      'Deposit Refunded (NGN)': body.depositRefunded || 0
+    };
+  },
+
+  /**
+   * Adds a sale's containers and deposit to its customer's running totals, or takes
+   * them off again with sign -1 when the sale is edited or deleted
+   */
+  moveContainers(customer, sale, sign = 1) {
+    if (!customer) return;
+    const num = LedgerOps.num;
+    customer['Containers Out'] = num(customer['Containers Out']) + sign * num(sale['Containers Issued']);
+    customer['Containers Returned'] = num(customer['Containers Returned']) + sign * num(sale['Empties Collected']);
+    customer['Deposits Held (NGN)'] = num(customer['Deposits Held (NGN)']) + sign * (num(sale['Deposit Taken (NGN)']) - num(sale['Deposit Refunded (NGN)']));
+  },
+
+  /**
+   * Applies a write operation to a dataset
+   * @param {Object} db - { sales, customers, vendors, expenses, payments }, modified in place
+   * @param {string} operation - API operation name, e.g. addSale
+   * @param {Object} args - { id, body, newId, stamp }
+   * @return {Object|null} The operation's result, or null for operations it does not know
+   */
+  apply(db, operation, args) {
+    const write = this.operations[operation];
+    return write ? write(db, args) : null;
+  },
+
+  operations: {
+    addCustomer(db, { body, newId, stamp = {} }) {
+      db.customers.push({
+        'ID': newId, 'Name': body.name, 'Phone': body.phone, 'Email': body.email || '', 'Town': body.town || '',
+        'Total Purchases (NGN)': 0, 'Outstanding Balance (NGN)': 0, 'Customer Since': DOM.today, 'Notes': body.notes || '',
+        'Containers Out': 0, 'Containers Returned': 0, 'Deposits Held (NGN)': 0,
+        'Credit Limit (NGN)': body.creditLimit ?? '', 'Max Overdue Days': body.maxOverdueDays ?? '',
+        ...stamp
+      });
+      return { success: true, message: 'Customer added', id: newId };
+    },
+
+    updateCustomer(db, { id, body, stamp = {} }) {
+      const customer = LedgerOps.find(db, 'customers', id);
+      if (!customer) return { success: false, message: 'Customer not found' };
+      Object.assign(customer, {
+        'Name': body.name, 'Phone': body.phone, 'Email': body.email || '', 'Town': body.town || '', 'Notes': body.notes || '',
+        'Credit Limit (NGN)': body.creditLimit ?? '', 'Max Overdue Days': body.maxOverdueDays ?? ''
+      }, stamp);
+      db.sales.filter(sale => String(sale['Customer ID']) === String(id)).forEach(sale => sale['Customer Name'] = body.name);
+      return { success: true, message: 'Customer updated', id };
+    },
+
+    deleteCustomer(db, { id }) {
+      db.customers = db.customers.filter(row => String(row['ID']) !== String(id));
+      return { success: true, message: 'Customer deleted', id };
+    },
+
+    addVendor(db, { body, newId, stamp = {} }) {
+      db.vendors.push({
+        'ID': newId, 'Name': body.name, 'Phone': body.phone, 'Email': body.email || '', 'Service Category': body.serviceCategory || '',
+        'Town': body.town || '', 'Total Expenses (NGN)': 0, 'Outstanding Balance (NGN)': 0, 'Vendor Since': DOM.today, 'Notes': body.notes || '',
+        ...stamp
+      });
+      return { success: true, message: 'Vendor added', id: newId };
+    },
+
+    updateVendor(db, { id, body, stamp = {} }) {
+      const vendor = LedgerOps.find(db, 'vendors', id);
+      if (!vendor) return { success: false, message: 'Vendor not found' };
+      Object.assign(vendor, { 'Name': body.name, 'Phone': body.phone, 'Email': body.email || '', 'Service Category': body.serviceCategory || '', 'Town': body.town || '', 'Notes': body.notes || '' }, stamp);
+      db.expenses.filter(expense => String(expense['Vendor ID']) === String(id)).forEach(expense => expense['Vendor'] = body.name);
+      return { success: true, message: 'Vendor updated', id };
+    },
+
+    deleteVendor(db, { id }) {
+      db.vendors = db.vendors.filter(row => String(row['ID']) !== String(id));
+      return { success: true, message: 'Vendor deleted', id };
+    },
+
+    addProduct(db, { body, newId, stamp = {} }) {
+      db.products = db.products || [];
+      db.products.push({
+        'ID': newId, 'Name': body.name, 'SKU': body.sku || '', 'Unit': body.unit || '', 'Unit Price (NGN)': body.unitPrice,
+        'Price Tiers': body.priceTiers || [], 'Customer Prices': body.customerPrices || {}, 'Reorder Level': body.reorderLevel || 0,
+        'Container Deposit (NGN)': body.containerDeposit || 0, 'Active': body.active !== false,
+        ...stamp
+      });
+      return { success: true, message: 'Product added', id: newId };
+    },
+
+    updateProduct(db, { id, body, stamp = {} }) {
+      const product = LedgerOps.find(db, 'products', id);
+      if (!product) return { success: false, message: 'Product not found' };
+      Object.assign(product, {
+        'Name': body.name, 'SKU': body.sku || '', 'Unit': body.unit || '', 'Unit Price (NGN)': body.unitPrice,
+        'Price Tiers': body.priceTiers || [], 'Customer Prices': body.customerPrices || {}, 'Reorder Level': body.reorderLevel || 0,
+        'Container Deposit (NGN)': body.containerDeposit || 0, 'Active': body.active !== false
+      }, stamp);
+      return { success: true, message: 'Product updated', id };
+    },
+
+    addStaff(db, { body, newId, stamp = {} }) {
+      db.staff = db.staff || [];
+      db.staff.push({
+        'ID': newId, 'Name': body.name, 'Role': body.role || '', 'Phone': body.phone || '',
+        'Monthly Salary (NGN)': body.monthlySalary || 0, 'Start Date': body.startDate || '', 'Active': body.active !== false,
+        ...stamp
+      });
+      return { success: true, message: 'Staff added', id: newId };
+    },
+
+    updateStaff(db, { id, body, stamp = {} }) {
+      const member = LedgerOps.find(db, 'staff', id);
+      if (!member) return { success: false, message: 'Staff not found' };
+      Object.assign(member, {
+        'Name': body.name, 'Role': body.role || '', 'Phone': body.phone || '',
+        'Monthly Salary (NGN)': body.monthlySalary || 0, 'Start Date': body.startDate || '', 'Active': body.active !== false
+      }, stamp);
+      return { success: true, message: 'Staff updated', id };
+    },
+
+    addProduction(db, { body, newId, stamp = {} }) {
+      const product = LedgerOps.find(db, 'products', body.productId);
+      if (!product) return { success: false, message: 'Product not found' };
+      db.production = db.production || [];
+      db.production.push({
+        'ID': newId, 'Date': body.date, 'Product ID': product['ID'], 'Product Name': product['Name'], 'Type': body.type,
+        'Quantity': body.quantity, 'Material': body.material || '', 'Material Quantity': body.materialQuantity || 0,
+        'Notes': body.notes || '',
+        ...stamp
+      });
+      return { success: true, message: 'Production recorded', id: newId };
+    },
+
+    addDelivery(db, { body, newId, stamp = {} }) {
+      db.deliveries = db.deliveries || [];
+      db.deliveries.push({
+        'ID': newId, 'Date': body.date, 'Vehicle': body.vehicle, 'Driver': body.driver, 'Route': body.route || '',
+        'Customer IDs': body.customerIds || [], 'Quantity Loaded': body.quantityLoaded || 0, 'Notes': body.notes || '',
+        'Quantity Delivered': '', 'Cash Collected (NGN)': '', 'Status': 'Open', 'Reconciled At': '', 'Reconciliation Notes': '',
+        ...stamp
+      });
+      return { success: true, message: 'Delivery run created', id: newId };
+    },
+
+    updateDelivery(db, { id, body, stamp = {} }) {
+      const run = LedgerOps.find(db, 'deliveries', id);
+      if (!run) return { success: false, message: 'Delivery run not found' };
+      if (run['Status'] === 'Reconciled') return { success: false, message: 'Delivery run is already reconciled' };
+      Object.assign(run, {
+        'Date': body.date, 'Vehicle': body.vehicle, 'Driver': body.driver, 'Route': body.route || '',
+        'Customer IDs': body.customerIds || [], 'Quantity Loaded': body.quantityLoaded || 0, 'Notes': body.notes || ''
+      }, stamp);
+      return { success: true, message: 'Delivery run updated', id };
+    },
+
+    reconcileDelivery(db, { id, body, stamp = {} }) {
+      const run = LedgerOps.find(db, 'deliveries', id);
+      if (!run) return { success: false, message: 'Delivery run not found' };
+      Object.assign(run, {
+        'Quantity Delivered': body.quantityDelivered, 'Cash Collected (NGN)': body.cashCollected, 'Status': 'Reconciled',
+        'Reconciled At': body.date || DOM.today, 'Reconciliation Notes': body.notes || ''
+      }, stamp);
+      return { success: true, message: 'Delivery run reconciled', id };
+    },
+
+    addClosing(db, { body, newId, stamp = {} }) {
+      db.closings = db.closings || [];
+      db.closings.push({
+        'ID': newId, 'Date': body.date, 'Opening Float (NGN)': body.openingFloat || 0,
+        'Expected Cash (NGN)': body.expectedCash, 'Expected Transfers (NGN)': body.expectedTransfers,
+        'Counted Cash (NGN)': body.countedCash, 'Counted Transfers (NGN)': body.countedTransfers,
+        'Cash Variance (NGN)': body.countedCash - body.expectedCash,
+        'Transfer Variance (NGN)': body.countedTransfers - body.expectedTransfers,
+        'Notes': body.notes || '', 'Closed By': body.closedBy, 'Closed At': body.closedAt || new Date().toISOString(),
+        'Status': 'Signed Off', 'Reviewed By': '', 'Reviewed At': '', 'Review Notes': '',
+        ...stamp
+      });
+      return { success: true, message: 'Day closed', id: newId };
+    },
+
+    reviewClosing(db, { id, body, stamp = {} }) {
+      const closing = LedgerOps.find(db, 'closings', id);
+      if (!closing) return { success: false, message: 'Closing not found' };
+      Object.assign(closing, {
+        'Status': 'Reviewed', 'Reviewed By': body.reviewedBy, 'Reviewed At': body.reviewedAt || new Date().toISOString(),
+        'Review Notes': body.notes || ''
+      }, stamp);
+      return { success: true, message: 'Closing reviewed', id };
+    },
+
+    addSale(db, { body, newId, stamp = {} }) {
+      const customer = LedgerOps.find(db, 'customers', body.customerId);
+      if (!customer) return { success: false, message: 'Customer not found' };
+      const { balance, paymentStatus } = Utils.calculateBalance(body.totalAmount, body.amountPaid);
+      const sale = {
+        'ID': newId, 'Customer ID': customer['ID'], 'Customer Name': customer['Name'], 'Date': body.date,
+        'Quantity': body.quantity, 'Total Amount (NGN)': body.totalAmount, 'Amount Paid (NGN)': body.amountPaid,
+        'Payment Method': body.paymentMethod, 'Payment Status': paymentStatus,
+        'Balance (NGN)': balance, 'Due Date': LedgerOps.dueDate(body), 'Notes': body.notes || '',
+        'Line Items': body.lineItems || [], ...LedgerOps.containerFields(body), 'Run ID': body.runId || '',
+        ...stamp
+      };
+      db.sales.push(sale);
+      if (body.amountPaid > 0) {
+        db.payments = db.payments || [];
+        db.payments.push(LedgerOps.paymentRow(db, sale, { type: 'At sale', date: body.date, amount: body.amountPaid, method: body.paymentMethod }, stamp));
+      }
+      customer['Total Purchases (NGN)'] = LedgerOps.num(customer['Total Purchases (NGN)']) + body.totalAmount;
+      customer['Outstanding Balance (NGN)'] = LedgerOps.num(customer['Outstanding Balance (NGN)']) + balance;
+      LedgerOps.moveContainers(customer, sale);
+      return { success: true, message: 'Sale added', id: newId };
+    },
+
+    updateSale(db, { id, body, stamp = {} }) {
+      const sale = LedgerOps.find(db, 'sales', id);
+      const customer = LedgerOps.find(db, 'customers', body.customerId);
+      if (!sale || !customer) return { success: false, message: 'Sale or customer not found' };
+      const previousCustomer = LedgerOps.find(db, 'customers', sale['Customer ID']);
+      if (previousCustomer) {
+        previousCustomer['Total Purchases (NGN)'] = LedgerOps.num(previousCustomer['Total Purchases (NGN)']) - LedgerOps.num(sale['Total Amount (NGN)']);
+        previousCustomer['Outstanding Balance (NGN)'] = LedgerOps.num(previousCustomer['Outstanding Balance (NGN)']) - LedgerOps.num(sale['Balance (NGN)']);
+        LedgerOps.moveContainers(previousCustomer, sale, -1);
+      }
+      Object.assign(sale, {
+        'Customer ID': customer['ID'], 'Customer Name': customer['Name'], 'Date': body.date, 'Quantity': body.quantity,
+        'Total Amount (NGN)': body.totalAmount, 'Payment Method': body.paymentMethod, 'Due Date': LedgerOps.dueDate(body), 'Notes': body.notes || '',
+        'Line Items': body.lineItems || [], ...LedgerOps.containerFields(body), 'Run ID': body.runId || ''
+      }, stamp);
+
+      // Instalments stand; the edited Amount Paid sets what was paid at the time of sale
+      LedgerOps.ensurePaymentHistory(db, sale);
+      const payments = LedgerOps.salePayments(db, sale['ID']);
+      const instalments = payments.filter(payment => payment['Type'] === 'Instalment').reduce((total, payment) => total + LedgerOps.num(payment['Amount (NGN)']), 0);
+      const atSale = Math.max(body.amountPaid - instalments, 0);
+      const opening = payments.find(payment => payment['Type'] !== 'Instalment');
+      if (opening) {
+        // The opening payment was taken with the sale, so it follows the sale's method and day
+        Object.assign(opening, {
+          'Amount (NGN)': atSale, 'Method': body.paymentMethod, 'Date': body.date,
+          'Customer ID': customer['ID'], 'Customer Name': customer['Name']
+        }, stamp);
+      } else if (atSale > 0) {
+        db.payments.push(LedgerOps.paymentRow(db, sale, { type: 'At sale', date: body.date, amount: atSale, method: body.paymentMethod }, stamp));
+      }
+      LedgerOps.settleSale(db, sale);
+
+      customer['Total Purchases (NGN)'] = LedgerOps.num(customer['Total Purchases (NGN)']) + body.totalAmount;
+      customer['Outstanding Balance (NGN)'] = LedgerOps.num(customer['Outstanding Balance (NGN)']) + sale['Balance (NGN)'];
+      LedgerOps.moveContainers(customer, sale);
+      return { success: true, message: 'Sale updated', id };
+    },
+
+    updatePayment(db, { id, body, stamp = {} }) {
+      const sale = LedgerOps.find(db, 'sales', id);
+      if (!sale) return { success: false, message: 'Sale not found' };
+      if (body.amount > LedgerOps.num(sale['Balance (NGN)'])) return { success: false, message: 'Amount exceeds outstanding balance' };
+      LedgerOps.ensurePaymentHistory(db, sale);
+      db.payments.push(LedgerOps.paymentRow(db, sale, {
+        type: 'Instalment', date: body.date || DOM.today, amount: body.amount, method: body.method || 'cash',
+        reference: body.reference, collectedBy: body.collectedBy
+      }, stamp));
+      LedgerOps.settleSale(db, sale);
+      Object.assign(sale, stamp);
+      const customer = LedgerOps.find(db, 'customers', sale['Customer ID']);
+      if (customer) customer['Outstanding Balance (NGN)'] = LedgerOps.num(customer['Outstanding Balance (NGN)']) - body.amount;
+      return { success: true, message: 'Payment updated', id };
+    },
+
+    // Archived sales leave the sales list but still count against stock
+    archiveRecord(db, { id, stamp = {} }) {
+      const sale = LedgerOps.find(db, 'sales', id);
+      if (!sale) return { success: false, message: 'Sale not found' };
+      db.sales = db.sales.filter(row => row !== sale);
+      db.archivedSales = db.archivedSales || [];
+      db.archivedSales.push({ ...sale, ...stamp });
+      return { success: true, message: 'Record archived', id };
+    },
+
+    deleteRecord(db, { id }) {
+      const sale = LedgerOps.find(db, 'sales', id);
+      if (!sale) return { success: false, message: 'Sale not found' };
+      // The customer is left as if the sale had never been entered: its amount, balance and containers come off
+      const customer = LedgerOps.find(db, 'customers', sale['Customer ID']);
+      if (customer) {
+        customer['Total Purchases (NGN)'] = LedgerOps.num(customer['Total Purchases (NGN)']) - LedgerOps.num(sale['Total Amount (NGN)']);
+        customer['Outstanding Balance (NGN)'] = LedgerOps.num(customer['Outstanding Balance (NGN)']) - LedgerOps.num(sale['Balance (NGN)']);
+      }
+      LedgerOps.moveContainers(customer, sale, -1);
+      db.sales = db.sales.filter(row => String(row['ID']) !== String(id));
+      db.payments = (db.payments || []).filter(payment => String(payment['Sale ID']) !== String(id));
+      return { success: true, message: 'Record deleted', id };
+    },
+
+    addExpense(db, { body, newId, stamp = {} }) {
+      const vendor = LedgerOps.find(db, 'vendors', body.vendorId);
+      if (!vendor) return { success: false, message: 'Vendor not found' };
+      if (body.recurringId && db.expenses.some(e => String(e['Recurring ID']) === String(body.recurringId) && e['Due For'] === body.dueFor)) {
+        return { success: false, message: `Recurring expense for ${body.dueFor} is already entered` };
+      }
+      const expense = {
+        'ID': newId, 'Vendor ID': vendor['ID'], 'Vendor': vendor['Name'], 'Category': body.category, 'Staff': body.staff,
+        'Staff ID': body.staffId || '', 'Payroll Month': body.payrollMonth || '', 'Date': body.date, 'Quantity': body.quantity, 'Total Expenses (NGN)': body.totalAmount, 'Amount Paid (NGN)': body.amountPaid,
+        'Notes': body.notes || '', 'Status': body.amountPaid >= body.totalAmount ? 'Paid' : 'Outstanding',
+        'Balance (NGN)': Math.max(body.totalAmount - body.amountPaid, 0), 'Due Date': body.dueDate || '',
+        'Material': body.material || '', 'Material Unit': body.materialUnit || '',
+        'Vehicle': body.vehicle || '', 'Run ID': body.runId || '', 'Payment Method': body.paymentMethod || 'cash',
+        'Recurring ID': body.recurringId || '', 'Due For': body.dueFor || '',
+        ...stamp
+      };
+      db.expenses.push(expense);
+      if (body.amountPaid > 0) {
+        db.expensePayments = db.expensePayments || [];
+        db.expensePayments.push(LedgerOps.expensePaymentRow(db, expense, { type: 'At entry', date: body.date, amount: body.amountPaid, method: body.paymentMethod }, stamp));
+      }
+      vendor['Total Expenses (NGN)'] = LedgerOps.num(vendor['Total Expenses (NGN)']) + body.totalAmount;
+      vendor['Outstanding Balance (NGN)'] = LedgerOps.num(vendor['Outstanding Balance (NGN)']) + body.totalAmount - body.amountPaid;
+      return { success: true, message: 'Expense added', id: newId };
+    },
+
+    updateExpense(db, { id, body, stamp = {} }) {
+      const expense = LedgerOps.find(db, 'expenses', id);
+      const vendor = LedgerOps.find(db, 'vendors', body.vendorId);
+      if (!expense || !vendor) return { success: false, message: 'Expense or vendor not found' };
+      const previousVendor = LedgerOps.find(db, 'vendors', expense['Vendor ID']);
+      if (previousVendor) {
+        previousVendor['Total Expenses (NGN)'] = LedgerOps.num(previousVendor['Total Expenses (NGN)']) - LedgerOps.num(expense['Total Expenses (NGN)']);
+        previousVendor['Outstanding Balance (NGN)'] = LedgerOps.num(previousVendor['Outstanding Balance (NGN)']) - LedgerOps.expenseBalance(expense);
+      }
+      LedgerOps.ensureExpensePaymentHistory(db, expense);
+      Object.assign(expense, {
+        'Vendor ID': vendor['ID'], 'Vendor': vendor['Name'], 'Category': body.category, 'Staff': body.staff,
+        'Staff ID': body.staffId || '', 'Payroll Month': body.payrollMonth || expense['Payroll Month'] || '', 'Date': body.date,
+        'Quantity': body.quantity, 'Total Expenses (NGN)': body.totalAmount, 'Notes': body.notes || '', 'Due Date': body.dueDate || '',
+        'Material': body.material || '', 'Material Unit': body.materialUnit || '',
+        'Vehicle': body.vehicle || '', 'Run ID': body.runId || '', 'Payment Method': body.paymentMethod || 'cash'
+      }, stamp);
+
+      // Part-payments stand; the edited Amount Paid sets what was paid when the expense was entered
+      const payments = LedgerOps.expensePayments(db, expense['ID']);
+      payments.forEach(payment => Object.assign(payment, { 'Vendor ID': vendor['ID'], 'Vendor': vendor['Name'] }));
+      const partPayments = payments.filter(payment => payment['Type'] === 'Part-payment').reduce((total, payment) => total + LedgerOps.num(payment['Amount (NGN)']), 0);
+      const atEntry = Math.max(body.amountPaid - partPayments, 0);
+      const opening = payments.find(payment => payment['Type'] !== 'Part-payment');
+      if (opening) {
+        Object.assign(opening, { 'Amount (NGN)': atEntry, 'Method': body.paymentMethod || 'cash' }, stamp);
+      } else if (atEntry > 0) {
+        db.expensePayments.push(LedgerOps.expensePaymentRow(db, expense, { type: 'At entry', date: body.date, amount: atEntry, method: body.paymentMethod }, stamp));
+      }
+      LedgerOps.settleExpense(db, expense);
+
+      vendor['Total Expenses (NGN)'] = LedgerOps.num(vendor['Total Expenses (NGN)']) + body.totalAmount;
+      vendor['Outstanding Balance (NGN)'] = LedgerOps.num(vendor['Outstanding Balance (NGN)']) + expense['Balance (NGN)'];
+      return { success: true, message: 'Expense updated', id };
+    },
+
+    payExpense(db, { id, body, stamp = {} }) {
+      const expense = LedgerOps.find(db, 'expenses', id);
+      if (!expense) return { success: false, message: 'Expense not found' };
+      if (body.amount > LedgerOps.expenseBalance(expense)) return { success: false, message: 'Amount exceeds outstanding balance' };
+      LedgerOps.ensureExpensePaymentHistory(db, expense);
+      db.expensePayments.push(LedgerOps.expensePaymentRow(db, expense, {
+        type: 'Part-payment', date: body.date || DOM.today, amount: body.amount, method: body.method,
+        reference: body.reference, paidBy: body.paidBy
+      }, stamp));
+      LedgerOps.settleExpense(db, expense);
+      Object.assign(expense, stamp);
+      const vendor = LedgerOps.find(db, 'vendors', expense['Vendor ID']);
+      if (vendor) vendor['Outstanding Balance (NGN)'] = LedgerOps.num(vendor['Outstanding Balance (NGN)']) - body.amount;
+      return { success: true, message: 'Vendor payment recorded', id };
+    },
+
+    addRecurringExpense(db, { body, newId, stamp = {} }) {
+      const vendor = LedgerOps.find(db, 'vendors', body.vendorId);
+      if (!vendor) return { success: false, message: 'Vendor not found' };
+      db.recurringExpenses = db.recurringExpenses || [];
+      db.recurringExpenses.push({
+        'ID': newId, ...LedgerOps.recurringFields(vendor, body), 'Skipped': '', ...stamp
+      });
+      return { success: true, message: 'Recurring expense added', id: newId };
+    },
+
+    updateRecurringExpense(db, { id, body, stamp = {} }) {
+      const template = LedgerOps.find(db, 'recurringExpenses', id);
+      const vendor = LedgerOps.find(db, 'vendors', body.vendorId);
+      if (!template || !vendor) return { success: false, message: 'Recurring expense or vendor not found' };
+      Object.assign(template, LedgerOps.recurringFields(vendor, body), stamp);
+      return { success: true, message: 'Recurring expense updated', id };
+    },
+
+    // Dismisses one due date of a template without entering an expense for it
+    skipRecurringExpense(db, { id, body, stamp = {} }) {
+      const template = LedgerOps.find(db, 'recurringExpenses', id);
+      if (!template) return { success: false, message: 'Recurring expense not found' };
+      const skipped = String(template['Skipped'] || '').split(',').filter(Boolean);
+      if (!skipped.includes(body.dueFor)) skipped.push(body.dueFor);
+      Object.assign(template, { 'Skipped': skipped.join(',') }, stamp);
+      return { success: true, message: 'Recurring expense skipped', id };
+    },
+
+    // One budget per expense category
+    addBudget(db, { body, newId, stamp = {} }) {
+      db.budgets = db.budgets || [];
+      if (db.budgets.some(budget => budget['Category'] === body.category)) {
+        return { success: false, message: `A budget for ${body.category} already exists` };
+      }
+      db.budgets.push({
+        'ID': newId, 'Category': body.category, 'Monthly Budget (NGN)': body.monthlyBudget, 'Alert At (%)': body.alertAt, 'Notes': body.notes || '', ...stamp
+      });
+      return { success: true, message: 'Budget added', id: newId };
+    },
+
+    updateBudget(db, { id, body, stamp = {} }) {
+      const budget = LedgerOps.find(db, 'budgets', id);
+      if (!budget) return { success: false, message: 'Budget not found' };
+      if (db.budgets.some(other => other !== budget && other['Category'] === body.category)) {
+        return { success: false, message: `A budget for ${body.category} already exists` };
+      }
+      Object.assign(budget, {
+        'Category': body.category, 'Monthly Budget (NGN)': body.monthlyBudget, 'Alert At (%)': body.alertAt, 'Notes': body.notes || ''
+      }, stamp);
+      return { success: true, message: 'Budget updated', id };
+    },
+
+    // Only the file's details are kept with the records; the file itself stays on the server
+    addAttachment(db, { body, newId, stamp = {} }) {
+      const collection = { sale: 'sales', expense: 'expenses' }[body.recordType];
+      if (!collection) return { success: false, message: 'Attachments can only be added to sales and expenses' };
+      // Photos arrive re-encoded as JPEG; anything else could carry script when opened
+      if (!['image/jpeg', 'application/pdf'].includes(body.mimeType)) {
+        return { success: false, message: 'Only JPEG photos and PDFs can be attached' };
+      }
+      if (!LedgerOps.find(db, collection, body.recordId)) {
+        return { success: false, message: `${body.recordType === 'sale' ? 'Sale' : 'Expense'} not found` };
+      }
+      db.attachments = db.attachments || [];
+      db.attachments.push({
+        'ID': newId, 'Record Type': body.recordType, 'Record ID': body.recordId, 'File Name': body.fileName,
+        'Mime Type': body.mimeType, 'Size (KB)': Math.ceil((body.size || 0) / 1024), 'Date': body.date || DOM.today, 'URL': '',
+        ...stamp
+      });
+      return { success: true, message: 'Attachment added', id: newId };
+    },
+
+    deleteAttachment(db, { id }) {
+      db.attachments = (db.attachments || []).filter(row => String(row['ID']) !== String(id));
+      return { success: true, message: 'Attachment deleted', id };
+    }
+  },
+
+  recurringFields(vendor, body) {
+    return {
+      'Vendor ID': vendor['ID'], 'Vendor': vendor['Name'], 'Category': body.category, 'Staff': body.staff, 'Staff ID': body.staffId || '',
+      'Amount (NGN)': body.amount, 'Frequency': body.frequency, 'Start Date': body.startDate, 'Payment Method': body.paymentMethod || 'cash',
+      'Paid On Entry': body.paidOnEntry !== false, 'Notes': body.notes || '', 'Active': body.active !== false
+    };
+  }
+};
+
+// Product catalogue and price list. Price tiers, customer prices and sale line items may
+// come back from the sheet as JSON text, so they are parsed on read.
+const Catalogue = {
+  parseJSON(value, fallback) {
+    if (typeof value !== 'string') return value ?? fallback;
+    if (!value.trim()) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      Utils.logError(`Unreadable catalogue value: ${value}`, 'Catalogue');
+      return fallback;
+    }
+  },
+
+  // Active products, by name
+  get products() {
+    return (Store.state.cachedData.products || [])
+      .filter(product => product['Active'] !== false && product['Active'] !== 'FALSE')
+      .sort((a, b) => String(a['Name']).localeCompare(String(b['Name'])));
+  },
+
+  find(id) {
+    return (Store.state.cachedData.products || []).find(product => String(product['ID']) === String(id));
+  },
+
+  /**
+   * Reads "50=180, 100=170" (from 50 units, 180 each) into price tiers
+   * @param {string} text - Tier list as typed
+   * @return {Array<Object>|null} [{ minQuantity, price }] by quantity, or null if malformed
+   */
+  parseTiers(text) {
+    if (!text || !text.trim()) return [];
+    const tiers = text.split(',').map(part => part.split('=').map(value => parseFloat(value)));
+    if (tiers.some(pair => pair.length !== 2 || pair.some(isNaN) || pair[0] < 1 || pair[1] < 0)) return null;
+    return tiers.map(([minQuantity, price]) => ({ minQuantity, price })).sort((a, b) => a.minQuantity - b.minQuantity);
+  },
+
+  formatTiers(tiers) {
+    return this.parseJSON(tiers, []).map(({ minQuantity, price }) => `${minQuantity}=${price}`).join(', ');
+  },
+
+  /**
+   * Reads "C001=170, C002=175" into customer prices
+   * @param {string} text - Customer price list as typed
+   * @return {Object|null} { customerId: price }, or null if malformed
+   */
+  parseCustomerPrices(text) {
+    if (!text || !text.trim()) return {};
+    const prices = {};
+    for (const part of text.split(',')) {
+      const [customerId, price] = part.split('=').map(value => value.trim());
+      if (!customerId || price === undefined || isNaN(parseFloat(price))) return null;
+      prices[customerId] = parseFloat(price);
+    }
+    return prices;
+  },
+
+  formatCustomerPrices(prices) {
+    return Object.entries(this.parseJSON(prices, {})).map(([customerId, price]) => `${customerId}=${price}`).join(', ');
+  },
+
+  /**
+   * Price of one unit for a customer buying a quantity: the customer's own price if they
+   * have one, else the best volume tier reached, else the list price
+   * @param {Object} product - Product record
+   * @param {string} customerId - Customer ID
+   * @param {number} quantity - Units on the line
+   * @return {number} Unit price in NGN
+   */
+  unitPrice(product, customerId, quantity) {
+    const customerPrices = this.parseJSON(product['Customer Prices'], {});
+    if (customerId && customerPrices[customerId] !== undefined) return LedgerOps.num(customerPrices[customerId]);
+    const tier = this.parseJSON(product['Price Tiers'], [])
+      .filter(({ minQuantity }) => quantity >= minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    return tier ? LedgerOps.num(tier.price) : LedgerOps.num(product['Unit Price (NGN)']);
+  },
+
+  lineItems(sale) {
+    return this.parseJSON(sale['Line Items'], []);
+  },
+
+  // Products sold in a container the customer must bring back, such as the 19L dispenser bottle
+  isReturnable(product) {
+    return !!product && LedgerOps.num(product['Container Deposit (NGN)']) > 0;
+  },
+
+  /**
+   * Deposit per container: that of the returnable product on the lines, else of the
+   * only returnable product in the catalogue
+   * @param {Array<Object>} lines - Sale line items
+   * @return {number} Deposit in NGN, or 0 if it cannot be told
+   */
+  depositRate(lines) {
+    const onSale = lines.map(line => this.find(line.productId)).find(product => this.isReturnable(product));
+    const returnable = this.products.filter(product => this.isReturnable(product));
+    const product = onSale || (returnable.length === 1 ? returnable[0] : null);
+    return product ? LedgerOps.num(product['Container Deposit (NGN)']) : 0;
+  },
+
+  // e.g. "12 × Sachet (bag), 2 × Bottle 75cl"
+  describe(sale) {
+    return this.lineItems(sale).map(line => `${line.quantity} × ${line.productName}`).join(', ');
+  }
+};
+
+// Stock on hand is derived, like sale balances are from payments: production runs and
+// stock adjustments add to a product, sale line items take away from it. Sales entered
+// without line items have no product, so they do not move stock.
+const Inventory = {
+  TYPES: ['Production', 'Adjustment'],
+
+  /**
+   * Stock position of every active product
+   * @return {Array<Object>} { product, produced, adjusted, sold, onHand, reorderLevel, low }
+   */
+  stock() {
+    const { production = [], sales = [], archivedSales = [] } = Store.state.cachedData;
+    const totals = {};
+    const entry = id => (totals[id] = totals[id] || { produced: 0, adjusted: 0, sold: 0 });
+    production.forEach(run => {
+      entry(run['Product ID'])[run['Type'] === 'Adjustment' ? 'adjusted' : 'produced'] += LedgerOps.num(run['Quantity']);
+    });
+    // Archiving a sale hides it from the sales list; the units still left the yard
+    [...sales, ...archivedSales].forEach(sale => Catalogue.lineItems(sale).forEach(line => {
+      entry(line.productId).sold += LedgerOps.num(line.quantity);
+    }));
+
+    return Catalogue.products.map(product => {
+      const { produced, adjusted, sold } = totals[product['ID']] || { produced: 0, adjusted: 0, sold: 0 };
+      const onHand = produced + adjusted - sold;
+      const reorderLevel = LedgerOps.num(product['Reorder Level']);
+      return { product, produced, adjusted, sold, onHand, reorderLevel, low: reorderLevel > 0 && onHand <= reorderLevel };
+    });
+  },
+
+  onHand(productId) {
+    const row = this.stock().find(item => String(item.product['ID']) === String(productId));
+    return row ? row.onHand : 0;
+  },
+
+  lowStock() {
+    return this.stock().filter(item => item.low);
+  },
+
+  /**
+   * Lines that would take a product below zero
+   * @param {Array<Object>} lineItems - Lines of the sale being saved
+   * @param {string} [editId] - ID of the sale being edited, whose old lines go back into stock
+   * @return {Array<Object>} { productName, quantity, onHand }
+   */
+  shortfalls(lineItems, editId) {
+    const previous = editId ? Catalogue.lineItems(Store.state.cachedData.sales.find(sale => String(sale['ID']) === String(editId)) || {}) : [];
+    const wanted = {};
+    lineItems.forEach(line => {
+      wanted[line.productId] = wanted[line.productId] || { productName: line.productName, quantity: 0 };
+      wanted[line.productId].quantity += line.quantity;
+    });
+    return Object.entries(wanted).map(([productId, line]) => {
+      const returned = previous.filter(old => String(old.productId) === String(productId)).reduce((total, old) => total + LedgerOps.num(old.quantity), 0);
+      return { ...line, onHand: this.onHand(productId) + returned };
+    }).filter(line => line.quantity > line.onHand);
+  },
+
+  /**
+   * Raw materials received through Supply expenses, less what production runs used
+   * @return {Array<Object>} { name, unit, received, used, onHand }
+   */
+  materials() {
+    const { expenses = [], production = [] } = Store.state.cachedData;
+    const totals = {};
+    const entry = name => {
+      const key = name.trim().toLowerCase();
+      return (totals[key] = totals[key] || { name: name.trim(), unit: '', received: 0, used: 0 });
+    };
+    expenses.filter(expense => expense['Category'] === 'Supply' && expense['Material']).forEach(expense => {
+      const material = entry(expense['Material']);
+      material.received += LedgerOps.num(expense['Quantity']);
+      material.unit = material.unit || expense['Material Unit'] || '';
+    });
+    production.filter(run => run['Material']).forEach(run => {
+      entry(run['Material']).used += LedgerOps.num(run['Material Quantity']);
+    });
+    return Object.values(totals)
+      .map(material => ({ ...material, onHand: material.received - material.used }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Units produced and sold per day, for the dashboard chart
+   * @param {Object} range - { startDate, endDate }
+   * @return {Array<Object>} { date, produced, sold } by date
+   */
+  trend(range) {
+    const { production = [], sales = [], archivedSales = [] } = Store.state.cachedData;
+    const byDate = {};
+    const day = date => (byDate[date] = byDate[date] || { date, produced: 0, sold: 0 });
+    production.filter(run => run['Type'] !== 'Adjustment' && LedgerOps.inRange(MetricsEngine.dateKey(run['Date']), range)).forEach(run => {
+      day(MetricsEngine.dateKey(run['Date'])).produced += LedgerOps.num(run['Quantity']);
+    });
+    // Counted from line items, as stock() counts them, so the chart and stock levels agree
+    [...sales, ...archivedSales].filter(sale => LedgerOps.inRange(MetricsEngine.dateKey(sale['Date']), range)).forEach(sale => Catalogue.lineItems(sale).forEach(line => {
+      day(MetricsEngine.dateKey(sale['Date'])).sold += LedgerOps.num(line.quantity);
+    }));
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+  }
+};
+
+// Delivery runs: a vehicle and driver taking stock out to a list of customers. Sales and
+// vehicle expenses can name the run they belong to; a run is reconciled against its
+// sales, and the vehicle and route report is built from both.
+const DeliveryRuns = {
+  VEHICLE_CATEGORIES: ['VehicleFuel', 'VehicleMaintenance'],
+
+  get runs() {
+    return Store.state.cachedData.deliveries || [];
+  },
+
+  find(id) {
+    return this.runs.find(run => String(run['ID']) === String(id));
+  },
+
+  customerIds(run) {
+    return Catalogue.parseJSON(run['Customer IDs'], []).map(String);
+  },
+
+  isOpen(run) {
+    return run['Status'] !== 'Reconciled';
+  },
+
+  label(run) {
+    return [run['ID'], MetricsEngine.dateKey(run['Date']), run['Vehicle'], run['Route']].filter(Boolean).join(' · ');
+  },
+
+  // Customer towns, for grouping customers into routes
+  towns() {
+    return [...new Set(Store.state.cachedData.customers.map(customer => (customer['Town'] || '').trim()).filter(Boolean))].sort();
+  },
+
+  /**
+   * @param {Array<string>} customerIds - Customers on the run
+   * @return {string} Their towns, e.g. "Epe, Ikorodu"
+   */
+  route(customerIds) {
+    const towns = customerIds
+      .map(id => Store.state.cachedData.customers.find(customer => String(customer['ID']) === String(id)))
+      .map(customer => (customer && customer['Town'] || '').trim())
+      .filter(Boolean);
+    return [...new Set(towns)].sort().join(', ');
+  },
+
+  vehicles() {
+    const names = [
+      ...this.runs.map(run => run['Vehicle']),
+      ...Store.state.cachedData.expenses.map(expense => expense['Vehicle'])
+    ];
+    return [...new Set(names.map(name => (name || '').trim()).filter(Boolean))].sort();
+  },
+
+  /**
+   * Payments taken when a sale was made, as { method, amount }. Later instalments are
+   * left out: they were not collected on the run. Sales without a payment history
+   * count their Amount Paid.
+   * @param {Object} sale - Sale record
+   * @return {Array<Object>} Opening payments
+   */
+  paidAtSale(sale) {
+    const payments = LedgerOps.salePayments(Store.state.cachedData, sale['ID']);
+    if (!payments.length) return [{ method: sale['Payment Method'], amount: LedgerOps.num(sale['Amount Paid (NGN)']) }];
+    return payments
+      .filter(payment => payment['Type'] !== 'Instalment')
+      .map(payment => ({ method: payment['Method'], amount: LedgerOps.num(payment['Amount (NGN)']) }));
+  },
+
+  /**
+   * What the sales entered for a run say the driver should bring back. Transfers go
+   * straight to the bank, so everything else paid at the time of sale is expected in hand.
+   * @param {Object} run - Delivery run record
+   * @return {Object} { sales, quantitySold, revenue, expectedCash, transfers, missed, delivered, cashCollected, cashVariance, unsold }
+   */
+  summary(run) {
+    const sales = Store.state.cachedData.sales.filter(sale => String(sale['Run ID']) === String(run['ID']));
+    const sum = (rows, key) => rows.reduce((total, row) => total + LedgerOps.num(row[key]), 0);
+    const paid = sales.flatMap(sale => this.paidAtSale(sale));
+    const isTransfer = payment => String(payment.method || '').toLowerCase() === 'transfer';
+    const total = payments => payments.reduce((amount, payment) => amount + payment.amount, 0);
+    const expectedCash = total(paid.filter(payment => !isTransfer(payment)));
+    const transfers = total(paid.filter(isTransfer));
+    const quantitySold = sum(sales, 'Quantity');
+    const served = new Set(sales.map(sale => String(sale['Customer ID'])));
+    const reconciled = !this.isOpen(run);
+    const delivered = reconciled ? LedgerOps.num(run['Quantity Delivered']) : null;
+    const cashCollected = reconciled ? LedgerOps.num(run['Cash Collected (NGN)']) : null;
+
+    return {
+      sales,
+      quantitySold,
+      revenue: sum(sales, 'Total Amount (NGN)'),
+      expectedCash,
+      transfers,
+      missed: this.customerIds(run).filter(id => !served.has(id)),
+      delivered,
+      cashCollected,
+      cashVariance: reconciled ? cashCollected - expectedCash : null,
+      // Units that left the vehicle without a sale entered for them
+      unsold: reconciled ? delivered - quantitySold : null
+    };
+  },
+
+  /**
+   * Revenue from run sales against fuel and maintenance, per vehicle and per route.
+   * Vehicle expenses count toward a route only when they name a run.
+   * @param {Object} range - { startDate, endDate }
+   * @return {Object} { vehicles, routes }, each a list of { name, runs, delivered, revenue, fuel, maintenance, fuelShare }
+   */
+  performance(range) {
+    const byVehicle = {};
+    const byRoute = {};
+    const row = (rows, name) => (rows[name] = rows[name] || { name, runs: 0, delivered: 0, revenue: 0, fuel: 0, maintenance: 0 });
+
+    this.runs.filter(run => LedgerOps.inRange(MetricsEngine.dateKey(run['Date']), range)).forEach(run => {
+      const { quantitySold, revenue } = this.summary(run);
+      [row(byVehicle, run['Vehicle'] || 'Unassigned'), row(byRoute, run['Route'] || 'Unassigned')].forEach(total => {
+        total.runs++;
+        total.delivered += quantitySold;
+        total.revenue += revenue;
+      });
+    });
+
+    Store.state.cachedData.expenses
+      .filter(expense => this.VEHICLE_CATEGORIES.includes(expense['Category']) && LedgerOps.inRange(MetricsEngine.dateKey(expense['Date']), range))
+      .forEach(expense => {
+        const run = expense['Run ID'] ? this.find(expense['Run ID']) : null;
+        const vehicle = expense['Vehicle'] || (run && run['Vehicle']);
+        const key = expense['Category'] === 'VehicleFuel' ? 'fuel' : 'maintenance';
+        const amount = LedgerOps.num(expense['Total Expenses (NGN)']);
+        if (vehicle) row(byVehicle, vehicle)[key] += amount;
+        if (run) row(byRoute, run['Route'] || 'Unassigned')[key] += amount;
+      });
+
+    const finish = rows => Object.values(rows)
+      .map(total => ({ ...total, fuelShare: total.revenue ? total.fuel / total.revenue : null }))
+      .sort((a, b) => b.revenue - a.revenue);
+    return { vehicles: finish(byVehicle), routes: finish(byRoute) };
+  }
+};
+
+// Local metrics engine. Computes the generateReports response from sales and expense
+// records for any date range, so the dashboard and reports work offline, and so the
+// server's numbers can be checked against the cached records.
+const MetricsEngine = {
+  // Scalar totals compared against the server
+  TOTAL_KEYS: [
+    'totalSales', 'outstandingPayments', 'totalQuantitySold', 'overduePayments',
+    'cashSales', 'transferSales', 'creditSales', 'totalExpenses', 'totalExpensesPaid'
+  ],
+  TOLERANCE: 0.01,
+  TOP_COUNT: 5,
+
+  // Last server report and the range it covered, kept for the cross-check
+  lastServerReport: null,
+
+  /**
+   * Normalizes a record date to YYYY-MM-DD in the business time zone
+   * @param {string} value - Date from a record
+   * @return {string} The calendar date
+   */
+  dateKey(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return moment(value).tz('Africa/Lagos').format('YYYY-MM-DD');
+  },
+
+  /**
+   * Computes dashboard metrics over the records dated within a range
+   * @param {Object} db - { sales, expenses }
+   * @param {Object} [range] - { startDate, endDate } as YYYY-MM-DD, open-ended if omitted
+   * @return {Object} Metrics in the shape of the generateReports response
+   */
+  compute({ sales = [], expenses = [] }, range = {}) {
+    const num = LedgerOps.num;
+    const inRange = row => row['Date'] && LedgerOps.inRange(this.dateKey(row['Date']), range);
+    const rangeSales = sales.filter(inRange);
+    const rangeExpenses = expenses.filter(inRange);
+    const sum = (rows, key) => rows.reduce((total, row) => total + num(row[key]), 0);
+    const byMethod = method => sum(rangeSales.filter(sale => String(sale['Payment Method']).toLowerCase() === method), 'Total Amount (NGN)');
+    const top = (rows, nameKey, valueKey) => {
+      const totals = {};
+      rows.forEach(row => {
+        const name = row[nameKey] || 'Unknown';
+        totals[name] = (totals[name] || 0) + num(row[valueKey]);
+      });
+      return Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, this.TOP_COUNT);
+    };
+
+    const byDate = {};
+    const day = date => (byDate[date] = byDate[date] || { date, paid: 0, outstanding: 0, expenses: 0, total: 0 });
+    rangeSales.forEach(sale => {
+      const entry = day(this.dateKey(sale['Date']));
+      entry.total += num(sale['Total Amount (NGN)']);
+      entry.paid += num(sale['Amount Paid (NGN)']);
+      entry.outstanding += num(sale['Balance (NGN)']);
+    });
+    rangeExpenses.forEach(expense => {
+      day(this.dateKey(expense['Date'])).expenses += num(expense['Total Expenses (NGN)']);
+    });
+    const metricsByDate = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+
+    // Sales from before line items count as one unspecified line
+    const byProduct = {};
+    rangeSales.forEach(sale => {
+      const lines = Catalogue.lineItems(sale);
+      (lines.length ? lines : [{ productId: '', productName: 'Unspecified', quantity: sale['Quantity'], lineTotal: sale['Total Amount (NGN)'] }])
+        .forEach(line => {
+          const key = line.productId || line.productName;
+          byProduct[key] = byProduct[key] || { productId: line.productId, name: line.productName, quantity: 0, total: 0 };
+          byProduct[key].quantity += num(line.quantity);
+          byProduct[key].total += num(line.lineTotal);
+        });
+    });
+
+    const totalSales = sum(rangeSales, 'Total Amount (NGN)');
+    const totalExpenses = sum(rangeExpenses, 'Total Expenses (NGN)');
+    return {
+      totalSales,
+      outstandingPayments: sum(rangeSales, 'Balance (NGN)'),
+      totalQuantitySold: sum(rangeSales, 'Quantity'),
+      overduePayments: rangeSales.filter(sale => num(sale['Balance (NGN)']) > 0 && sale['Due Date'] && this.dateKey(sale['Due Date']) < DOM.today).length,
+      cashSales: byMethod('cash'),
+      transferSales: byMethod('transfer'),
+      creditSales: byMethod('credit'),
+      totalExpenses,
+      totalExpensesPaid: sum(rangeExpenses, 'Amount Paid (NGN)'),
+      topCustomers: top(rangeSales, 'Customer Name', 'Total Amount (NGN)').map(([name, totalPurchases]) => ({ name, totalPurchases })),
+      topExpenseCategories: top(rangeExpenses, 'Category', 'Total Expenses (NGN)').map(([name, totalVendorExpenses]) => ({ name, totalVendorExpenses })),
+      metricsByDate,
+      productBreakdown: Object.values(byProduct).sort((a, b) => b.total - a.total),
+      // Rows for the Reports screen
+      records: metricsByDate.map(({ date, total, expenses: spent }) => ({
+        'Date': date, 'Total Sales (NGN)': total, 'Total Expenses (NGN)': spent, 'Net Profit': total - spent
+      })),
+      totalProfit: totalSales - totalExpenses
+    };
+  },
+
+  /**
+   * Compares server totals with totals computed from the cached server records
+   * @param {Object} report - { metrics, range } from generateReports
+   * @return {Array<Object>} Differences as { key, server, local }; empty if they agree
+   */
+  crossCheck(report = this.lastServerReport) {
+    const { sales, expenses } = Store.state.snapshots;
+    if (!report || (!sales.length && !expenses.length)) return [];
+    const local = this.compute(Store.state.snapshots, report.range);
+    const differences = this.TOTAL_KEYS
+      .filter(key => report.metrics[key] !== undefined && Math.abs(LedgerOps.num(report.metrics[key]) - local[key]) > this.TOLERANCE)
+      .map(key => ({ key, server: LedgerOps.num(report.metrics[key]), local: local[key] }));
+    if (differences.length) {
+      const { startDate = 'start', endDate = 'today' } = report.range || {};
+      Utils.logError(`Server metrics for ${startDate} to ${endDate} differ from cached records: ${differences.map(d => `${d.key} ${d.server} vs ${d.local}`).join(', ')}`, 'MetricsEngine');
+    }
+    return differences;
+  }
+};
+
+// In-memory adapter backed by local fixtures, for tests and UI work without a backend (?backend=mock)
+const MockAdapter = {
+  name: 'mock',
+  nextId: 100,
+  db: null,
+  replies: {},
+
+  fixtures() {
+    const today = moment().tz('Africa/Lagos');
+    const day = offset => today.clone().subtract(offset, 'days').format('YYYY-MM-DD');
+    return {
+      customers: [
+        { 'ID': 'C001', 'Name': 'Mama Tolu Stores', 'Phone': '08031234567', 'Email': '', 'Town': 'Ikorodu', 'Total Purchases (NGN)': 45000, 'Outstanding Balance (NGN)': 15000, 'Customer Since': day(120), 'Notes': '', 'Containers Out': 0, 'Containers Returned': 0, 'Deposits Held (NGN)': 0 },
+        { 'ID': 'C002', 'Name': 'Bisi Provisions', 'Phone': '08129876543', 'Email': 'bisi@example.com', 'Town': 'Epe', 'Total Purchases (NGN)': 12000, 'Outstanding Balance (NGN)': 0, 'Customer Since': day(60), 'Notes': '', 'Containers Out': 6, 'Containers Returned': 2, 'Deposits Held (NGN)': 8000 }
+      ],
+      vendors: [
+        { 'ID': 'V001', 'Name': 'Total Filling Station', 'Phone': '08020000001', 'Email': '', 'Service Category': 'Supplier', 'Town': 'Ikorodu', 'Total Expenses (NGN)': 175000, 'Outstanding Balance (NGN)': 15000, 'Vendor Since': day(200), 'Notes': '' },
+        { 'ID': 'V002', 'Name': 'Staff Payroll', 'Phone': '', 'Email': '', 'Service Category': 'Payroll', 'Town': '', 'Total Expenses (NGN)': 60000, 'Outstanding Balance (NGN)': 0, 'Vendor Since': day(200), 'Notes': 'Salaries paid from the business account' }
+      ],
+      attachments: [],
+      attachmentFiles: {},
+      archivedSales: [],
+      budgets: [
+        { 'ID': 'BG001', 'Category': 'GenFuel', 'Monthly Budget (NGN)': 100000, 'Alert At (%)': 80, 'Notes': '' },
+        { 'ID': 'BG002', 'Category': 'Salary', 'Monthly Budget (NGN)': 160000, 'Alert At (%)': 90, 'Notes': '' },
+        { 'ID': 'BG003', 'Category': 'VehicleFuel', 'Monthly Budget (NGN)': 20000, 'Alert At (%)': 80, 'Notes': '' }
+      ],
+      recurringExpenses: [
+        { 'ID': 'RE001', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Category': 'GenFuel', 'Staff': 'Kunle Bello', 'Staff ID': 'ST003', 'Amount (NGN)': 25000, 'Frequency': 'weekly', 'Start Date': day(10), 'Payment Method': 'cash', 'Paid On Entry': true, 'Notes': 'Generator diesel', 'Active': true, 'Skipped': '' }
+      ],
+      staff: [
+        { 'ID': 'ST001', 'Name': 'Sunday Okafor', 'Role': 'Driver', 'Phone': '08055550001', 'Monthly Salary (NGN)': 60000, 'Start Date': day(400), 'Active': true },
+        { 'ID': 'ST002', 'Name': 'Blessing Adeyemi', 'Role': 'Sales', 'Phone': '08055550002', 'Monthly Salary (NGN)': 50000, 'Start Date': day(300), 'Active': true },
+        { 'ID': 'ST003', 'Name': 'Kunle Bello', 'Role': 'Factory', 'Phone': '', 'Monthly Salary (NGN)': 45000, 'Start Date': day(90), 'Active': true }
+      ],
+      sales: [
+        { 'ID': 'S001', 'Customer ID': 'C001', 'Customer Name': 'Mama Tolu Stores', 'Date': day(40), 'Quantity': 100, 'Total Amount (NGN)': 30000, 'Amount Paid (NGN)': 15000, 'Payment Method': 'credit', 'Payment Status': 'Partial', 'Balance (NGN)': 15000, 'Due Date': day(10), 'Notes': '' },
+        { 'ID': 'S002', 'Customer ID': 'C001', 'Customer Name': 'Mama Tolu Stores', 'Date': day(3), 'Quantity': 50, 'Total Amount (NGN)': 15000, 'Amount Paid (NGN)': 15000, 'Payment Method': 'cash', 'Payment Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Notes': '', 'Line Items': [{ productId: 'P001', productName: 'Sachet Water (bag of 20)', quantity: 50, unitPrice: 300, lineTotal: 15000 }], 'Run ID': 'D001' },
+        { 'ID': 'S003', 'Customer ID': 'C002', 'Customer Name': 'Bisi Provisions', 'Date': day(0), 'Quantity': 40, 'Total Amount (NGN)': 12000, 'Amount Paid (NGN)': 12000, 'Payment Method': 'transfer', 'Payment Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Notes': '', 'Run ID': 'D002' }
+      ],
+      expenses: [
+        { 'ID': 'E001', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Category': 'VehicleFuel', 'Staff': 'Driver', 'Date': day(3), 'Quantity': 30, 'Total Expenses (NGN)': 30000, 'Amount Paid (NGN)': 30000, 'Notes': '', 'Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Vehicle': 'Truck LND-402', 'Run ID': 'D001', 'Payment Method': 'transfer' },
+        { 'ID': 'E002', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Category': 'Supply', 'Staff': 'Factory', 'Date': day(5), 'Quantity': 10, 'Total Expenses (NGN)': 85000, 'Amount Paid (NGN)': 85000, 'Notes': '', 'Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Material': 'Nylon roll', 'Material Unit': 'roll' },
+        { 'ID': 'E003', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Category': 'Supply', 'Staff': 'Factory', 'Date': day(5), 'Quantity': 1000, 'Total Expenses (NGN)': 40000, 'Amount Paid (NGN)': 40000, 'Notes': '', 'Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Material': 'Preforms', 'Material Unit': 'piece' },
+        { 'ID': 'E004', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Category': 'GenFuel', 'Staff': 'Factory', 'Date': day(45), 'Quantity': 20, 'Total Expenses (NGN)': 20000, 'Amount Paid (NGN)': 5000, 'Notes': '', 'Status': 'Outstanding', 'Balance (NGN)': 15000, 'Due Date': day(30), 'Payment Method': 'cash' },
+        { 'ID': 'E005', 'Vendor ID': 'V002', 'Vendor': 'Staff Payroll', 'Category': 'Salary', 'Staff': 'Sunday Okafor', 'Staff ID': 'ST001', 'Payroll Month': moment(day(20)).format('YYYY-MM'), 'Date': day(20), 'Quantity': 1, 'Total Expenses (NGN)': 60000, 'Amount Paid (NGN)': 60000, 'Notes': '', 'Status': 'Paid', 'Balance (NGN)': 0, 'Due Date': '', 'Payment Method': 'transfer' }
+      ],
+      expensePayments: [
+        { 'ID': 'E001-P1', 'Expense ID': 'E001', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Date': day(3), 'Amount (NGN)': 30000, 'Method': 'transfer', 'Reference': '', 'Paid By': '', 'Type': 'At entry' },
+        { 'ID': 'E002-P1', 'Expense ID': 'E002', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Date': day(5), 'Amount (NGN)': 85000, 'Method': 'cash', 'Reference': '', 'Paid By': '', 'Type': 'At entry' },
+        { 'ID': 'E003-P1', 'Expense ID': 'E003', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Date': day(5), 'Amount (NGN)': 40000, 'Method': 'cash', 'Reference': '', 'Paid By': '', 'Type': 'At entry' },
+        { 'ID': 'E004-P1', 'Expense ID': 'E004', 'Vendor ID': 'V001', 'Vendor': 'Total Filling Station', 'Date': day(45), 'Amount (NGN)': 5000, 'Method': 'cash', 'Reference': '', 'Paid By': '', 'Type': 'At entry' },
+        { 'ID': 'E005-P1', 'Expense ID': 'E005', 'Vendor ID': 'V002', 'Vendor': 'Staff Payroll', 'Date': day(20), 'Amount (NGN)': 60000, 'Method': 'transfer', 'Reference': '', 'Paid By': '', 'Type': 'At entry' }
+      ],
+      products: [
+        { 'ID': 'P001', 'Name': 'Sachet Water (bag of 20)', 'SKU': 'SCH-20', 'Unit': 'bag', 'Unit Price (NGN)': 300, 'Price Tiers': [{ minQuantity: 50, price: 280 }, { minQuantity: 100, price: 270 }], 'Customer Prices': { 'C001': 260 }, 'Reorder Level': 50, 'Active': true },
+        { 'ID': 'P002', 'Name': 'Bottled Water 75cl (pack of 12)', 'SKU': 'BTL-75', 'Unit': 'pack', 'Unit Price (NGN)': 1500, 'Price Tiers': [], 'Customer Prices': {}, 'Reorder Level': 40, 'Active': true },
+        { 'ID': 'P003', 'Name': 'Dispenser Bottle 19L', 'SKU': 'DSP-19', 'Unit': 'bottle', 'Unit Price (NGN)': 1200, 'Price Tiers': [], 'Customer Prices': {}, 'Container Deposit (NGN)': 2000, 'Active': true }
+      ],
+      closings: [
+        { 'ID': 'K001', 'Date': day(3), 'Opening Float (NGN)': 5000, 'Expected Cash (NGN)': 20000, 'Expected Transfers (NGN)': 0, 'Counted Cash (NGN)': 19500, 'Counted Transfers (NGN)': 0, 'Cash Variance (NGN)': -500, 'Transfer Variance (NGN)': 0, 'Notes': 'Driver short on run D001', 'Closed By': 'Blessing', 'Closed At': `${day(3)}T18:30:00.000Z`, 'Status': 'Signed Off', 'Reviewed By': '', 'Reviewed At': '', 'Review Notes': '' }
+      ],
+      deliveries: [
+        { 'ID': 'D001', 'Date': day(3), 'Vehicle': 'Truck LND-402', 'Driver': 'Sunday', 'Route': 'Ikorodu', 'Customer IDs': ['C001'], 'Quantity Loaded': 60, 'Notes': '', 'Quantity Delivered': 50, 'Cash Collected (NGN)': 14500, 'Status': 'Reconciled', 'Reconciled At': day(3), 'Reconciliation Notes': 'Short ₦500' },
+        { 'ID': 'D002', 'Date': day(0), 'Vehicle': 'Truck LND-402', 'Driver': 'Sunday', 'Route': 'Epe', 'Customer IDs': ['C002'], 'Quantity Loaded': 50, 'Notes': '', 'Quantity Delivered': '', 'Cash Collected (NGN)': '', 'Status': 'Open', 'Reconciled At': '', 'Reconciliation Notes': '' }
+      ],
+      production: [
+        { 'ID': 'R001', 'Date': day(45), 'Product ID': 'P001', 'Product Name': 'Sachet Water (bag of 20)', 'Type': 'Adjustment', 'Quantity': 120, 'Material': '', 'Material Quantity': 0, 'Notes': 'Opening stock count' },
+        { 'ID': 'R002', 'Date': day(2), 'Product ID': 'P001', 'Product Name': 'Sachet Water (bag of 20)', 'Type': 'Production', 'Quantity': 80, 'Material': 'Nylon roll', 'Material Quantity': 2, 'Notes': '' },
+        { 'ID': 'R003', 'Date': day(1), 'Product ID': 'P002', 'Product Name': 'Bottled Water 75cl (pack of 12)', 'Type': 'Production', 'Quantity': 30, 'Material': 'Preforms', 'Material Quantity': 360, 'Notes': '' }
+      ],
+      payments: [
+        { 'ID': 'S001-P1', 'Sale ID': 'S001', 'Customer ID': 'C001', 'Customer Name': 'Mama Tolu Stores', 'Date': day(40), 'Amount (NGN)': 10000, 'Method': 'cash', 'Reference': '', 'Collected By': 'Driver', 'Type': 'At sale' },
+        { 'ID': 'S001-P2', 'Sale ID': 'S001', 'Customer ID': 'C001', 'Customer Name': 'Mama Tolu Stores', 'Date': day(20), 'Amount (NGN)': 5000, 'Method': 'transfer', 'Reference': 'TRF-2291', 'Collected By': 'Admin', 'Type': 'Instalment' },
+        { 'ID': 'S002-P1', 'Sale ID': 'S002', 'Customer ID': 'C001', 'Customer Name': 'Mama Tolu Stores', 'Date': day(3), 'Amount (NGN)': 15000, 'Method': 'cash', 'Reference': '', 'Collected By': 'Driver', 'Type': 'At sale' },
+        { 'ID': 'S003-P1', 'Sale ID': 'S003', 'Customer ID': 'C002', 'Customer Name': 'Bisi Provisions', 'Date': day(0), 'Amount (NGN)': 12000, 'Method': 'transfer', 'Reference': '', 'Collected By': 'Driver', 'Type': 'At sale' }
+      ]
+    };
+  },
+
+  reset(fixtures = this.fixtures()) {
+    this.db = JSON.parse(JSON.stringify(fixtures));
+    this.replies = {};
+  },
+
+  getCSRFToken() {
+    return 'mock-csrf-token';
+  },
+
+  // Prefixes for IDs of records created through LedgerOps
+  idPrefixes: { addCustomer: 'C', addVendor: 'V', addSale: 'S', addExpense: 'E', addProduct: 'P', addProduction: 'R', addDelivery: 'D', addClosing: 'K', addStaff: 'ST', addRecurringExpense: 'RE', addBudget: 'BG', addAttachment: 'AT' },
+
+  async request({ operation, id, body = {}, idempotencyKey }) {
+    if (!this.db) this.reset();
+    const handler = this.handlers[operation] || (LedgerOps.operations[operation]
+      ? args => LedgerOps.apply(this.db, operation, { ...args, newId: this.idPrefixes[operation] && this.generateId(this.idPrefixes[operation]) })
+      : null);
+    if (!handler) {
+      throw BackendAdapters.httpError(404);
+    }
+    // Replays with a known key get the original response, like the real backends
+    if (idempotencyKey && this.replies[idempotencyKey]) {
+      return this.replies[idempotencyKey];
+    }
+    // Hand back copies so callers cannot mutate the fixture store
+    const reply = JSON.parse(JSON.stringify(handler.call(this, { id, body })));
+    if (idempotencyKey) this.replies[idempotencyKey] = reply;
+    return reply;
+  },
+
+  generateId(prefix) {
+    this.nextId++;
+    return `${prefix}${this.nextId}`;
+  },
+
+  handlers: {
+    getSalesRecords() { return { success: true, data: this.db.sales }; },
+    getCustomers() { return { success: true, data: this.db.customers }; },
+    getVendors() { return { success: true, data: this.db.vendors }; },
+    getExpensesRecords() { return { success: true, data: this.db.expenses }; },
+    getPayments() { return { success: true, data: this.db.payments }; },
+    getProducts() { return { success: true, data: this.db.products }; },
+    getProduction() { return { success: true, data: this.db.production }; },
+    getDeliveries() { return { success: true, data: this.db.deliveries }; },
+    getClosings() { return { success: true, data: this.db.closings }; },
+    getExpensePayments() { return { success: true, data: this.db.expensePayments }; },
+    getStaff() { return { success: true, data: this.db.staff }; },
+    getRecurringExpenses() { return { success: true, data: this.db.recurringExpenses }; },
+    getBudgets() { return { success: true, data: this.db.budgets }; },
+    getAttachments() { return { success: true, data: this.db.attachments }; },
+    getArchivedSales() { return { success: true, data: this.db.archivedSales }; },
+    getAttachment({ id }) {
+      const attachment = this.db.attachments.find(row => String(row['ID']) === String(id));
+      if (!attachment) return { success: false, message: 'Attachment not found' };
+      return { success: true, data: { ...attachment, 'Data': this.db.attachmentFiles[attachment['ID']] || '' } };
+    },
+    addAttachment({ body }) {
+      const result = LedgerOps.apply(this.db, 'addAttachment', { body, newId: this.generateId(this.idPrefixes.addAttachment) });
+      if (result.success) this.db.attachmentFiles[result.id] = body.data;
+      return result;
+    },
+    deleteAttachment({ id, body }) {
+      const result = LedgerOps.apply(this.db, 'deleteAttachment', { id, body });
+      delete this.db.attachmentFiles[id];
+      return result;
+    },
+
+    adminLogin({ body }) {
+      return { success: true, token: 'mock-session-token', expiryDate: moment().add(1, 'day').toISOString(), message: `Logged in as ${body.email}` };
+    },
+
+    logout() { return { success: true, message: 'Logged out' }; },
+
+    getCustomerSales({ id, body }) {
+      return { success: true, data: this.db.sales.filter(sale => String(sale['Customer ID']) === String(id) && LedgerOps.inRange(sale['Date'], body)) };
+    },
+
+    getVendorExpenses({ id, body }) {
+      return { success: true, data: this.db.expenses.filter(expense => String(expense['Vendor ID']) === String(id) && LedgerOps.inRange(expense['Date'], body)).map(expense => ({ ...expense, 'Vendor Name': expense['Vendor'] })) };
+    },
+
+    generateReports({ body }) {
+      return {
+        success: true,
+        data: MetricsEngine.compute(this.db, body)
+      };
+    }
+  }
+};
+
+// Enhanced DataManager with offline support and pagination
+const DataManager = {
+  currentPage: 1,
+  pageSize: 20,
+  charts: {
+    dashboardPaymentMethodChart: null,
+    dashboardTopCustomersChart: null,
+    dashboardTopExpenseCategoriesChart: null,
+    dashboardTotalSalesChart: null,
+    dashboardProductionChart: null
+  },
+
+  adapter: RestAdapter,
+
+  // Collections cached in the Store, keyed by the operation that returns them
+  cachedCollections: {
+    getSalesRecords: 'sales',
+    getCustomers: 'customers',
+    getVendors: 'vendors',
+    getExpensesRecords: 'expenses',
+    getPayments: 'payments',
+    getProducts: 'products',
+    getProduction: 'production',
+    getDeliveries: 'deliveries',
+    getClosings: 'closings',
+    getExpensePayments: 'expensePayments',
+    getStaff: 'staff',
+    getRecurringExpenses: 'recurringExpenses',
+    getBudgets: 'budgets',
+    getAttachments: 'attachments',
+    getArchivedSales: 'archivedSales'
+  },
+
+  async init() {
+    this.setBackend(this.resolveBackendName());
+    this.checkSession();
+    await this.refresh();
+  },
+
+  // Reloads every table, dropdown and the dashboard
+  async refresh() {
+    await Promise.all([
+      this.initDashboard(),
+      this.initSalesTable(),
+      this.initCustomersTable(),
+      this.initExpensesTable(),
+      this.initVendorsTable(),
+      this.initProductsTable(),
+      this.initProductionTable(),
+      this.initDeliveriesTable(),
+      this.initClosingsTable(),
+      this.initStaffTable(),
+      this.initRecurringTable(),
+      this.loadBudgets(),
+      this.loadAttachments(),
+      this.loadArchivedSales(),
+      this.loadPayments(),
+      this.loadExpensePayments(),
+      this.populateCustomerDropdown(),
+      this.populateVendorDropdown()
+    ]);
+    // Stock and run figures are derived from several collections, so draw them again once they are all in
+    this.renderInventory();
+    this.renderDeliveryPerformance();
+    CashUp.render();
+    Payroll.render();
+    // Drafts depend on expenses and templates alike
+    this.renderExpensesTable();
+    Budgets.render();
+    Attachments.render();
+    // Records and metrics are loaded side by side, so compare them once both are in
+    if (!Store.state.uiState.offline) MetricsEngine.crossCheck();
+  },
+
+  /**
+   * Picks the backend from the ?backend= query parameter, then the backend-adapter meta tag
+   * @return {string} Adapter name
+   */
+  resolveBackendName() {
+    const fromQuery = new URLSearchParams(window.location.search).get('backend');
+    const meta = document.querySelector('meta[name="backend-adapter"]');
+    return fromQuery || (meta && meta.content) || 'rest';
+  },
+
+  setBackend(name) {
+    this.adapter = BackendAdapters.get(name);
+    Utils.logInfo(`Using ${this.adapter.name} backend`, 'DataManager');
+  },
+
+  /**
+   * Splits an /api/<operation>/<id>?<query> route into its parts
+   * @param {string} url - The API route
+   * @return {Object} { operation, id, query }
+   */
+  parseEndpoint(url) {
+    const [path, search] = url.split('?');
+    const [operation, ...rest] = path.replace(/^\/?api\//, '').split('/');
+    return {
+      operation,
+      id: rest.length ? decodeURIComponent(rest.join('/')) : undefined,
+      query: search ? Object.fromEntries(new URLSearchParams(search)) : undefined
+    };
+  },
+
+  async fetchData(url, options = {}) {
+    if (Store.state.uiState.offline) {
+      return this.handleOfflineData(url, options);
+    }
+
+    try {
+      const { operation, id, query } = this.parseEndpoint(url);
+      const data = await this.adapter.request({
+        operation,
+        id,
+        query,
+        method: options.method || 'GET',
+        body: options.body,
+        headers: options.headers,
+        idempotencyKey: options.idempotencyKey
+      });
+
+      if (this.cachedCollections[operation] && data.success) {
+        const collection = this.cachedCollections[operation];
+        await Store.setCachedData(collection, data.data);
+        // Writes still in the outbox stay visible on top of the server copy
+        return { ...data, data: Store.state.cachedData[collection] };
+      } else if (operation === 'generateReports' && data.success) {
+        await OfflineManager.saveMetrics(data.data);
+        MetricsEngine.lastServerReport = { metrics: data.data, range: options.body || {} };
+      }
+
+      return data;
+    } catch (error) {
+      Utils.logError(`Failed to fetch data from ${url}: ${error.message || error}`, 'DataManager');
+      throw error;
+    }
+  },
+
+  getCSRFToken() {
+    return this.adapter.getCSRFToken();
+  },
+
+  /**
+   * Clears stored credentials once the server-issued session has expired
+   * @return {boolean} True if a live session exists
+   */
+  checkSession() {
+    const { token, expiry } = Store.state.credentials;
+    if (!token) return false;
+    if (expiry && new Date(expiry) < new Date()) {
+      Store.setCredentials({ token: '', expiry: '' });
+      Utils.showToast('Session expired. Please log in.', 'warning');
+      return false;
+    }
+    return true;
+  },
+
+  async logout() {
+    try {
+      if (this.checkSession()) {
+        await this.fetchData('/api/logout', {
+          method: 'POST',
+          body: { email: Store.state.credentials.email }
+        });
+      }
+      Utils.showToast('Logged out successfully');
+    } catch (err) {
+      Utils.logError(`Logout error: ${err.message || err}`, 'DataManager');
+    } finally {
+      Store.setCredentials({ email: '', token: '', expiry: '' });
+      this.initClosingsTable();
+      Attachments.renderPanel();
+    }
+  },
+
+  async handleOfflineData(url, options = {}) {
+    Utils.logInfo(`Attempting offline data fetch for ${url}`, 'DataManager');
+    const { operation } = this.parseEndpoint(url);
+
+    if (operation === 'generateReports') {
+      // Server copies only; Ledger.withPending adds queued writes like it does online
+      const { sales, expenses } = Store.state.snapshots;
+      if (sales.length || expenses.length) {
+        return { success: true, data: MetricsEngine.compute(Store.state.snapshots, options.body) };
+      }
+      const cachedMetrics = await OfflineManager.getCachedMetrics();
+      if (cachedMetrics) {
+        return { success: true, data: cachedMetrics };
+      }
+      return { success: false, message: 'No cached metrics available offline' };
+    }
+
+    if (operation === 'getCustomerSales') {
+      const { id } = this.parseEndpoint(url);
+      const range = options.body || {};
+      return {
+        success: true,
+        data: Store.state.cachedData.sales.filter(sale => String(sale['Customer ID']) === String(id) && LedgerOps.inRange(MetricsEngine.dateKey(sale['Date']), range))
+      };
+    }
+
+    const collection = this.cachedCollections[operation];
+    if (collection && Store.state.cachedData[collection]) {
+      return { success: true, data: Store.state.cachedData[collection] };
+    }
+
+    return { success: false, message: 'Cannot fetch this data while offline' };
+  },
+
+  async submitForm({ url, method, data, formId, successCallback, outboxId, idempotencyKey = Outbox.generateKey() }) {
+    // Corrections to a queued submission replace it in place rather than queueing a second copy
+    if (outboxId) {
+      await OfflineManager.resubmit(outboxId, { url, method, data, formId });
+      Utils.showToast('Queued submission updated', 'info');
+      return { success: true, queued: true, message: 'Request queued' };
+    }
+
+    // One key per submission, reused if it ends up replayed from the outbox. Callers that
+    // may send the same write again (a retried payroll run) pass their own.
+    if (Store.state.uiState.offline) {
+      await OfflineManager.queueForm({ url, method, data, formId, idempotencyKey });
+      Utils.showToast('Request queued for sync when online', 'info');
+      return { success: true, queued: true, message: 'Request queued' };
+    }
+
+    // A write that refers to a record still in the outbox has to wait its turn behind it
+    if (Ledger.dependsOnPending(url, data)) {
+      await OfflineManager.queueForm({ url, method, data, formId, idempotencyKey });
+      OfflineManager.syncPendingForms();
+      return { success: true, queued: true, message: 'Request queued' };
+    }
+
+    try {
+      const result = await this.fetchData(url, {
+        method,
+        body: data,
+        idempotencyKey
+      });
+      if (result.success && successCallback) successCallback();
+      return result;
+    } catch (err) {
+      // No answer, a server error, a timeout or a rate limit may all succeed later; the key
+      // makes a replay safe. Only a refusal (4xx) is final.
+      if (method !== 'GET' && !Outbox.isPermanentFailure(err)) {
+        await OfflineManager.queueForm({ url, method, data, formId, idempotencyKey });
+        Utils.showToast(err.status === undefined ? 'Network error. Request queued for sync' : 'Server unavailable. Request queued for sync', 'info');
+        return { success: true, queued: true, message: 'Request queued' };
+      }
+      Utils.showToast('Error submitting form', 'danger');
+      Utils.logError(`Form submission error for ${formId}: ${err.message || err}`, 'DataManager');
+      throw err;
+    }
+  },
+
+  /**
+   * Submits one request per item, in order, and stops at the first one that fails, so a
+   * batch (payment allocations, a payroll run) is never posted out of order. A request
+   * that throws counts as failed like one the server refused; nothing is thrown, so the
+   * caller can always report and refresh what did go through.
+   * @param {Array} items - One entry per request
+   * @param {Function} toRequest - item => submitForm options
+   * @return {Promise<Object>} { recorded, failed: { item, message } or null, skipped }
+   */
+  async submitEach(items, toRequest) {
+    const recorded = [];
+    for (let index = 0; index < items.length; index++) {
+      let message;
+      try {
+        const result = await this.submitForm(toRequest(items[index]));
+        if (result.success) {
+          recorded.push(items[index]);
+          continue;
+        }
+        message = result.message;
+      } catch (err) {
+        message = err.message || String(err);
+      }
+      return { recorded, failed: { item: items[index], message }, skipped: items.slice(index + 1) };
+    }
+    return { recorded, failed: null, skipped: [] };
+  },
+
+  async initDashboard() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const startDate = document.getElementById('dashboardStartDate')?.value || DOM.today;
+      const endDate = document.getElementById('dashboardEndDate')?.value || DOM.today;
+
+      const result = await this.fetchData('/api/generateReports', {
+        method: 'POST',
+        body: { startDate, endDate }
+      });
+
+      if (result.success) {
+        this.renderDashboard(Ledger.withPending(result.data, { startDate, endDate }));
+        this.renderInventory();
+      } else {
+        Utils.showToast(result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showToast('Error loading dashboard data', 'danger');
+      Utils.logError(`Dashboard error: ${err.message || err}`, 'DataManager');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  renderDashboard(data) {
+    const defaultData = {
+      totalSales: 0,
+      outstandingPayments: 0,
+      totalQuantitySold: 0,
+      overduePayments: 0,
+      cashSales: 0,
+      transferSales: 0,
+      creditSales: 0,
+      totalExpenses: 0,
+      totalExpensesPaid: 0,
+      topCustomers: [],
+      topExpenseCategories: [],
+      metricsByDate: []
+    };
+    const dashboardData = { ...defaultData, ...data };
+
+    document.getElementById('totalSales').textContent = Utils.formatCurrency(dashboardData.totalSales);
+    document.getElementById('totalQuantitySold').textContent = dashboardData.totalQuantitySold.toLocaleString();
+    document.getElementById('outstandingPayments').textContent = Utils.formatCurrency(dashboardData.outstandingPayments);
+    document.getElementById('overduePayments').textContent = dashboardData.overduePayments.toLocaleString();
+    document.getElementById('totalExpenses').textContent = Utils.formatCurrency(dashboardData.totalExpenses);
+    document.getElementById('totalExpensesPaid').textContent = Utils.formatCurrency(dashboardData.totalExpensesPaid);
+
+    const netIncome = dashboardData.totalSales - dashboardData.totalExpenses;
+    const netIncomeElement = document.getElementById('netIncome');
+    netIncomeElement.textContent = Utils.formatCurrency(netIncome);
+    netIncomeElement.classList.toggle('negative', netIncome < 0);
+
+    this.renderAccessibleChart('dashboardPaymentMethodChart', {
+      type: 'doughnut',
+      labels: ['Cash', 'Transfer', 'Credit'],
+      data: [dashboardData.cashSales, dashboardData.transferSales, dashboardData.creditSales],
+      title: 'Sales by Payment Method'
+    });
+
+    this.renderAccessibleChart('dashboardTopCustomersChart', {
+      type: 'bar',
+      labels: dashboardData.topCustomers.length ? dashboardData.topCustomers.map(c => c.name) : ['No Data'],
+      data: dashboardData.topCustomers.length ? dashboardData.topCustomers.map(c => c.totalPurchases) : [0],
+      title: 'Top Customers by Purchases'
+    });
+
+    this.renderAccessibleChart('dashboardTopExpenseCategoriesChart', {
+      type: 'bar',
+      labels: dashboardData.topExpenseCategories.length ? dashboardData.topExpenseCategories.map(c => c.name) : ['No Data'],
+      data: dashboardData.topExpenseCategories.length ? dashboardData.topExpenseCategories.map(c => c.totalVendorExpenses) : [0],
+      title: 'Top Expense Categories'
+    });
+
+    if (dashboardData.metricsByDate.length) {
+      this.renderTotalSalesChart(dashboardData.metricsByDate);
+    }
+  },
+
+  renderAccessibleChart(canvasId, { type, labels, data, title }) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || !window.Chart) {
+      Utils.logError(`Chart.js not available or canvas ${canvasId} not found`, 'DataManager');
+      return;
+    }
+
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `${title} data visualization`);
+
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+
+    const isMobile = window.innerWidth <= 768;
+    const backgroundColors = ['#60A5FA', '#34D399', '#F472B6', '#4BC0C0', '#FF9F40', '#9966FF', '#FF6384', '#36A2EB', '#FFCE56'];
 
     this.charts[canvasId] = new Chart(canvas, {
       type,
       data: {
         labels,
-        datasets: [{
-          label: title.includes('Customers') ? 'Total Purchases (NGN)' : title.includes('Expense') ? 'Total Expenses (NGN)' : 'Amount (NGN)',
-          data,
-          backgroundColor: backgroundColors.slice(0, data.length)
-        }]
+        datasets: [{
+          label: title.includes('Customers') ? 'Total Purchases (NGN)' : title.includes('Expense') ? 'Total Expenses (NGN)' : 'Amount (NGN)',
+          data,
+          backgroundColor: backgroundColors.slice(0, data.length)
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: isMobile ? 'bottom' : 'top' },
+          title: { display: true, text: title }
+        },
+        scales: type === 'bar' ? { y: { beginAtZero: true } } : {},
+        layout: { padding: { left: isMobile ? 5 : 10, right: isMobile ? 5 : 10, top: isMobile ? 5 : 10, bottom: isMobile ? 5 : 10 } }
+      }
+    });
+  },
+
+  renderTotalSalesChart(metricsByDate) {
+    const canvas = document.getElementById('dashboardTotalSalesChart');
+    if (!canvas || !window.Chart) {
+      Utils.logError('Chart.js not available or canvas not found', 'DataManager');
+      return;
+    }
+
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'Sales and Expenses Trend visualization');
+
+    if (this.charts.dashboardTotalSalesChart) {
+      this.charts.dashboardTotalSalesChart.destroy();
+    }
+
+    const isMobile = window.innerWidth <= 768;
+    const labels = metricsByDate.map(item => item.date);
+
+    this.charts.dashboardTotalSalesChart = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Paid',
+            data: metricsByDate.map(item => item.paid),
+            backgroundColor: 'rgba(75, 192, 192, 0.2)',
+            borderColor: 'rgba(75, 192, 192, 1)',
+            borderWidth: isMobile ? 1.5 : 2,
+            tension: 0.1
+          },
+          {
+            label: 'Credit',
+            data: metricsByDate.map(item => item.outstanding),
+            backgroundColor: 'rgba(255, 159, 64, 0.2)',
+            borderColor: 'rgba(255, 159, 64, 1)',
+            borderWidth: isMobile ? 1.5 : 2,
+            tension: 0.1
+          },
+          {
+            label: 'Expenses',
+            data: metricsByDate.map(item => item.expenses),
+            backgroundColor: 'rgba(255, 99, 132, 0.2)',
+            borderColor: 'rgba(255, 99, 132, 1)',
+            borderWidth: isMobile ? 1.5 : 2,
+            tension: 0.1
+          },
+          {
+            label: 'Sales',
+            data: metricsByDate.map(item => item.total),
+            backgroundColor: 'rgba(54, 162, 235, 0.2)',
+            borderColor: 'rgba(54, 162, 235, 1)',
+            borderWidth: isMobile ? 2 : 3,
+            tension: 0.1
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: { display: true, text: 'Sales and Expenses Trend' },
+          legend: { position: isMobile ? 'bottom' : 'top' }
+        },
+        scales: {
+          y: { beginAtZero: true, ticks: { callback: value => Utils.formatCurrency(value) } },
+          x: { ticks: { maxRotation: isMobile ? 90 : 45, minRotation: isMobile ? 90 : 45 } }
+        }
+      }
+    });
+  },
+
+  // Low-stock warnings and the production chart on the dashboard, plus the stock tables
+  renderInventory() {
+    const startDate = document.getElementById('dashboardStartDate')?.value || DOM.today;
+    const endDate = document.getElementById('dashboardEndDate')?.value || DOM.today;
+    const lowStock = Inventory.lowStock();
+    const alert = document.getElementById('lowStockAlerts');
+    if (alert) {
+      alert.style.display = lowStock.length ? 'block' : 'none';
+      alert.innerHTML = lowStock.length
+        ? `<strong>Low stock:</strong> ${lowStock.map(item => `${Utils.sanitizeInput(item.product['Name'])} (${item.onHand.toLocaleString()} left, reorder at ${item.reorderLevel.toLocaleString()})`).join('; ')}`
+        : '';
+    }
+    this.renderProductionChart(Inventory.trend({ startDate, endDate }));
+    this.renderStockTables();
+  },
+
+  renderStockTables() {
+    // Counts are drawn with render, since format would print a zero as blank
+    this.renderTable('stockTable', Inventory.stock().map(item => ({
+      'Product': item.product['Name'],
+      'Unit': item.product['Unit'],
+      'Produced': item.produced,
+      'Adjusted': item.adjusted,
+      'Sold': item.sold,
+      'On Hand': item.onHand,
+      'Reorder Level': item.reorderLevel,
+      'Status': item.low ? 'Low' : 'OK'
+    })), [
+      { key: 'Product', label: 'Product' },
+      { key: 'Unit', label: 'Unit' },
+      { key: 'Produced', label: 'Produced', render: row => row['Produced'].toLocaleString() },
+      { key: 'Adjusted', label: 'Adjusted', render: row => row['Adjusted'].toLocaleString() },
+      { key: 'Sold', label: 'Sold', render: row => row['Sold'].toLocaleString() },
+      { key: 'On Hand', label: 'On Hand', render: row => row['On Hand'].toLocaleString() },
+      { key: 'Reorder Level', label: 'Reorder Level', render: row => row['Reorder Level'].toLocaleString() },
+      { key: 'Status', label: 'Status', render: row => (row['Status'] === 'Low' ? '<span class="badge bg-danger">Low</span>' : 'OK') }
+    ]);
+
+    const materials = Inventory.materials();
+    this.renderTable('materialsTable', materials, [
+      { key: 'name', label: 'Material' },
+      { key: 'unit', label: 'Unit' },
+      { key: 'received', label: 'Received', render: row => row.received.toLocaleString() },
+      { key: 'used', label: 'Used', render: row => row.used.toLocaleString() },
+      { key: 'onHand', label: 'On Hand', render: row => row.onHand.toLocaleString() }
+    ]);
+    const list = document.getElementById('materialsList');
+    if (list) list.innerHTML = materials.map(material => `<option value="${Utils.sanitizeInput(material.name)}">`).join('');
+  },
+
+  renderProductionChart(trend) {
+    const canvas = document.getElementById('dashboardProductionChart');
+    if (!canvas || !window.Chart) {
+      Utils.logError('Chart.js not available or canvas not found', 'DataManager');
+      return;
+    }
+
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'Production vs Sales visualization');
+
+    if (this.charts.dashboardProductionChart) {
+      this.charts.dashboardProductionChart.destroy();
+    }
+
+    const isMobile = window.innerWidth <= 768;
+    this.charts.dashboardProductionChart = new Chart(canvas, {
+      type: 'bar',
+      data: {
+        labels: trend.map(item => item.date),
+        datasets: [
+          {
+            label: 'Produced',
+            data: trend.map(item => item.produced),
+            backgroundColor: 'rgba(75, 192, 192, 0.6)',
+            borderColor: 'rgba(75, 192, 192, 1)',
+            borderWidth: 1
+          },
+          {
+            label: 'Sold',
+            data: trend.map(item => item.sold),
+            backgroundColor: 'rgba(54, 162, 235, 0.6)',
+            borderColor: 'rgba(54, 162, 235, 1)',
+            borderWidth: 1
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: { display: true, text: 'Production vs Sales (units)' },
+          legend: { position: isMobile ? 'bottom' : 'top' }
+        },
+        scales: {
+          y: { beginAtZero: true },
+          x: { ticks: { maxRotation: isMobile ? 90 : 45, minRotation: isMobile ? 90 : 45 } }
+        }
+      }
+    });
+  },
+
+  async initProductionTable() {
+    try {
+      const result = await this.fetchData('/api/getProduction');
+      if (result.success) {
+        const runs = [...result.data].sort((a, b) => String(b['Date']).localeCompare(String(a['Date'])));
+        this.renderTable('productionTable', runs, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Date', label: 'Date' },
+          { key: 'Product Name', label: 'Product' },
+          { key: 'Type', label: 'Type' },
+          { key: 'Quantity', label: 'Quantity' },
+          { key: 'Material', label: 'Material Used', render: row => (row['Material'] ? `${Utils.sanitizeInput(row['Material'])} × ${row['Material Quantity']}` : '') },
+          { key: 'Notes', label: 'Notes' }
+        ]);
+        this.renderStockTables();
+      } else {
+        Utils.showMessage('productionTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('productionTableMessage', 'Error loading production', 'danger');
+      Utils.logError(`Failed to load production: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async initDeliveriesTable() {
+    try {
+      const result = await this.fetchData('/api/getDeliveries');
+      if (result.success) {
+        const runs = [...result.data].sort((a, b) => String(b['Date']).localeCompare(String(a['Date'])));
+        const money = value => (value === null ? '' : Utils.formatCurrency(value));
+        this.renderTable('deliveriesTable', runs.map(run => ({ ...run, summary: DeliveryRuns.summary(run) })), [
+          { key: 'ID', label: 'ID' },
+          { key: 'Date', label: 'Date' },
+          { key: 'Vehicle', label: 'Vehicle' },
+          { key: 'Driver', label: 'Driver' },
+          { key: 'Route', label: 'Route' },
+          { key: 'Customer IDs', label: 'Stops', render: row => String(DeliveryRuns.customerIds(row).length) },
+          { key: 'Quantity Loaded', label: 'Loaded' },
+          { key: 'sold', label: 'Sold', render: row => String(row.summary.quantitySold) },
+          { key: 'expected', label: 'Cash Expected', render: row => money(row.summary.expectedCash) },
+          { key: 'Cash Collected (NGN)', label: 'Cash Collected', render: row => money(row.summary.cashCollected) },
+          {
+            key: 'variance',
+            label: 'Variance',
+            render: row => (row.summary.cashVariance === null ? ''
+              : `<span class="${Math.abs(row.summary.cashVariance) >= 0.01 ? 'text-danger' : ''}">${Utils.formatCurrency(row.summary.cashVariance)}</span>`)
+          },
+          { key: 'Status', label: 'Status' },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `
+              ${DeliveryRuns.isOpen(row) ? `<button class="btn btn-sm btn-primary edit-delivery" data-id="${row['ID']}" aria-label="Edit run ${row['ID']}">Edit</button>` : ''}
+              <button class="btn btn-sm btn-success reconcile-delivery" data-id="${row['ID']}" aria-label="Reconcile run ${row['ID']}">${DeliveryRuns.isOpen(row) ? 'Reconcile' : 'Review'}</button>
+            `
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-delivery').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editDelivery(btn.dataset.id));
+            });
+            tbody.querySelectorAll('.reconcile-delivery').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.openReconcile(btn.dataset.id));
+            });
+          }
+        });
+        FormHandler.renderRunOptions();
+      } else {
+        Utils.showMessage('deliveriesTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('deliveriesTableMessage', 'Error loading delivery runs', 'danger');
+      Utils.logError(`Failed to load delivery runs: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async initClosingsTable() {
+    try {
+      const result = await this.fetchData('/api/getClosings');
+      if (result.success) {
+        const closings = [...result.data].sort((a, b) => String(b['Date']).localeCompare(String(a['Date'])) || String(b['Closed At']).localeCompare(String(a['Closed At'])));
+        const variance = value => `<span class="${Math.abs(LedgerOps.num(value)) >= CashUp.TOLERANCE ? 'text-danger' : ''}">${Utils.formatCurrency(LedgerOps.num(value))}</span>`;
+        this.renderTable('closingsTable', closings, [
+          { key: 'Date', label: 'Date' },
+          { key: 'Expected Cash (NGN)', label: 'Expected Cash', render: row => Utils.formatCurrency(LedgerOps.num(row['Expected Cash (NGN)'])) },
+          { key: 'Counted Cash (NGN)', label: 'Counted Cash', render: row => Utils.formatCurrency(LedgerOps.num(row['Counted Cash (NGN)'])) },
+          { key: 'Cash Variance (NGN)', label: 'Cash Variance', render: row => variance(row['Cash Variance (NGN)']) },
+          { key: 'Expected Transfers (NGN)', label: 'Expected Transfers', render: row => Utils.formatCurrency(LedgerOps.num(row['Expected Transfers (NGN)'])) },
+          { key: 'Counted Transfers (NGN)', label: 'Counted Transfers', render: row => Utils.formatCurrency(LedgerOps.num(row['Counted Transfers (NGN)'])) },
+          { key: 'Transfer Variance (NGN)', label: 'Transfer Variance', render: row => variance(row['Transfer Variance (NGN)']) },
+          { key: 'Closed By', label: 'Closed By' },
+          { key: 'Notes', label: 'Notes' },
+          {
+            key: 'Status',
+            label: 'Status',
+            render: row => {
+              // Records entered or changed after sign-off move the expected figures
+              const drift = CashUp.drift(row);
+              const reviewed = row['Status'] === 'Reviewed'
+                ? `Reviewed by ${Utils.sanitizeInput(row['Reviewed By'])}${row['Review Notes'] ? `: ${row['Review Notes']}` : ''}`
+                : Utils.sanitizeInput(row['Status']);
+              return `${reviewed}${drift ? `<br><small class="text-warning">Records changed since sign-off (${Utils.formatCurrency(drift)})</small>` : ''}`;
+            }
+          },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => (row['Status'] !== 'Reviewed' && this.checkSession()
+              ? `<button class="btn btn-sm btn-success review-closing" data-id="${row['ID']}" aria-label="Review closing for ${row['Date']}">Review</button>`
+              : '')
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.review-closing').forEach(btn => {
+              btn.addEventListener('click', () => CashUp.review(btn.dataset.id));
+            });
+          }
+        });
+      } else {
+        Utils.showMessage('closingsTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('closingsTableMessage', 'Error loading closings', 'danger');
+      Utils.logError(`Failed to load closings: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  /**
+   * Vehicle and route tables on the Reports page
+   * @param {Object} [range] - { startDate, endDate }; defaults to the report form's dates
+   */
+  renderDeliveryPerformance(range) {
+    const form = document.getElementById('reportForm');
+    const { vehicles, routes } = DeliveryRuns.performance(range || {
+      startDate: form?.querySelector('#startDate')?.value,
+      endDate: form?.querySelector('#endDate')?.value
+    });
+    const columns = [
+      { key: 'runs', label: 'Runs', render: row => String(row.runs) },
+      { key: 'delivered', label: 'Units Sold', render: row => row.delivered.toLocaleString() },
+      { key: 'revenue', label: 'Revenue', render: row => Utils.formatCurrency(row.revenue) },
+      { key: 'fuel', label: 'Fuel', render: row => Utils.formatCurrency(row.fuel) },
+      { key: 'maintenance', label: 'Maintenance', render: row => Utils.formatCurrency(row.maintenance) },
+      { key: 'fuelShare', label: 'Fuel % of Revenue', render: row => (row.fuelShare === null ? '' : `${(row.fuelShare * 100).toFixed(1)}%`) }
+    ];
+    this.renderTable('vehiclePerformanceTable', vehicles, [{ key: 'name', label: 'Vehicle' }, ...columns]);
+    this.renderTable('routePerformanceTable', routes, [{ key: 'name', label: 'Route' }, ...columns]);
+  },
+
+  // Payment history is only cached; the Update Sales screen and statements read it from the Store
+  async loadPayments() {
+    try {
+      const result = await this.fetchData('/api/getPayments');
+      if (!result.success) {
+        Utils.logError(`Failed to load payments: ${result.message}`, 'DataManager');
+      }
+    } catch (err) {
+      Utils.logError(`Failed to load payments: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async loadExpensePayments() {
+    try {
+      const result = await this.fetchData('/api/getExpensePayments');
+      if (!result.success) {
+        Utils.logError(`Failed to load vendor payments: ${result.message}`, 'DataManager');
+      }
+    } catch (err) {
+      Utils.logError(`Failed to load vendor payments: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async initSalesTable() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getSalesRecords');
+      if (result.success) {
+        this.renderTable('salesTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Customer Name', label: 'Customer' },
+          { key: 'Date', label: 'Date' },
+          { key: 'Quantity', label: 'Quantity' },
+          { key: 'Line Items', label: 'Items', render: row => Utils.sanitizeInput(Catalogue.describe(row)) },
+          { key: 'Total Amount (NGN)', label: 'Total', format: Utils.formatCurrency },
+          { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
+          { key: 'Payment Method', label: 'Method' },
+          { key: 'Payment Status', label: 'Status' },
+          { key: 'Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
+          { key: 'Due Date', label: 'Due Date' },
+          { key: 'Notes', label: 'Notes' },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `
+              <button class="btn btn-sm btn-primary edit-sale" data-id="${row['ID']}" aria-label="Edit sale ${row['ID']}">Edit</button>
+              ${Attachments.button('sale', row)}
+            `
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            Attachments.bindButtons(tbody);
+            tbody.querySelectorAll('.edit-sale').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editSale(btn.dataset.id));
+            });
+          }
+        });
+        AgingReport.render();
+        ContainerReport.render();
+      } else {
+        Utils.showMessage('salesTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('salesTableMessage', 'Error loading sales records', 'danger');
+      Utils.logError(`Error fetching sales: ${err.message || err}`, 'DataManager');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  async initCustomersTable() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getCustomers');
+      if (result.success) {
+        this.renderTable('customersTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Name', label: 'Name' },
+          { key: 'Phone', label: 'Phone' },
+          { key: 'Email', label: 'Email' },
+          { key: 'Town', label: 'Town' },
+          { key: 'Total Purchases (NGN)', label: 'Total Purchases', format: Utils.formatCurrency },
+          { key: 'Outstanding Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
+          {
+            key: 'Credit Limit (NGN)',
+            label: 'Credit Limit',
+            render: row => (row['Credit Limit (NGN)'] !== '' && row['Credit Limit (NGN)'] !== undefined
+              ? Utils.formatCurrency(parseFloat(row['Credit Limit (NGN)']) || 0)
+              : '<span class="text-muted">None</span>')
+          },
+          {
+            key: 'Containers Out',
+            label: 'Containers Held',
+            render: row => String(LedgerOps.num(row['Containers Out']) - LedgerOps.num(row['Containers Returned']))
+          },
+          { key: 'Deposits Held (NGN)', label: 'Deposits Held', format: Utils.formatCurrency },
+          { key: 'Customer Since', label: 'Since' },
+          { key: 'Notes', label: 'Notes' },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `
+              <button class="btn btn-sm btn-primary edit-customer" data-id="${row['ID']}" aria-label="Edit customer ${row['Name']}">Edit</button>
+              <button class="btn btn-sm btn-danger delete-customer" data-id="${row['ID']}" aria-label="Delete customer ${row['Name']}">Delete</button>
+            `
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-customer').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editCustomer(btn.dataset.id));
+            });
+            tbody.querySelectorAll('.delete-customer').forEach(btn => {
+              btn.addEventListener('click', async () => {
+                if (confirm('Are you sure you want to delete this customer?') && Store.state.credentials.token) {
+                  try {
+                    DOM.loadingIndicator.style.display = 'block';
+                    const result = await this.submitForm({
+                      url: `/api/deleteCustomer/${btn.dataset.id}`,
+                      method: 'POST',
+                      data: { credentials: Store.state.credentials },
+                      formId: 'deleteCustomer'
+                    });
+                    if (result.success) {
+                      Utils.showToast(result.message);
+                      await Promise.all([this.initCustomersTable(), this.populateCustomerDropdown()]);
+                    } else {
+                      Utils.showToast(result.message, 'Error');
+                    }
+                  } catch (err) {
+                    Utils.showToast('Error deleting customer', 'danger');
+                    Utils.logError(`Error deleting customer: ${err.message || err}`, 'error');
+                  } finally {
+                    DOM.loadingIndicator.style.display = 'none';
+                  }
+                } else {
+                  Utils.showToast('Please log in to perform this action', 'warning');
+                }
+              });
+            });
+          }
+        });
+        ContainerReport.render();
+      } else {
+        Utils.showMessage('customersTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('customersTableMessage', 'Error loading customers', 'danger');
+      Utils.logError(`Error fetching customers: ${err.message || err}`, 'DataManager');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  async initExpensesTable() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getExpensesRecords');
+      if (result.success) {
+        this.renderExpensesTable(result.data);
+      } else {
+        Utils.showMessage('expensesTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('expensesTableMessage', 'Error loading expenses', 'danger');
+      Utils.logError(`Error fetching expenses: ${err.message || err}`, 'Data');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  /**
+   * Draws expensesTable, with recurring expense drafts above the entered expenses
+   * @param {Array<Object>} [expenses] - Expense records
+   */
+  renderExpensesTable(expenses = Store.state.cachedData.expenses) {
+    const drafts = RecurringExpenses.drafts();
+    this.renderTable('expensesTable', [...drafts, ...expenses], [
+      { key: 'ID', label: 'ID' },
+      { key: 'Vendor', label: 'Vendor' },
+      { key: 'Category', label: 'Category' },
+      { key: 'Date', label: 'Date' },
+      { key: 'Quantity', label: 'Quantity' },
+      { key: 'Total Expenses (NGN)', label: 'Total', format: Utils.formatCurrency },
+      { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
+      { key: 'Balance (NGN)', label: 'Balance', render: row => Utils.formatCurrency(LedgerOps.expenseBalance(row)) },
+      { key: 'Due Date', label: 'Due Date' },
+      { key: 'Notes', label: 'Notes' },
+      { key: 'Status', label: 'Status', render: row => (row._draft ? '<span class="badge bg-info text-dark">Draft</span>' : Utils.sanitizeInput(String(row['Status'] || ''))) },
+      {
+        key: 'actions',
+        label: 'Actions',
+        render: row => (row._draft ? `
+          <button class="btn btn-sm btn-success confirm-draft" data-id="${row._draft.recurringId}" data-due="${row._draft.dueFor}" aria-label="Confirm draft expense due ${row._draft.dueFor}">Confirm</button>
+          <button class="btn btn-sm btn-primary adjust-draft" data-id="${row._draft.recurringId}" data-due="${row._draft.dueFor}" aria-label="Adjust draft expense due ${row._draft.dueFor}">Adjust</button>
+          <button class="btn btn-sm btn-secondary skip-draft" data-id="${row._draft.recurringId}" data-due="${row._draft.dueFor}" aria-label="Skip draft expense due ${row._draft.dueFor}">Skip</button>
+        ` : `
+          <button class="btn btn-sm btn-primary edit-expense" data-id="${row['ID']}" aria-label="Edit expense ${row['ID']}">Edit</button>
+          ${LedgerOps.expenseBalance(row) > 0 ? `<button class="btn btn-sm btn-success pay-expense" data-id="${row['ID']}" aria-label="Pay expense ${row['ID']}">Pay</button>` : ''}
+          ${Attachments.button('expense', row)}
+        `)
+      }
+    ], {
+      onRowRendered: (tbody) => {
+        RecurringExpenses.bindDraftButtons(tbody);
+        Attachments.bindButtons(tbody);
+        tbody.querySelectorAll('.edit-expense').forEach(btn => {
+          btn.addEventListener('click', () => FormHandler.editExpense(btn.dataset.id));
+        });
+        tbody.querySelectorAll('.pay-expense').forEach(btn => {
+          btn.addEventListener('click', () => FormHandler.payExpense(btn.dataset.id));
+        });
+      }
+    });
+    PayablesReport.render();
+    RecurringExpenses.renderReminder(drafts);
+    Budgets.render();
+  },
+
+  async initVendorsTable() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getVendors');
+      if (result.success) {
+        this.renderTable('vendorsTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Name', label: 'Name' },
+          { key: 'Phone', label: 'Phone' },
+          { key: 'Service Category', label: 'Service' },
+          { key: 'Town', label: 'Town' },
+          { key: 'Total Expenses (NGN)', label: 'Total Expenses', format: Utils.formatCurrency },
+          { key: 'Outstanding Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
+          { key: 'Vendor Since', label: 'Since' },
+          { key: 'Notes', label: 'Notes' },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `
+              <button class="btn btn-sm btn-primary edit-vendor" data-id="${row['ID']}" aria-label="Edit vendor ${row['Name']}">Edit</button>
+              <button class="btn btn-sm btn-danger delete-vendor" data-id="${row['ID']}" aria-label="Delete vendor ${row['Name']}">Delete</button>
+            `
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-vendor').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editVendor(btn.dataset.id));
+            });
+            tbody.querySelectorAll('.delete-vendor').forEach(btn => {
+              btn.addEventListener('click', async () => {
+                if (confirm('Are you sure you want to delete this vendor?') && Store.state.credentials.token) {
+                  try {
+                    DOM.loadingIndicator.style.display = 'block';
+                    const result = await this.submitForm({
+                      url: `/api/deleteVendor/${btn.dataset.id}`,
+                      method: 'POST',
+                      data: { credentials: Store.state.credentials },
+                      formId: 'deleteVendor'
+                    });
+                    if (result.success) {
+                      Utils.showToast(result.message);
+                      await Promise.all([this.initVendorsTable(), this.populateVendorDropdown()]);
+                    } else {
+                      Utils.showToast(result.message, 'Error');
+                    }
+                  } catch (err) {
+                    Utils.showToast('Error deleting vendor', 'danger');
+                    Utils.logError(`Error deleting vendor: ${err.message || err}`, 'error');
+                  } finally {
+                    DOM.loadingIndicator.style.display = 'none';
+                  }
+                } else {
+                  Utils.showToast('Please log in to perform this action', 'warning');
+                }
+              });
+            });
+          }
+        });
+      } else {
+        Utils.showMessage('vendorsTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('vendorsTableMessage', 'Error loading vendors', 'danger');
+      Utils.logError(`Error fetching vendors: ${err.message || err}`, 'DataManager');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  async initProductsTable() {
+    try {
+      const result = await this.fetchData('/api/getProducts');
+      if (result.success) {
+        this.renderTable('productsTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Name', label: 'Name' },
+          { key: 'SKU', label: 'SKU' },
+          { key: 'Unit', label: 'Unit' },
+          { key: 'Unit Price (NGN)', label: 'Unit Price', format: Utils.formatCurrency },
+          { key: 'Price Tiers', label: 'Volume Prices', render: row => Utils.sanitizeInput(Catalogue.formatTiers(row['Price Tiers'])) },
+          { key: 'Customer Prices', label: 'Customer Prices', render: row => Utils.sanitizeInput(Catalogue.formatCustomerPrices(row['Customer Prices'])) },
+          { key: 'Reorder Level', label: 'Reorder Level' },
+          { key: 'Container Deposit (NGN)', label: 'Deposit', format: Utils.formatCurrency },
+          { key: 'Active', label: 'Active', render: row => (row['Active'] === false || row['Active'] === 'FALSE' ? 'No' : 'Yes') },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `<button class="btn btn-sm btn-primary edit-product" data-id="${row['ID']}" aria-label="Edit product ${row['Name']}">Edit</button>`
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-product').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editProduct(btn.dataset.id));
+            });
+          }
+        });
+        FormHandler.renderProductOptions();
+      } else {
+        Utils.showMessage('productsTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('productsTableMessage', 'Error loading products', 'danger');
+      Utils.logError(`Failed to load products: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async initStaffTable() {
+    try {
+      const result = await this.fetchData('/api/getStaff');
+      if (result.success) {
+        this.renderTable('staffTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Name', label: 'Name' },
+          { key: 'Role', label: 'Role' },
+          { key: 'Phone', label: 'Phone' },
+          { key: 'Monthly Salary (NGN)', label: 'Monthly Salary', format: value => Utils.formatCurrency(value || 0) },
+          { key: 'Start Date', label: 'Start Date' },
+          { key: 'Active', label: 'Active', render: row => (Payroll.isActive(row) ? 'Yes' : 'No') },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `<button class="btn btn-sm btn-primary edit-staff" data-id="${row['ID']}" aria-label="Edit staff ${row['ID']}">Edit</button>`
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-staff').forEach(btn => {
+              btn.addEventListener('click', () => FormHandler.editStaff(btn.dataset.id));
+            });
+          }
+        });
+        FormHandler.renderStaffOptions();
+        Payroll.render();
+      } else {
+        Utils.showMessage('staffTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('staffTableMessage', 'Error loading staff', 'danger');
+      Utils.logError(`Failed to load staff: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async initRecurringTable() {
+    try {
+      const result = await this.fetchData('/api/getRecurringExpenses');
+      if (result.success) {
+        this.renderTable('recurringTable', result.data, [
+          { key: 'ID', label: 'ID' },
+          { key: 'Vendor', label: 'Vendor' },
+          { key: 'Category', label: 'Category' },
+          { key: 'Amount (NGN)', label: 'Amount', format: Utils.formatCurrency },
+          { key: 'Frequency', label: 'Frequency', render: row => RecurringExpenses.frequencyLabel(row['Frequency']) },
+          { key: 'Start Date', label: 'Start Date' },
+          { key: 'next', label: 'Next Due', render: row => (RecurringExpenses.isActive(row) ? RecurringExpenses.nextDue(row) : 'Paused') },
+          { key: 'Notes', label: 'Notes' },
+          {
+            key: 'actions',
+            label: 'Actions',
+            render: row => `<button class="btn btn-sm btn-primary edit-recurring" data-id="${row['ID']}" aria-label="Edit recurring expense ${row['ID']}">Edit</button>`
+          }
+        ], {
+          onRowRendered: (tbody) => {
+            tbody.querySelectorAll('.edit-recurring').forEach(btn => {
+              btn.addEventListener('click', () => RecurringExpenses.edit(btn.dataset.id));
+            });
+          }
+        });
+      } else {
+        Utils.showMessage('recurringTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('recurringTableMessage', 'Error loading recurring expenses', 'danger');
+      Utils.logError(`Failed to load recurring expenses: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  // Only stock levels use archived sales, and they are drawn once everything is in
+  async loadArchivedSales() {
+    try {
+      await this.fetchData('/api/getArchivedSales');
+    } catch (err) {
+      Utils.logError(`Failed to load archived sales: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async loadAttachments() {
+    try {
+      const result = await this.fetchData('/api/getAttachments');
+      if (result.success) Attachments.render();
+    } catch (err) {
+      Utils.logError(`Failed to load attachments: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async loadBudgets() {
+    try {
+      const result = await this.fetchData('/api/getBudgets');
+      if (result.success) {
+        Budgets.render();
+      } else {
+        Utils.showMessage('budgetMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.logError(`Failed to load budgets: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  async populateCustomerDropdown() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getCustomers');
+      if (result.success) {
+        const saleSelect = document.getElementById('saleCustomer');
+        const historySelect = document.getElementById('historyCustomer');
+        if (saleSelect && historySelect) {
+          saleSelect.innerHTML = '<option value="">Select Customer</option>';
+          historySelect.innerHTML = '<option value="">Select Customer</option>';
+          result.data.forEach(customer => {
+            const option = document.createElement('option');
+            option.value = customer.ID;
+            option.textContent = `${customer.Name} (${customer.Phone})`;
+            saleSelect.appendChild(option.cloneNode(true));
+            historySelect.appendChild(option);
+          });
+        }
+      } else {
+        Utils.showMessage('customersTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('customersTableMessage', 'Error loading customers', 'danger');
+      Utils.logError(`Error fetching customers: ${err.message || err}`, 'error');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  async populateVendorDropdown() {
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await this.fetchData('/api/getVendors');
+      if (result.success) {
+        const expenseSelect = document.getElementById('expenseVendor');
+        const historySelect = document.getElementById('historyVendor');
+        const recurringSelect = document.getElementById('recurringVendor');
+        if (expenseSelect && historySelect) {
+          expenseSelect.innerHTML = '<option value="">Select Vendor</option>';
+          historySelect.innerHTML = '<option value="">Select Vendor</option>';
+          const recurringVendor = recurringSelect?.value;
+          if (recurringSelect) recurringSelect.innerHTML = '<option value="">Select Vendor</option>';
+          result.data.forEach(vendor => {
+            const option = document.createElement('option');
+            option.value = vendor.ID;
+            option.textContent = `${vendor.Name} (${vendor.Phone})`;
+            expenseSelect.appendChild(option.cloneNode(true));
+            recurringSelect?.appendChild(option.cloneNode(true));
+            historySelect.appendChild(option);
+          });
+          if (recurringSelect) recurringSelect.value = recurringVendor;
+        }
+        Payroll.renderVendorOptions(result.data);
+      } else {
+        Utils.showMessage('vendorsTableMessage', result.message, 'warning');
+      }
+    } catch (err) {
+      Utils.showMessage('vendorsTableMessage', 'Error loading vendors', 'danger');
+      Utils.logError(`Error fetching vendors: ${err.message || ''}`, 'error');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  renderTable(tableId, data, columns, options = {}) {
+    const table = document.getElementById(tableId);
+    if (!table) {
+      Utils.logError(`Table ${tableId} not found`, 'table');
+      return;
+    }
+    
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    if (!data || data.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = columns.length;
+      td.textContent = 'No data available';
+      td.className = 'text-center';
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+      return;
+    }
+
+    data.forEach(row => {
+      const tr = document.createElement('tr');
+      if (row['ID'] !== undefined) tr.dataset.id = row['ID'];
+      if (row._pending) {
+        tr.classList.add('pending-row');
+        tr.title = 'Waiting to sync';
+      }
+      columns.forEach((col, index) => {
+        const td = document.createElement('td');
+        if (col.render) {
+          td.innerHTML = col.render(row);
+        } else {
+          const value = row[col.key] || '';
+          td.textContent = col.format ? col.format(value) : value;
+        }
+        if (row._pending && index === 0) {
+          td.insertAdjacentHTML('beforeend', ' <span class="badge bg-warning text-dark">Pending</span>');
+        }
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    if (options.onRowRendered) {
+      options.onRowRendered(tbody);
+    }
+  },
+
+  async loadPaginatedTable(tableId, apiEndpoint) {
+    try {
+      const response = await this.fetchData(`${apiEndpoint}?page=${this.currentPage}&pageSize=${this.pageSize}`);
+      if (response.success) {
+        this.renderTable(tableId, response.data);
+        this.setupPaginationControls(response.totalCount);
+      }
+    } catch (err) {
+      Utils.logError(`Failed to load ${tableId}: ${err.message || err}`, 'DataManager');
+    }
+  },
+
+  setupPaginationControls(totalItems) {
+    const totalPages = Math.ceil(totalItems / this.pageSize);
+    const paginationDiv = document.getElementById('pagination-controls');
+    
+    if (!paginationDiv) return;
+
+    paginationDiv.innerHTML = `
+      <nav aria-label="Table pagination">
+        <ul class="pagination">
+          <li class="page-item ${this.currentPage === 1 ? 'disabled' : ''}">
+            <button class="page-link" aria-label="Previous page" id="prev-page">
+              <span aria-hidden="true">&laquo;</span>
+            </button>
+          </li>
+          ${Array.from({ length: totalPages }, (_, i) => `
+            <li class="page-item ${i + 1 === this.currentPage ? 'active' : ''}">
+              <button class="page-link">${i + 1}</button>
+            </li>
+          `).join('')}
+          <li class="page-item ${this.currentPage === totalPages ? 'disabled' : ''}">
+            <button class="page-link" aria-label="Next page" id="next-page">
+              <span aria-hidden="true">&raquo;</span>
+            </button>
+          </li>
+        </ul>
+      </nav>
+    `;
+
+    document.getElementById('prev-page')?.addEventListener('click', () => {
+      if (this.currentPage > 1) {
+        this.currentPage--;
+        this.loadPaginatedTable();
+      }
+    });
+
+    document.getElementById('next-page')?.addEventListener('click', () => {
+      if (this.currentPage < totalPages) {
+        this.currentPage++;
+        this.loadPaginatedTable();
+      }
+    });
+
+    document.querySelectorAll('.page-link').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const pageNumber = parseInt(e.target.textContent);
+        if (!isNaN(pageNumber)) {
+          this.currentPage = pageNumber;
+          this.loadPaginatedTable();
+        }
+      });
+    });
+  }
+};
+
+// Enhanced Form Handler with validation and security
+const FormHandler = {
+  init() {
+    this.initSaleForm();
+    this.initExpenseForm();
+    this.initCustomerForm();
+    this.initVendorForm();
+    this.initProductForm();
+    this.initStaffForm();
+    this.initProductionForm();
+    this.initDeliveryForm();
+    this.initReconcileForm();
+    this.initLoginForm();
+    this.initUpdatePaymentForm();
+    this.initArchiveForm();
+    this.initDeleteForm();
+    this.initSaleSearch();
+    this.initCustomerSalesForm();
+    this.initReceivePaymentForm();
+    this.initPayVendorForm();
+    this.initVendorExpensesForm();
+    this.initReportForm();
+    this.initDashboardDateForm();
+    this.setupGlobalEventListeners();
+  },
+
+  initSaleForm() {
+    const form = document.getElementById('saleForm');
+    if (!form) return;
+
+    const dateField = form.querySelector('#saleDate');
+    if (dateField) dateField.value = DOM.today;
+
+    this.setupFieldValidation('#saleCustomer', { required: true });
+    this.setupFieldValidation('#saleDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#saleQuantity', { required: true, numeric: true, min: 1 });
+    this.setupFieldValidation('#saleTotalAmount', { required: true, numeric: true, min: 0.01 });
+    this.setupFieldValidation('#saleAmountPaid', { required: true, numeric: true, min: 0 });
+    this.setupFieldValidation('#salePaymentMethod', { required: true });
+
+    const paymentMethod = form.querySelector('#salePaymentMethod');
+    if (paymentMethod) {
+      paymentMethod.addEventListener('change', (e) => {
+        const creditDaysGroup = form.querySelector('#creditDaysGroup');
+        if (creditDaysGroup) {
+          creditDaysGroup.style.display = e.target.value === 'credit' ? 'block' : 'none';
+          if (e.target.value === 'credit') {
+            this.setupFieldValidation('#saleCreditDays', { required: true, numeric: true, min: 1 });
+          }
+        }
+      });
+    }
+
+    document.getElementById('addSaleLine')?.addEventListener('click', () => this.addLineItem());
+    // Prices depend on the customer, so reprice lines that were not typed in by hand
+    form.querySelector('#saleCustomer')?.addEventListener('change', () => this.repriceLineItems());
+    form.addEventListener('reset', () => {
+      this.containerFields.forEach(id => delete document.getElementById(id)?.dataset.manual);
+      this.setLineItems([]);
+    });
+    // Typed container counts and deposits are kept; the rest follow the lines
+    this.containerFields.forEach(id => {
+      document.getElementById(id)?.addEventListener('input', (e) => {
+        e.target.dataset.manual = 'true';
+        this.suggestContainers();
+      });
+    });
+
+    form.addEventListener('submit', this.handleSaleSubmit.bind(this));
+    document.getElementById('cancelSaleEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  renderProductOptions() {
+    const production = document.getElementById('productionProduct');
+    if (production) {
+      const selected = production.value;
+      production.innerHTML = '<option value="" disabled selected>Select Product</option>' + Catalogue.products
+        .map(product => `<option value="${Utils.sanitizeInput(String(product['ID']))}">${Utils.sanitizeInput(product['Name'])}</option>`).join('');
+      if (selected) production.value = selected;
+    }
+    document.querySelectorAll('#saleLineItems .line-product').forEach(select => {
+      const selected = select.value;
+      select.innerHTML = '<option value="">Select Product</option>' + Catalogue.products
+        .map(product => `<option value="${Utils.sanitizeInput(String(product['ID']))}">${Utils.sanitizeInput(product['Name'])}</option>`).join('');
+      // Keep a discontinued product on a sale being edited
+      if (selected && !select.querySelector(`option[value="${CSS.escape(selected)}"]`)) {
+        const product = Catalogue.find(selected);
+        select.insertAdjacentHTML('beforeend', `<option value="${Utils.sanitizeInput(selected)}">${Utils.sanitizeInput(product ? product['Name'] : selected)}</option>`);
+      }
+      select.value = selected;
+    });
+  },
+
+  /**
+   * Adds a line to the sale form
+   * @param {Object} [line] - { productId, quantity, unitPrice } to start from
+   */
+  addLineItem(line = {}) {
+    const tbody = document.querySelector('#saleLineItems tbody');
+    if (!tbody) return;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="form-select form-select-sm line-product" aria-label="Product" required></select></td>
+      <td><input type="number" class="form-control form-control-sm line-quantity" min="1" step="1" value="${line.quantity ?? 1}" aria-label="Quantity" required></td>
+      <td><input type="number" class="form-control form-control-sm line-price" min="0" step="0.01" aria-label="Unit price" required></td>
+      <td class="line-total text-end"></td>
+      <td><button type="button" class="btn btn-sm btn-outline-danger line-remove" aria-label="Remove line">&times;</button></td>`;
+    tbody.appendChild(tr);
+    const select = tr.querySelector('.line-product');
+    const price = tr.querySelector('.line-price');
+    select.innerHTML = `<option value="${Utils.sanitizeInput(String(line.productId || ''))}"></option>`;
+    select.value = line.productId || '';
+    this.renderProductOptions();
+    if (line.unitPrice !== undefined) {
+      price.value = line.unitPrice;
+      price.dataset.manual = 'true';
+    }
+
+    select.addEventListener('change', () => {
+      delete price.dataset.manual;
+      this.priceLine(tr);
+    });
+    tr.querySelector('.line-quantity').addEventListener('input', () => this.priceLine(tr));
+    price.addEventListener('input', () => {
+      price.dataset.manual = 'true';
+      this.recalcSaleTotals();
+    });
+    tr.querySelector('.line-remove').addEventListener('click', () => {
+      tr.remove();
+      this.recalcSaleTotals();
+    });
+    if (line.unitPrice === undefined) this.priceLine(tr);
+    else this.recalcSaleTotals();
+  },
+
+  priceLine(tr) {
+    const price = tr.querySelector('.line-price');
+    const product = Catalogue.find(tr.querySelector('.line-product').value);
+    if (product && !price.dataset.manual) {
+      const quantity = parseInt(tr.querySelector('.line-quantity').value) || 0;
+      price.value = Catalogue.unitPrice(product, document.getElementById('saleCustomer').value, quantity);
+    }
+    this.recalcSaleTotals();
+  },
+
+  repriceLineItems() {
+    document.querySelectorAll('#saleLineItems tbody tr').forEach(tr => this.priceLine(tr));
+  },
+
+  setLineItems(lines) {
+    const tbody = document.querySelector('#saleLineItems tbody');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+    lines.forEach(line => this.addLineItem(line));
+    this.recalcSaleTotals();
+  },
+
+  /**
+   * @return {Array<Object>} Lines on the sale form: { productId, productName, quantity, unitPrice, lineTotal }
+   */
+  readLineItems() {
+    return Array.from(document.querySelectorAll('#saleLineItems tbody tr')).map(tr => {
+      const productId = tr.querySelector('.line-product').value;
+      const product = Catalogue.find(productId);
+      const quantity = parseInt(tr.querySelector('.line-quantity').value) || 0;
+      const unitPrice = parseFloat(tr.querySelector('.line-price').value) || 0;
+      return { productId, productName: product ? product['Name'] : productId, quantity, unitPrice, lineTotal: Math.round(quantity * unitPrice * 100) / 100 };
+    });
+  },
+
+  // With line items the sale quantity and total are their sums and cannot be typed
+  recalcSaleTotals() {
+    const lines = this.readLineItems();
+    const quantityField = document.getElementById('saleQuantity');
+    const totalField = document.getElementById('saleTotalAmount');
+    if (!quantityField || !totalField) return;
+    document.querySelectorAll('#saleLineItems tbody tr').forEach((tr, index) => {
+      tr.querySelector('.line-total').textContent = Utils.formatCurrency(lines[index].lineTotal);
+    });
+    quantityField.readOnly = totalField.readOnly = lines.length > 0;
+    if (lines.length) {
+      quantityField.value = lines.reduce((total, line) => total + line.quantity, 0);
+      totalField.value = lines.reduce((total, line) => total + line.lineTotal, 0).toFixed(2);
+    }
+    this.suggestContainers();
+  },
+
+  containerFields: ['saleContainersIssued', 'saleEmptiesCollected', 'saleDepositTaken', 'saleDepositRefunded'],
+
+  /**
+   * Fills in containers issued from the returnable products on the lines, and the
+   * deposit to take or refund for the net change, unless the user typed them
+   */
+  suggestContainers() {
+    const [issued, collected, taken, refunded] = this.containerFields.map(id => document.getElementById(id));
+    if (!issued || !collected || !taken || !refunded) return;
+    const lines = this.readLineItems();
+    if (!issued.dataset.manual) {
+      const returnable = lines.filter(line => Catalogue.isReturnable(Catalogue.find(line.productId)));
+      issued.value = returnable.length ? returnable.reduce((total, line) => total + line.quantity, 0) : '';
+    }
+    const net = (parseInt(issued.value) || 0) - (parseInt(collected.value) || 0);
+    const rate = Catalogue.depositRate(lines);
+    if (!taken.dataset.manual) taken.value = net > 0 && rate ? net * rate : '';
+    if (!refunded.dataset.manual) refunded.value = net < 0 && rate ? -net * rate : '';
+  },
+
+  /**
+   * Selects a run on a form, adding it to the list if it is no longer open
+   * @param {string} selectId - ID of the run select
+   * @param {string} runId - Delivery run ID, or blank for none
+   */
+  selectRun(selectId, runId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    select.value = runId || '';
+    if (runId && select.value !== String(runId)) {
+      const run = DeliveryRuns.find(runId);
+      select.insertAdjacentHTML('beforeend', `<option value="${Utils.sanitizeInput(String(runId))}">${Utils.sanitizeInput(run ? DeliveryRuns.label(run) : String(runId))}</option>`);
+      select.value = runId;
+    }
+  },
+
+  // Keeps a saved sale's container counts when its lines are loaded back into the form
+  lockContainerFields() {
+    this.containerFields.forEach(id => {
+      const field = document.getElementById(id);
+      if (field) field.dataset.manual = 'true';
+    });
+  },
+
+  initExpenseForm() {
+    const form = document.getElementById('expenseForm');
+    if (!form) return;
+
+    const dateField = form.querySelector('#expenseDate');
+    if (dateField) dateField.value = DOM.today;
+
+    this.setupFieldValidation('#expenseVendor', { required: true });
+    this.setupFieldValidation('#expenseCategory', { required: 'true' });
+    this.setupFieldValidation('#expenseStaff', { required: 'true' });
+    this.setupFieldValidation('#expenseDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#expenseDueDate', { date: true });
+    this.setupFieldValidation('#expenseQuantity', { required: true, numeric: true, min: 1 });
+    this.setupFieldValidation('#expenseTotalAmount', { required: true, numeric: true, min: 0.01 });
+    this.setupFieldValidation('#expenseAmountPaid', { required: true, numeric: true, min: 0 });
+
+    // Supply expenses can record raw material intake; the expense quantity is the amount received
+    const category = form.querySelector('#expenseCategory');
+    // Vehicle expenses can name the vehicle and delivery run, for the vehicle and route report
+    const toggleMaterial = () => {
+      const group = document.getElementById('expenseMaterialGroup');
+      if (group) group.style.display = category.value === 'Supply' ? '' : 'none';
+      const vehicleGroup = document.getElementById('expenseVehicleGroup');
+      if (vehicleGroup) vehicleGroup.style.display = DeliveryRuns.VEHICLE_CATEGORIES.includes(category.value) ? '' : 'none';
+    };
+    form.querySelector('#expenseRun')?.addEventListener('change', (e) => {
+      const run = DeliveryRuns.find(e.target.value);
+      if (run) form.querySelector('#expenseVehicle').value = run['Vehicle'] || '';
+    });
+    category?.addEventListener('change', toggleMaterial);
+    form.addEventListener('reset', () => setTimeout(toggleMaterial));
+
+    form.addEventListener('submit', this.handleExpenseSubmit.bind(this));
+    document.getElementById('cancelExpenseEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  initCustomerForm() {
+    const form = document.getElementById('customerForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#customerName', { required: true });
+    this.setupFieldValidation('#customerPhone', { required: true });
+    this.setupFieldValidation('#customerEmail', { email: true });
+
+    form.addEventListener('submit', this.handleCustomerSubmit.bind(this));
+    document.getElementById('cancelCustomerEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  initVendorForm() {
+    const form = document.getElementById('vendorForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#vendorName', { required: true });
+    this.setupFieldValidation('#vendorPhone', { required: true });
+    this.setupFieldValidation('#vendorEmail', { email: true });
+
+    form.addEventListener('submit', this.handleVendorSubmit.bind(this));
+    document.getElementById('cancelVendorEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  initProductForm() {
+    const form = document.getElementById('productForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#productName', { required: true });
+    this.setupFieldValidation('#productUnitPrice', { required: true, numeric: true, min: 0 });
+
+    form.addEventListener('submit', this.handleProductSubmit.bind(this));
+    document.getElementById('cancelProductEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  initStaffForm() {
+    const form = document.getElementById('staffForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#staffName', { required: true });
+    this.setupFieldValidation('#staffMonthlySalary', { numeric: true, min: 0 });
+    this.setupFieldValidation('#staffStartDate', { date: true });
+
+    form.addEventListener('submit', this.handleStaffSubmit.bind(this));
+    document.getElementById('cancelStaffEdit')?.addEventListener('click', () => {
+      this.exitEditMode(form);
+      form.querySelector('#staffActive').checked = true;
+    });
+  },
+
+  // Staff picker on the expense form: active staff, plus whoever a record being edited names
+  renderStaffOptions() {
+    ['expenseStaff', 'recurringStaff'].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+      const selected = select.value;
+      select.innerHTML = '<option value="">Select Staff</option>' + Payroll.staff
+        .filter(member => Payroll.isActive(member) || String(member['ID']) === selected)
+        .map(member => `<option value="${Utils.sanitizeInput(String(member['ID']))}">${Utils.sanitizeInput(member['Name'])}${member['Role'] ? ` (${Utils.sanitizeInput(member['Role'])})` : ''}</option>`)
+        .join('');
+      select.value = selected;
+      if (selected && select.value !== selected) this.selectStaff(selected, selected, selectId);
+    });
+  },
+
+  /**
+   * Selects a staff member on the expense form. Names typed before the register existed
+   * are matched to it where they can be, and kept as they are where they cannot.
+   * @param {string} staffId - Staff ID from the record, if any
+   * @param {string} name - Staff name from the record
+   * @param {string} [selectId] - Staff picker to set
+   */
+  selectStaff(staffId, name, selectId = 'expenseStaff') {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const member = Payroll.find(staffId) || Payroll.match(name);
+    // A name outside the register is stored sanitized and sanitized again on save
+    const value = member ? String(member['ID']) : Utils.unescapeInput(name || '');
+    select.value = value;
+    if (value && select.value !== value) {
+      select.insertAdjacentHTML('beforeend', `<option value="${Utils.sanitizeInput(value)}">${member ? member['Name'] : Utils.sanitizeInput(`${value} (not in register)`)}</option>`);
+      select.value = value;
+    }
+  },
+
+  editStaff(id) {
+    const member = Payroll.find(id);
+    const form = document.getElementById('staffForm');
+    if (!member || !form) {
+      Utils.showToast('Staff not found', 'warning');
+      return;
+    }
+    showSubSection('management', 'staff');
+    this.enterEditMode(form, member['ID'], {
+      staffName: member['Name'],
+      staffRole: member['Role'],
+      staffPhone: member['Phone'],
+      staffMonthlySalary: member['Monthly Salary (NGN)'] || '',
+      staffStartDate: member['Start Date'] ? MetricsEngine.dateKey(member['Start Date']) : ''
+    }, 'Update Staff');
+    form.querySelector('#staffActive').checked = Payroll.isActive(member);
+  },
+
+  initProductionForm() {
+    const form = document.getElementById('productionForm');
+    if (!form) return;
+
+    const dateField = form.querySelector('#productionDate');
+    if (dateField) dateField.value = DOM.today;
+
+    this.setupFieldValidation('#productionProduct', { required: true });
+    this.setupFieldValidation('#productionDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#productionQuantity', { required: true, numeric: true });
+
+    form.addEventListener('submit', this.handleProductionSubmit.bind(this));
+  },
+
+  initDeliveryForm() {
+    const form = document.getElementById('deliveryForm');
+    if (!form) return;
+
+    const dateField = form.querySelector('#deliveryDate');
+    if (dateField) dateField.value = DOM.today;
+
+    this.setupFieldValidation('#deliveryDate', { required: true, date: true });
+    this.setupFieldValidation('#deliveryVehicle', { required: true });
+    this.setupFieldValidation('#deliveryDriver', { required: true });
+    this.setupFieldValidation('#deliveryQuantityLoaded', { required: true, numeric: true, min: 0 });
+
+    form.querySelector('#deliveryTown')?.addEventListener('change', () => this.renderRunCustomers());
+    form.addEventListener('submit', this.handleDeliverySubmit.bind(this));
+    document.getElementById('cancelDeliveryEdit')?.addEventListener('click', () => this.exitEditMode(form));
+  },
+
+  /**
+   * Lists customers as checkboxes grouped by town, keeping ticked ones ticked
+   * @param {Array<string>} [checked] - Customer IDs to tick instead of the current ticks
+   */
+  renderRunCustomers(checked) {
+    const list = document.getElementById('deliveryCustomerList');
+    const townFilter = document.getElementById('deliveryTown');
+    if (!list || !townFilter) return;
+    const selected = new Set(checked || this.readRunCustomers());
+
+    const towns = DeliveryRuns.towns();
+    const town = townFilter.value;
+    townFilter.innerHTML = '<option value="">All towns</option>' + towns.map(name => `<option value="${Utils.sanitizeInput(name)}">${Utils.sanitizeInput(name)}</option>`).join('');
+    townFilter.value = towns.includes(town) ? town : '';
+
+    const groups = {};
+    Store.state.cachedData.customers.forEach(customer => {
+      const name = (customer['Town'] || '').trim() || 'No town';
+      (groups[name] = groups[name] || []).push(customer);
+    });
+    list.innerHTML = Object.keys(groups).sort().map(name => {
+      // Ticked customers in other towns stay in the form, hidden
+      const hidden = townFilter.value && name !== townFilter.value;
+      return `
+        <fieldset class="mb-2" ${hidden ? 'style="display: none;"' : ''}>
+          <legend class="fs-6 fw-bold">${Utils.sanitizeInput(name)}</legend>
+          ${groups[name].map(customer => {
+            const id = Utils.sanitizeInput(String(customer['ID']));
+            return `
+            <div class="form-check form-check-inline">
+              <input class="form-check-input run-customer" type="checkbox" id="runCustomer-${id}" value="${id}">
+              <label class="form-check-label" for="runCustomer-${id}">${Utils.sanitizeInput(customer['Name'])}</label>
+            </div>`;
+          }).join('')}
+        </fieldset>`;
+    }).join('') || '<p class="text-muted">No customers yet</p>';
+    // Ticked as a property rather than an attribute, so resetting the form clears them
+    list.querySelectorAll('.run-customer').forEach(box => box.checked = selected.has(box.value));
+  },
+
+  readRunCustomers() {
+    return Array.from(document.querySelectorAll('#deliveryCustomerList .run-customer:checked')).map(box => box.value);
+  },
+
+  // Open runs for the sale form, and runs for vehicle expenses
+  renderRunOptions() {
+    const open = DeliveryRuns.runs.filter(run => DeliveryRuns.isOpen(run));
+    const fill = (select, runs, blank) => {
+      if (!select) return;
+      const selected = select.value;
+      const list = [...runs];
+      // Keep a run already chosen on a record being edited, even once it is reconciled
+      const current = selected && DeliveryRuns.find(selected);
+      if (current && !list.includes(current)) list.push(current);
+      select.innerHTML = `<option value="">${blank}</option>` + list
+        .map(run => `<option value="${Utils.sanitizeInput(String(run['ID']))}">${Utils.sanitizeInput(DeliveryRuns.label(run))}</option>`).join('');
+      select.value = selected;
+    };
+    fill(document.getElementById('saleRun'), open, 'Not on a delivery run');
+    fill(document.getElementById('expenseRun'), DeliveryRuns.runs.slice(-30).reverse(), 'No particular run');
+    const vehicles = document.getElementById('vehiclesList');
+    if (vehicles) vehicles.innerHTML = DeliveryRuns.vehicles().map(name => `<option value="${Utils.sanitizeInput(name)}">`).join('');
+    this.renderRunCustomers();
+  },
+
+  initReconcileForm() {
+    const form = document.getElementById('reconcileForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#reconcileQuantityDelivered', { required: true, numeric: true, min: 0 });
+    this.setupFieldValidation('#reconcileCashCollected', { required: true, numeric: true, min: 0 });
+
+    form.addEventListener('submit', this.handleReconcileSubmit.bind(this));
+    document.getElementById('cancelReconcile')?.addEventListener('click', () => {
+      document.getElementById('reconcilePanel').style.display = 'none';
+      form.reset();
+    });
+  },
+
+  /**
+   * Shows a run's sales against what was loaded, ready to record what came back
+   * @param {string} id - Delivery run ID
+   */
+  openReconcile(id) {
+    const run = DeliveryRuns.find(id);
+    const panel = document.getElementById('reconcilePanel');
+    const form = document.getElementById('reconcileForm');
+    if (!run || !panel || !form) {
+      Utils.showToast('Delivery run not found', 'warning');
+      return;
+    }
+    const summary = DeliveryRuns.summary(run);
+    const customerName = customerId => {
+      const customer = Store.state.cachedData.customers.find(c => String(c['ID']) === String(customerId));
+      return customer ? customer['Name'] : customerId;
+    };
+
+    form.dataset.runId = run['ID'];
+    document.getElementById('reconcileTitle').textContent = `Reconcile ${DeliveryRuns.label(run)}`;
+    document.getElementById('reconcileSummary').innerHTML = `
+      <p>
+        Driver: <strong>${Utils.sanitizeInput(run['Driver'] || '')}</strong> ·
+        Loaded: <strong>${LedgerOps.num(run['Quantity Loaded'])}</strong> ·
+        Sold: <strong>${summary.quantitySold}</strong> ·
+        Cash expected: <strong>${Utils.formatCurrency(summary.expectedCash)}</strong> ·
+        Paid by transfer: <strong>${Utils.formatCurrency(summary.transfers)}</strong>
+      </p>
+      ${summary.missed.length ? `<p class="text-warning">No sale entered for: ${summary.missed.map(id => Utils.sanitizeInput(customerName(id))).join(', ')}</p>` : ''}`;
+    DataManager.renderTable('reconcileSalesTable', summary.sales, [
+      { key: 'ID', label: 'ID' },
+      { key: 'Customer Name', label: 'Customer' },
+      { key: 'Quantity', label: 'Quantity' },
+      { key: 'Total Amount (NGN)', label: 'Total', format: Utils.formatCurrency },
+      { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
+      { key: 'Payment Method', label: 'Method' }
+    ]);
+
+    form.reset();
+    form.querySelector('#reconcileQuantityDelivered').value = DeliveryRuns.isOpen(run) ? summary.quantitySold : summary.delivered;
+    form.querySelector('#reconcileCashCollected').value = DeliveryRuns.isOpen(run) ? '' : summary.cashCollected;
+    form.querySelector('#reconcileNotes').value = run['Reconciliation Notes'] || '';
+    form.querySelector('button[type="submit"]').textContent = DeliveryRuns.isOpen(run) ? 'Reconcile Run' : 'Update Reconciliation';
+    panel.style.display = 'block';
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  },
+
+  editDelivery(id) {
+    const run = DeliveryRuns.find(id);
+    const form = document.getElementById('deliveryForm');
+    if (!run || !form) {
+      Utils.showToast('Delivery run not found', 'warning');
+      return;
+    }
+    showSection('deliveries');
+    this.enterEditMode(form, run['ID'], {
+      deliveryDate: MetricsEngine.dateKey(run['Date']),
+      deliveryVehicle: run['Vehicle'],
+      deliveryDriver: run['Driver'],
+      deliveryQuantityLoaded: run['Quantity Loaded'],
+      deliveryNotes: run['Notes']
+    }, 'Update Run');
+    this.renderRunCustomers(DeliveryRuns.customerIds(run));
+  },
+
+  initLoginForm() {
+    const form = document.getElementById('loginForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#email', { required: true, email: true });
+    this.setupFieldValidation('#password', { required: true });
+
+    form.addEventListener('submit', this.handleLoginSubmit.bind(this));
+  },
+
+  initUpdatePaymentForm() {
+    const form = document.getElementById('updatePaymentForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#updateSaleId', { required: true });
+    this.setupFieldValidation('#updateAmount', { required: true, numeric: true, min: 0.01 });
+    this.setupFieldValidation('#updatePaymentDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#updateCollectedBy', { required: true });
+    form.querySelector('#updatePaymentDate').value = DOM.today;
+
+    form.addEventListener('submit', this.handleUpdatePaymentSubmit.bind(this));
+  },
+
+  /**
+   * Shows every payment against a sale, oldest first, with the balance left after each
+   * @param {string} saleId - Sale ID, or empty to clear the timeline
+   */
+  renderPaymentTimeline(saleId) {
+    const container = document.getElementById('paymentTimeline');
+    if (!container) return;
+    const sale = saleId && Store.state.cachedData.sales.find(row => String(row['ID']) === String(saleId));
+    container.style.display = sale ? 'block' : 'none';
+    if (!sale) return;
+
+    // Work on a copy so sales from before the payment history get their brought-forward line
+    const db = { payments: LedgerOps.salePayments(Store.state.cachedData, sale['ID']).map(payment => ({ ...payment })) };
+    LedgerOps.ensurePaymentHistory(db, { ...sale });
+    const total = parseFloat(sale['Total Amount (NGN)']) || 0;
+    let paid = 0;
+    const rows = db.payments
+      .sort((a, b) => MetricsEngine.dateKey(a['Date']).localeCompare(MetricsEngine.dateKey(b['Date'])))
+      .map(payment => {
+        paid += parseFloat(payment['Amount (NGN)']) || 0;
+        return { ...payment, 'Balance After (NGN)': Math.max(total - paid, 0) };
+      });
+
+    document.getElementById('paymentTimelineSummary').textContent =
+      `Total ${Utils.formatCurrency(total)} · Paid ${Utils.formatCurrency(paid)} · Balance ${Utils.formatCurrency(Math.max(total - paid, 0))}`;
+    DataManager.renderTable('paymentHistoryTable', rows, [
+      { key: 'Date', label: 'Date' },
+      { key: 'Type', label: 'Type' },
+      { key: 'Method', label: 'Method' },
+      { key: 'Reference', label: 'Reference' },
+      { key: 'Collected By', label: 'Collected By' },
+      { key: 'Amount (NGN)', label: 'Amount', format: Utils.formatCurrency },
+      { key: 'Balance After (NGN)', label: 'Balance After', format: Utils.formatCurrency }
+    ]);
+  },
+
+  initArchiveForm() {
+    const form = document.getElementById('archiveForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#archiveSaleId', { required: true });
+
+    form.addEventListener('submit', this.handleArchiveSubmit.bind(this));
+  },
+
+  initDeleteForm() {
+    const form = document.getElementById('deleteForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#deleteSaleId', { required: true });
+
+    form.addEventListener('submit', this.handleDeleteSubmit.bind(this));
+  },
+
+  initSaleSearch() {
+    const input = document.getElementById('saleSearch');
+    const results = document.getElementById('saleSearchResults');
+    if (!input || !results) return;
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', 'saleSearchResults');
+    results.setAttribute('role', 'listbox');
+
+    input.addEventListener('input', Utils.debounce(() => this.renderSaleSearchResults(input.value), 150));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        results.classList.add('d-none');
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        results.querySelector('button')?.click();
+      } else if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        results.querySelector('button')?.focus();
+      }
+    });
+    results.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        document.activeElement.nextElementSibling?.focus();
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        (document.activeElement.previousElementSibling || input).focus();
+      } else if (e.key === 'Escape') {
+        results.classList.add('d-none');
+        input.focus();
+      }
+    });
+  },
+
+  /**
+   * Searches cached sales by ID, customer name, customer phone and date
+   * @param {string} query - The search text
+   * @param {number} limit - Maximum number of matches
+   * @return {Array} Matching sale rows, newest first
+   */
+  searchSales(query, limit = 10) {
+    const term = query.trim().toLowerCase();
+    if (!term) return [];
+    const digits = term.replace(/\D/g, '');
+
+    const phones = {};
+    Store.state.cachedData.customers.forEach(customer => {
+      phones[customer['ID']] = String(customer['Phone'] || '');
+      phones[customer['Name']] = String(customer['Phone'] || '');
+    });
+
+    return Store.state.cachedData.sales
+      .filter(sale => {
+        const phone = phones[sale['Customer ID']] || phones[sale['Customer Name']] || '';
+        return String(sale['ID']).toLowerCase().includes(term) ||
+          String(sale['Customer Name'] || '').toLowerCase().includes(term) ||
+          String(sale['Date'] || '').includes(term) ||
+          (digits.length >= 3 && phone.replace(/\D/g, '').includes(digits));
+      })
+      .sort((a, b) => String(b['Date']).localeCompare(String(a['Date'])))
+      .slice(0, limit);
+  },
+
+  renderSaleSearchResults(query) {
+    const results = document.getElementById('saleSearchResults');
+    const matches = this.searchSales(query);
+    results.innerHTML = '';
+
+    if (!query.trim()) {
+      results.classList.add('d-none');
+      return;
+    }
+
+    if (!matches.length) {
+      results.innerHTML = '<div class="list-group-item text-muted">No matching sales</div>';
+    }
+
+    matches.forEach(sale => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'list-group-item list-group-item-action';
+      item.setAttribute('role', 'option');
+      item.innerHTML = `
+        <strong>${Utils.sanitizeInput(String(sale['ID']))}</strong> &middot; ${Utils.sanitizeInput(sale['Customer Name'] || '')}
+        <small class="d-block text-muted">${Utils.sanitizeInput(String(sale['Date'] || ''))} &middot; Balance ${Utils.formatCurrency(parseFloat(sale['Balance (NGN)']) || 0)}</small>
+      `;
+      item.addEventListener('click', () => this.selectSale(sale));
+      results.appendChild(item);
+    });
+    results.classList.remove('d-none');
+  },
+
+  selectSale(sale) {
+    ['update', 'archive', 'delete'].forEach(prefix => {
+      const idField = document.getElementById(`${prefix}SaleId`);
+      const nameField = document.getElementById(`${prefix}CustomerName`);
+      if (idField) {
+        idField.value = sale['ID'];
+        idField.dispatchEvent(new Event('input'));
+      }
+      if (nameField) nameField.textContent = sale['Customer Name'] || '';
+    });
+
+    const input = document.getElementById('saleSearch');
+    input.value = `${sale['ID']} - ${sale['Customer Name'] || ''}`;
+    document.getElementById('saleSearchResults').classList.add('d-none');
+    this.renderPaymentTimeline(sale['ID']);
+    document.getElementById('updateAmount')?.focus();
+  },
+
+  initCustomerSalesForm() {
+    const form = document.getElementById('customerSalesForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#historyCustomer', { required: true });
+    this.setupFieldValidation('#historyStartDate', { date: true });
+    this.setupFieldValidation('#historyEndDate', { date: true });
+
+    form.addEventListener('submit', this.handleCustomerSalesSubmit.bind(this));
+  },
+
+  initReceivePaymentForm() {
+    const form = document.getElementById('receivePaymentForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#receiveAmount', { required: true, numeric: true, min: 0.01 });
+    this.setupFieldValidation('#receiveDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#receiveCollectedBy', { required: true });
+    form.querySelector('#receiveDate').value = DOM.today;
+
+    const reallocate = () => this.renderAllocations();
+    document.getElementById('historyCustomer')?.addEventListener('change', reallocate);
+    form.querySelector('#receiveAmount').addEventListener('input', Utils.debounce(reallocate, 300));
+    form.addEventListener('input', (e) => {
+      if (e.target.classList.contains('allocation-amount')) this.renderAllocationSummary();
+    });
+    form.addEventListener('submit', this.handleReceivePaymentSubmit.bind(this));
+  },
+
+  /**
+   * Splits a lump-sum payment across open sales or expenses, oldest due date first
+   * @param {Array<Object>} records - The customer's sales, or the vendor's expenses
+   * @param {number} amount - Amount received or paid
+   * @return {Array<Object>} One { record, dueDate, balance, amount } per open record, in allocation order
+   */
+  allocatePayment(records, amount) {
+    let remaining = amount;
+    return records
+      .map(record => ({
+        record,
+        dueDate: MetricsEngine.dateKey(record['Due Date'] || record['Date']),
+        balance: parseFloat(record['Balance (NGN)']) || 0
+      }))
+      .filter(({ balance }) => balance > 0)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || MetricsEngine.dateKey(a.record['Date']).localeCompare(MetricsEngine.dateKey(b.record['Date'])))
+      .map(line => {
+        const allocated = Math.min(line.balance, Math.max(remaining, 0));
+        remaining = Math.round((remaining - allocated) * 100) / 100;
+        return { ...line, amount: allocated };
+      });
+  },
+
+  renderAllocations() {
+    const table = document.getElementById('allocationTable');
+    if (!table) return;
+    const customerId = document.getElementById('historyCustomer').value;
+    const amount = parseFloat(document.getElementById('receiveAmount').value) || 0;
+    const sales = Store.state.cachedData.sales.filter(sale => String(sale['Customer ID']) === String(customerId));
+    const lines = customerId ? this.allocatePayment(sales, amount) : [];
+
+    table.querySelector('tbody').innerHTML = lines.length ? lines.map(({ record: sale, dueDate, balance, amount: allocated }) => `
+      <tr>
+        <td>${Utils.sanitizeInput(String(sale['ID']))}</td>
+        <td>${Utils.sanitizeInput(String(sale['Date'] || ''))}</td>
+        <td>${dueDate}</td>
+        <td>${Utils.formatCurrency(balance)}</td>
+        <td>
+          <input type="number" class="form-control form-control-sm allocation-amount" data-sale-id="${Utils.sanitizeInput(String(sale['ID']))}"
+            data-balance="${balance}" min="0" max="${balance}" step="0.01" value="${allocated || ''}" aria-label="Amount for sale ${Utils.sanitizeInput(String(sale['ID']))}">
+        </td>
+      </tr>`).join('') : `<tr><td colspan="5" class="text-center">${customerId ? 'No open sales for this customer' : 'Select a customer above'}</td></tr>`;
+    this.renderAllocationSummary();
+  },
+
+  /**
+   * @return {Array<Object>} Allocations as entered: { saleId, amount, balance }
+   */
+  readAllocations() {
+    return Array.from(document.querySelectorAll('#allocationTable .allocation-amount')).map(input => ({
+      saleId: input.dataset.saleId,
+      amount: parseFloat(input.value) || 0,
+      balance: parseFloat(input.dataset.balance) || 0
+    }));
+  },
+
+  renderAllocationSummary() {
+    const summary = document.getElementById('allocationSummary');
+    if (!summary) return;
+    const received = parseFloat(document.getElementById('receiveAmount').value) || 0;
+    const allocations = this.readAllocations();
+    const allocated = allocations.reduce((total, line) => total + line.amount, 0);
+    const outstanding = allocations.reduce((total, line) => total + line.balance, 0);
+    const unallocated = received - allocated;
+
+    summary.textContent = `Received ${Utils.formatCurrency(received)} · Allocated ${Utils.formatCurrency(allocated)} · Unallocated ${Utils.formatCurrency(unallocated)} · Open balance ${Utils.formatCurrency(outstanding)}`;
+    summary.classList.toggle('text-danger', Math.abs(unallocated) >= 0.01 || allocations.some(line => line.amount > line.balance));
+  },
+
+  async handleReceivePaymentSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+    const customerId = document.getElementById('historyCustomer').value;
+    if (!customerId) isValid = false;
+
+    if (!isValid || !Store.state.credentials.token) {
+      Utils.showToast(!isValid ? 'Select a customer and fix form errors' : 'Please log in to record payments', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const received = parseFloat(formData.get('receiveAmount'));
+    const allocations = this.readAllocations().filter(line => line.amount > 0);
+    const allocated = allocations.reduce((total, line) => total + line.amount, 0);
+
+    if (allocations.some(line => line.amount > line.balance)) {
+      Utils.showToast('An allocation is more than that sale\'s balance', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (!allocations.length || allocated - received >= 0.01) {
+      Utils.showToast(allocations.length ? 'Allocations add up to more than the amount received' : 'Nothing allocated', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (received - allocated >= 0.01 && !confirm(`${Utils.formatCurrency(received - allocated)} of this payment is not allocated to any sale and will not be recorded. Continue?`)) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    const payment = {
+      date: formData.get('receiveDate'),
+      method: formData.get('receiveMethod'),
+      reference: Utils.sanitizeInput(formData.get('receiveReference')),
+      collectedBy: Utils.sanitizeInput(formData.get('receiveCollectedBy')),
+      credentials: Store.state.credentials
+    };
+
+    DOM.loadingIndicator.style.display = 'block';
+    // One payment update per sale, in allocation order, so a failure leaves earlier ones recorded
+    const { recorded, failed, skipped } = await DataManager.submitEach(allocations, ({ saleId, amount }) => ({
+      url: `/api/updatePayment/${saleId}`,
+      method: 'POST',
+      data: { ...payment, amount },
+      formId: 'updatePaymentForm'
+    }));
+    try {
+      const paid = recorded.map(line => line.saleId);
+      const unpaid = failed ? [failed.item, ...skipped] : [];
+      if (failed) {
+        Utils.showToast(`${paid.length ? `Recorded for ${paid.join(', ')}. ` : ''}Not recorded for ${unpaid.map(line => line.saleId).join(', ')} (${failed.message}). Submit again to record the rest.`, 'error');
+      } else {
+        Utils.showToast(`Payment recorded against ${paid.length} sale(s): ${paid.join(', ')}`);
+      }
+      if (recorded.length) {
+        // Whatever was not recorded stays in the form, so submitting again cannot pay a sale twice
+        const left = unpaid.reduce((total, line) => total + line.amount, 0);
+        form.querySelector('#receiveAmount').value = left ? Math.round(left * 100) / 100 : '';
+        if (!left) form.querySelector('#receiveReference').value = '';
+        await Promise.all([
+          DataManager.loadPayments(),
+          DataManager.initSalesTable(),
+          DataManager.initCustomersTable(),
+          DataManager.initDashboard()
+        ]);
+        this.renderAllocations();
+      }
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  initPayVendorForm() {
+    const form = document.getElementById('payVendorForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#payAmount', { required: true, numeric: true, min: 0.01 });
+    this.setupFieldValidation('#payDate', { required: true, date: true, future: false });
+    this.setupFieldValidation('#payPaidBy', { required: true });
+    form.querySelector('#payDate').value = DOM.today;
+
+    const reallocate = () => this.renderPayables();
+    document.getElementById('historyVendor')?.addEventListener('change', reallocate);
+    form.querySelector('#payAmount').addEventListener('input', Utils.debounce(reallocate, 300));
+    form.addEventListener('input', (e) => {
+      if (e.target.classList.contains('payable-amount')) this.renderPayablesSummary();
+    });
+    form.addEventListener('submit', this.handlePayVendorSubmit.bind(this));
+  },
+
+  /**
+   * The selected vendor's open expenses with their due dates, and how the amount
+   * being paid is split across them
+   */
+  renderPayables() {
+    const table = document.getElementById('payablesTable');
+    if (!table) return;
+    const vendorId = document.getElementById('historyVendor').value;
+    const amount = parseFloat(document.getElementById('payAmount').value) || 0;
+    const expenses = Store.state.cachedData.expenses
+      .filter(expense => String(expense['Vendor ID']) === String(vendorId))
+      .map(expense => ({ ...expense, 'Balance (NGN)': LedgerOps.expenseBalance(expense) }));
+    const lines = vendorId ? this.allocatePayment(expenses, amount) : [];
+
+    table.querySelector('tbody').innerHTML = lines.length ? lines.map(({ record: expense, dueDate, balance, amount: allocated }) => `
+      <tr>
+        <td>${Utils.sanitizeInput(String(expense['ID']))}</td>
+        <td>${Utils.sanitizeInput(String(expense['Category'] || ''))}</td>
+        <td>${Utils.sanitizeInput(String(expense['Date'] || ''))}</td>
+        <td class="${dueDate < DOM.today ? 'text-danger' : ''}">${dueDate}</td>
+        <td>${Utils.formatCurrency(balance)}</td>
+        <td>
+          <input type="number" class="form-control form-control-sm payable-amount" data-expense-id="${Utils.sanitizeInput(String(expense['ID']))}"
+            data-balance="${balance}" min="0" max="${balance}" step="0.01" value="${allocated || ''}" aria-label="Amount for expense ${Utils.sanitizeInput(String(expense['ID']))}">
+        </td>
+      </tr>`).join('') : `<tr><td colspan="6" class="text-center">${vendorId ? 'Nothing owed to this vendor' : 'Select a vendor above'}</td></tr>`;
+    this.renderPayablesSummary();
+  },
+
+  /**
+   * @return {Array<Object>} Allocations as entered: { expenseId, amount, balance }
+   */
+  readPayables() {
+    return Array.from(document.querySelectorAll('#payablesTable .payable-amount')).map(input => ({
+      expenseId: input.dataset.expenseId,
+      amount: parseFloat(input.value) || 0,
+      balance: parseFloat(input.dataset.balance) || 0
+    }));
+  },
+
+  renderPayablesSummary() {
+    const summary = document.getElementById('payablesSummary');
+    if (!summary) return;
+    const paying = parseFloat(document.getElementById('payAmount').value) || 0;
+    const allocations = this.readPayables();
+    const allocated = allocations.reduce((total, line) => total + line.amount, 0);
+    const owed = allocations.reduce((total, line) => total + line.balance, 0);
+    const unallocated = paying - allocated;
+
+    summary.textContent = `Paying ${Utils.formatCurrency(paying)} · Allocated ${Utils.formatCurrency(allocated)} · Unallocated ${Utils.formatCurrency(unallocated)} · Owed ${Utils.formatCurrency(owed)}`;
+    summary.classList.toggle('text-danger', Math.abs(unallocated) >= 0.01 || allocations.some(line => line.amount > line.balance));
+  },
+
+  /**
+   * Opens the vendor payment form with the whole balance of one expense against it
+   * @param {string} id - Expense ID
+   */
+  payExpense(id) {
+    const expense = Store.state.cachedData.expenses.find(row => String(row['ID']) === String(id));
+    const form = document.getElementById('payVendorForm');
+    if (!expense || !form) {
+      Utils.showToast('Expense not found', 'warning');
+      return;
+    }
+    showSubSection('management', 'vendors');
+    const vendorSelect = document.getElementById('historyVendor');
+    vendorSelect.value = this.resolvePartyId(expense, 'Vendor ID', 'Vendor', 'vendors');
+    const balance = LedgerOps.expenseBalance(expense);
+    form.querySelector('#payAmount').value = balance;
+    this.renderPayables();
+    document.querySelectorAll('#payablesTable .payable-amount').forEach(input => {
+      input.value = input.dataset.expenseId === String(expense['ID']) ? balance : '';
+    });
+    this.renderPayablesSummary();
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    form.querySelector('#payAmount').focus();
+  },
+
+  async handlePayVendorSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+    const vendorId = document.getElementById('historyVendor').value;
+    if (!vendorId) isValid = false;
+
+    if (!isValid || !Store.state.credentials.token) {
+      Utils.showToast(!isValid ? 'Select a vendor and fix form errors' : 'Please log in to record payments', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const paying = parseFloat(formData.get('payAmount'));
+    const allocations = this.readPayables().filter(line => line.amount > 0);
+    const allocated = allocations.reduce((total, line) => total + line.amount, 0);
+
+    if (allocations.some(line => line.amount > line.balance)) {
+      Utils.showToast('An allocation is more than that expense\'s balance', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (!allocations.length || allocated - paying >= 0.01) {
+      Utils.showToast(allocations.length ? 'Allocations add up to more than the amount paid' : 'Nothing allocated', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (paying - allocated >= 0.01 && !confirm(`${Utils.formatCurrency(paying - allocated)} of this payment is not allocated to any expense and will not be recorded. Continue?`)) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    const payment = {
+      date: formData.get('payDate'),
+      method: formData.get('payMethod'),
+      reference: Utils.sanitizeInput(formData.get('payReference')),
+      paidBy: Utils.sanitizeInput(formData.get('payPaidBy')),
+      credentials: Store.state.credentials
+    };
+
+    DOM.loadingIndicator.style.display = 'block';
+    // One payment per expense, in allocation order, so a failure leaves earlier ones recorded
+    const { recorded, failed, skipped } = await DataManager.submitEach(allocations, ({ expenseId, amount }) => ({
+      url: `/api/payExpense/${expenseId}`,
+      method: 'POST',
+      data: { ...payment, amount },
+      formId: 'payVendorForm'
+    }));
+    try {
+      const paid = recorded.map(line => line.expenseId);
+      const unpaid = failed ? [failed.item, ...skipped] : [];
+      if (failed) {
+        Utils.showToast(`${paid.length ? `Recorded for ${paid.join(', ')}. ` : ''}Not recorded for ${unpaid.map(line => line.expenseId).join(', ')} (${failed.message}). Submit again to record the rest.`, 'error');
+      } else {
+        Utils.showToast(`Payment recorded against ${paid.length} expense(s): ${paid.join(', ')}`);
+      }
+      if (recorded.length) {
+        // Whatever was not recorded stays in the form, so submitting again cannot pay an expense twice
+        const left = unpaid.reduce((total, line) => total + line.amount, 0);
+        form.querySelector('#payAmount').value = left ? Math.round(left * 100) / 100 : '';
+        if (!left) form.querySelector('#payReference').value = '';
+        await Promise.all([
+          DataManager.loadExpensePayments(),
+          DataManager.initExpensesTable(),
+          DataManager.initVendorsTable(),
+          DataManager.initDashboard()
+        ]);
+        this.renderPayables();
+        CashUp.render();
+      }
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  initVendorExpensesForm() {
+    const form = document.getElementById('vendorExpensesForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#historyVendor', { required: true });
+    this.setupFieldValidation('#historyVendorStartDate', { date: true });
+    this.setupFieldValidation('#historyVendorEndDate', { date: true });
+
+    form.addEventListener('submit', this.handleVendorExpensesSubmit.bind(this));
+  },
+
+  initReportForm() {
+    const form = document.getElementById('reportForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#startDate', { required: true, date: true });
+    this.setupFieldValidation('#endDate', { required: true, date: true });
+
+    form.addEventListener('submit', this.handleReportSubmit.bind(this));
+
+    const exportCSV = document.getElementById('exportCSV');
+    if (exportCSV) {
+      exportCSV.addEventListener('click', this.handleExportCSV.bind(this));
+    }
+  },
+
+  initDashboardDateForm() {
+    const form = document.getElementById('dashboardDateForm');
+    if (!form) return;
+
+    this.setupFieldValidation('#dashboardStartDate', { required: true, date: true });
+    this.setupFieldValidation('#dashboardEndDate', { required: true, date: true });
+
+    form.addEventListener('submit', this.handleDashboardDateSubmit.bind(this));
+  },
+
+  /**
+   * Switches an add form into edit mode for an existing record
+   * @param {HTMLFormElement} form - The add form to reuse
+   * @param {string} id - ID of the record being edited
+   * @param {Object} values - Field ID to value map used to prefill the form
+   * @param {string} submitLabel - Submit button text while editing
+   * @param {number} [outboxId] - Outbox entry replaced on submit instead of sending a new request
+   */
+  enterEditMode(form, id, values, submitLabel, outboxId = null) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    if (!('addLabel' in form.dataset)) form.dataset.addLabel = submitButton.textContent;
+    if (id) form.dataset.editId = id;
+    else delete form.dataset.editId;
+    if (outboxId) form.dataset.outboxId = outboxId;
+    else delete form.dataset.outboxId;
+    submitButton.textContent = submitLabel;
+
+    // Text is stored sanitized; show it as typed, or saving would escape it again
+    Object.entries(values).forEach(([fieldId, value]) => {
+      const field = form.querySelector(`#${fieldId}`);
+      if (field) field.value = typeof value === 'string' ? Utils.unescapeInput(value) : value ?? '';
+    });
+    form.querySelectorAll('.invalid-feedback').forEach(el => el.textContent = '');
+
+    const cancelButton = form.querySelector('[id^="cancel"][id$="Edit"]');
+    if (cancelButton) cancelButton.style.display = 'inline-block';
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    form.querySelector('input, select')?.focus();
+  },
+
+  exitEditMode(form) {
+    if ('addLabel' in form.dataset) {
+      form.querySelector('button[type="submit"]').textContent = form.dataset.addLabel;
+      delete form.dataset.addLabel;
+    }
+    delete form.dataset.editId;
+    delete form.dataset.outboxId;
+    delete form.dataset.draft;
+    const cancelButton = form.querySelector('[id^="cancel"][id$="Edit"]');
+    if (cancelButton) cancelButton.style.display = 'none';
+    form.reset();
+    form.querySelectorAll('input[type="date"][required]').forEach(field => field.value = DOM.today);
+    form.querySelectorAll('select').forEach(field => field.dispatchEvent(new Event('change')));
+  },
+
+  editCustomer(id) {
+    const customer = Store.state.cachedData.customers.find(c => String(c['ID']) === String(id));
+    const form = document.getElementById('customerForm');
+    if (!customer || !form) {
+      Utils.showToast('Customer not found', 'warning');
+      return;
+    }
+    showSubSection('management', 'customers');
+    this.enterEditMode(form, customer['ID'], {
+      customerName: customer['Name'],
+      customerPhone: customer['Phone'],
+      customerEmail: customer['Email'],
+      customerTown: customer['Town'],
+      customerNotes: customer['Notes'],
+      customerCreditLimit: customer['Credit Limit (NGN)'] ?? '',
+      customerMaxOverdueDays: customer['Max Overdue Days'] ?? ''
+    }, 'Update Customer');
+  },
+
+  editVendor(id) {
+    const vendor = Store.state.cachedData.vendors.find(v => String(v['ID']) === String(id));
+    const form = document.getElementById('vendorForm');
+    if (!vendor || !form) {
+      Utils.showToast('Vendor not found', 'warning');
+      return;
+    }
+    showSubSection('management', 'vendors');
+    this.enterEditMode(form, vendor['ID'], {
+      vendorName: vendor['Name'],
+      vendorPhone: vendor['Phone'],
+      vendorEmail: vendor['Email'],
+      vendorServiceCategory: vendor['Service Category'],
+      vendorTown: vendor['Town'],
+      vendorNotes: vendor['Notes']
+    }, 'Update Vendor');
+  },
+
+  /**
+   * Resolves the customer or vendor ID of a record, falling back to a name lookup
+   * for rows that only carry the display name
+   */
+  resolvePartyId(row, idKey, nameKey, collection) {
+    if (row[idKey]) return row[idKey];
+    const match = Store.state.cachedData[collection].find(item => item['Name'] === row[nameKey]);
+    return match ? match['ID'] : '';
+  },
+
+  editSale(id) {
+    const sale = Store.state.cachedData.sales.find(s => String(s['ID']) === String(id));
+    const form = document.getElementById('saleForm');
+    if (!sale || !form) {
+      Utils.showToast('Sale not found', 'warning');
+      return;
+    }
+    const date = moment(sale['Date']).format('YYYY-MM-DD');
+    const paymentMethod = String(sale['Payment Method'] || '').toLowerCase();
+    const creditDays = sale['Due Date'] ? moment(sale['Due Date']).diff(moment(date), 'days') : '';
+
+    showSubSection('sales', 'sale-form');
+    this.enterEditMode(form, sale['ID'], {
+      saleCustomer: this.resolvePartyId(sale, 'Customer ID', 'Customer Name', 'customers'),
+      saleDate: date,
+      saleQuantity: sale['Quantity'],
+      saleTotalAmount: sale['Total Amount (NGN)'],
+      saleAmountPaid: sale['Amount Paid (NGN)'],
+      salePaymentMethod: paymentMethod,
+      saleCreditDays: paymentMethod === 'credit' ? creditDays : '',
+      saleNotes: sale['Notes'],
+      saleContainersIssued: sale['Containers Issued'] || '',
+      saleEmptiesCollected: sale['Empties Collected'] || '',
+      saleDepositTaken: sale['Deposit Taken (NGN)'] || '',
+      saleDepositRefunded: sale['Deposit Refunded (NGN)'] || ''
+    }, 'Update Sale');
+    this.selectRun('saleRun', sale['Run ID']);
+    this.lockContainerFields();
+    this.setLineItems(Catalogue.lineItems(sale));
+    form.querySelector('#salePaymentMethod').dispatchEvent(new Event('change'));
+  },
+
+  editProduct(id) {
+    const product = Catalogue.find(id);
+    const form = document.getElementById('productForm');
+    if (!product || !form) {
+      Utils.showToast('Product not found', 'warning');
+      return;
+    }
+    showSubSection('management', 'products');
+    this.enterEditMode(form, product['ID'], {
+      productName: product['Name'],
+      productSku: product['SKU'],
+      productUnit: product['Unit'],
+      productUnitPrice: product['Unit Price (NGN)'],
+      productPriceTiers: Catalogue.formatTiers(product['Price Tiers']),
+      productCustomerPrices: Catalogue.formatCustomerPrices(product['Customer Prices']),
+      productReorderLevel: product['Reorder Level'] || '',
+      productDeposit: product['Container Deposit (NGN)'] || ''
+    }, 'Update Product');
+    form.querySelector('#productActive').checked = product['Active'] !== false && product['Active'] !== 'FALSE';
+  },
+
+  editExpense(id) {
+    const expense = Store.state.cachedData.expenses.find(e => String(e['ID']) === String(id));
+    const form = document.getElementById('expenseForm');
+    if (!expense || !form) {
+      Utils.showToast('Expense not found', 'warning');
+      return;
+    }
+    showSection('expenses');
+    this.enterEditMode(form, expense['ID'], {
+      expenseVendor: this.resolvePartyId(expense, 'Vendor ID', 'Vendor', 'vendors'),
+      expenseCategory: expense['Category'],
+      expenseDate: moment(expense['Date']).format('YYYY-MM-DD'),
+      expenseQuantity: expense['Quantity'],
+      expenseTotalAmount: expense['Total Expenses (NGN)'],
+      expenseAmountPaid: expense['Amount Paid (NGN)'],
+      expensePaymentMethod: expense['Payment Method'] || 'cash',
+      expenseDueDate: expense['Due Date'] ? MetricsEngine.dateKey(expense['Due Date']) : '',
+      expenseNotes: expense['Notes'],
+      expenseMaterial: expense['Material'] || '',
+      expenseMaterialUnit: expense['Material Unit'] || '',
+      expenseVehicle: expense['Vehicle'] || ''
+    }, 'Update Expense');
+    this.selectStaff(expense['Staff ID'], expense['Staff']);
+    this.selectRun('expenseRun', expense['Run ID']);
+    form.querySelector('#expenseCategory').dispatchEvent(new Event('change'));
+  },
+
+  // Forms that can reopen a queued submission, keyed by the formId it was queued under
+  queuedForms: {
+    sale: {
+      formIds: ['saleForm', 'updateSale'],
+      formElementId: 'saleForm',
+      open: () => showSubSection('sales', 'sale-form'),
+      fields: {
+        saleCustomer: 'customerId', saleDate: 'date', saleQuantity: 'quantity', saleTotalAmount: 'totalAmount', saleAmountPaid: 'amountPaid', salePaymentMethod: 'paymentMethod', saleCreditDays: 'creditDays', saleNotes: 'notes',
+        saleContainersIssued: 'containersIssued', saleEmptiesCollected: 'emptiesCollected', saleDepositTaken: 'depositTaken', saleDepositRefunded: 'depositRefunded'
       },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: { position: isMobile ? 'bottom' : 'top' },
-          title: { display: true, text: title }
-        },
-        scales: type === 'bar' ? { y: { beginAtZero: true } } : {},
-        layout: { padding: { left: isMobile ? 5 : 10, right: isMobile ? 5 : 10, top: isMobile ? 5 : 10, bottom: isMobile ? 5 : 10 } }
+      restore: body => {
+        FormHandler.selectRun('saleRun', body.runId);
+        FormHandler.lockContainerFields();
+        FormHandler.setLineItems(body.lineItems || []);
+      }
+    },
+    expense: {
+      formIds: ['expenseForm', 'updateExpense'],
+      formElementId: 'expenseForm',
+      open: () => showSection('expenses'),
+      fields: { expenseVendor: 'vendorId', expenseCategory: 'category', expenseDate: 'date', expenseQuantity: 'quantity', expenseTotalAmount: 'totalAmount', expenseAmountPaid: 'amountPaid', expensePaymentMethod: 'paymentMethod', expenseDueDate: 'dueDate', expenseNotes: 'notes', expenseMaterial: 'material', expenseMaterialUnit: 'materialUnit', expenseVehicle: 'vehicle' },
+      restore: body => {
+        FormHandler.selectStaff(body.staffId, body.staff);
+        FormHandler.selectRun('expenseRun', body.runId);
+        if (body.recurringId) document.getElementById('expenseForm').dataset.draft = JSON.stringify({ recurringId: body.recurringId, dueFor: body.dueFor });
+        document.getElementById('expenseCategory').dispatchEvent(new Event('change'));
+      }
+    },
+    customer: {
+      formIds: ['customerForm', 'updateCustomer'],
+      formElementId: 'customerForm',
+      open: () => showSubSection('management', 'customers'),
+      fields: { customerName: 'name', customerPhone: 'phone', customerEmail: 'email', customerTown: 'town', customerNotes: 'notes', customerCreditLimit: 'creditLimit', customerMaxOverdueDays: 'maxOverdueDays' }
+    },
+    vendor: {
+      formIds: ['vendorForm', 'updateVendor'],
+      formElementId: 'vendorForm',
+      open: () => showSubSection('management', 'vendors'),
+      fields: { vendorName: 'name', vendorPhone: 'phone', vendorEmail: 'email', vendorServiceCategory: 'serviceCategory', vendorTown: 'town', vendorNotes: 'notes' }
+    },
+    closing: {
+      formIds: ['cashUpForm'],
+      formElementId: 'cashUpForm',
+      open: () => showSection('cashup'),
+      fields: { cashUpDate: 'date', cashUpOpeningFloat: 'openingFloat', cashUpCountedCash: 'countedCash', cashUpCountedTransfers: 'countedTransfers', cashUpClosedBy: 'closedBy', cashUpNotes: 'notes' },
+      restore: () => CashUp.render()
+    },
+    delivery: {
+      formIds: ['deliveryForm', 'updateDelivery'],
+      formElementId: 'deliveryForm',
+      open: () => showSection('deliveries'),
+      fields: { deliveryDate: 'date', deliveryVehicle: 'vehicle', deliveryDriver: 'driver', deliveryQuantityLoaded: 'quantityLoaded', deliveryNotes: 'notes' },
+      restore: body => FormHandler.renderRunCustomers(body.customerIds || [])
+    },
+    production: {
+      formIds: ['productionForm'],
+      formElementId: 'productionForm',
+      open: () => showSection('inventory'),
+      fields: { productionProduct: 'productId', productionDate: 'date', productionType: 'type', productionQuantity: 'quantity', productionMaterial: 'material', productionMaterialQuantity: 'materialQuantity', productionNotes: 'notes' }
+    },
+    budget: {
+      formIds: ['budgetForm', 'updateBudget'],
+      formElementId: 'budgetForm',
+      open: () => showSection('reports'),
+      fields: { budgetCategory: 'category', budgetAmount: 'monthlyBudget', budgetAlertAt: 'alertAt', budgetNotes: 'notes' }
+    },
+    recurring: {
+      formIds: ['recurringForm', 'updateRecurringExpense'],
+      formElementId: 'recurringForm',
+      open: () => showSection('expenses'),
+      fields: { recurringVendor: 'vendorId', recurringCategory: 'category', recurringAmount: 'amount', recurringFrequency: 'frequency', recurringStartDate: 'startDate', recurringPaymentMethod: 'paymentMethod', recurringNotes: 'notes' },
+      restore: body => {
+        FormHandler.selectStaff(body.staffId, body.staff, 'recurringStaff');
+        document.getElementById('recurringPaidOnEntry').checked = body.paidOnEntry !== false;
+        document.getElementById('recurringActive').checked = body.active !== false;
+      }
+    },
+    staff: {
+      formIds: ['staffForm', 'updateStaff'],
+      formElementId: 'staffForm',
+      open: () => showSubSection('management', 'staff'),
+      fields: { staffName: 'name', staffRole: 'role', staffPhone: 'phone', staffMonthlySalary: 'monthlySalary', staffStartDate: 'startDate' },
+      restore: body => {
+        document.getElementById('staffActive').checked = body.active !== false;
+      }
+    },
+    product: {
+      formIds: ['productForm', 'updateProduct'],
+      formElementId: 'productForm',
+      open: () => showSubSection('management', 'products'),
+      fields: { productName: 'name', productSku: 'sku', productUnit: 'unit', productUnitPrice: 'unitPrice', productReorderLevel: 'reorderLevel', productDeposit: 'containerDeposit' },
+      restore: body => {
+        document.getElementById('productPriceTiers').value = Catalogue.formatTiers(body.priceTiers);
+        document.getElementById('productCustomerPrices').value = Catalogue.formatCustomerPrices(body.customerPrices);
+        document.getElementById('productActive').checked = body.active !== false;
+      }
+    }
+  },
+
+  canEditQueued(entry) {
+    return Object.values(this.queuedForms).some(config => config.formIds.includes(entry.formId));
+  },
+
+  /**
+   * Reopens a queued submission in its original form so it can be corrected and resubmitted
+   * @param {Object} entry - The outbox entry
+   */
+  editOutboxEntry(entry) {
+    const config = Object.values(this.queuedForms).find(c => c.formIds.includes(entry.formId));
+    const form = config && document.getElementById(config.formElementId);
+    if (!form) {
+      Utils.showToast('This submission cannot be edited', 'warning');
+      return;
+    }
+
+    const body = entry.body || {};
+    const values = {};
+    Object.entries(config.fields).forEach(([fieldId, key]) => {
+      values[fieldId] = body[key] ?? '';
+    });
+    config.open();
+    this.enterEditMode(form, DataManager.parseEndpoint(entry.url).id, values, 'Resubmit', entry.id);
+    if (config.restore) config.restore(body);
+    form.querySelector('#salePaymentMethod')?.dispatchEvent(new Event('change'));
+  },
+
+  setupFieldValidation(selector, rules) {
+    const field = document.querySelector(selector);
+    if (!field) return;
+
+    if (!document.getElementById(`${field.id}-error`)) {
+      const errorEl = document.createElement('div');
+      errorEl.id = `${field.id}-error`;;
+      errorEl.className = 'invalid-feedback';
+      errorEl.setAttribute('aria-live', 'polite');
+      field.parentNode.appendChild(errorEl);
+    }
+
+    field.dataset.validate = JSON.stringify(rules);
+    field.addEventListener('blur', () => {
+      Utils.validateField(field, rules);
+    });
+    field.addEventListener('input', () => {
+      const errorEl = document.getElementById(`${field.id}-error`);
+      if (errorEl) errorEl.textContent = '';
+    });
+  },
+
+  async handleSaleSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const saleData = {
+      customerId: formData.get('saleCustomer'),
+      date: formData.get('saleDate'),
+      quantity: parseInt(formData.get('saleQuantity')),
+      totalAmount: parseFloat(formData.get('saleTotalAmount')),
+      amountPaid: parseFloat(formData.get('saleAmountPaid')),
+      paymentMethod: formData.get('salePaymentMethod'),
+      creditDays: formData.get('salePaymentMethod') === 'credit' ? parseInt(formData.get('saleCreditDays')) : null,
+      notes: Utils.sanitizeInput(formData.get('saleNotes')),
+      lineItems: this.readLineItems(),
+      containersIssued: parseInt(formData.get('saleContainersIssued')) || 0,
+      emptiesCollected: parseInt(formData.get('saleEmptiesCollected')) || 0,
+      depositTaken: parseFloat(formData.get('saleDepositTaken')) || 0,
+      depositRefunded: parseFloat(formData.get('saleDepositRefunded')) || 0,
+      runId: formData.get('saleRun') || ''
+    };
+
+    if (saleData.lineItems.some(line => !line.productId || line.quantity < 1)) {
+      Utils.showToast('Choose a product and quantity for every line', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (saleData.lineItems.length) {
+      saleData.quantity = saleData.lineItems.reduce((total, line) => total + line.quantity, 0);
+      saleData.totalAmount = Math.round(saleData.lineItems.reduce((total, line) => total + line.lineTotal, 0) * 100) / 100;
+    }
+
+    if (saleData.amountPaid > saleData.totalAmount) {
+      Utils.showToast('Amount paid cannot exceed total amount', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const editId = form.dataset.editId;
+    const outboxId = form.dataset.outboxId;
+
+    const held = this.containersHeld(saleData.customerId, editId);
+    if (saleData.emptiesCollected > held + saleData.containersIssued
+      && !confirm(`The customer only holds ${held} containers, but ${saleData.emptiesCollected} empties were collected. Record the sale anyway?`)) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    const shortfalls = Inventory.shortfalls(saleData.lineItems, editId);
+    if (shortfalls.length && !confirm(`Not enough stock:\n${shortfalls.map(line => `${line.productName}: ${line.quantity} wanted, ${line.onHand} on hand`).join('\n')}\n\nRecord the sale anyway?`)) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    if (saleData.paymentMethod === 'credit') {
+      const holds = this.creditHolds(saleData, editId);
+      if (holds.length) {
+        const override = this.requestCreditOverride(holds);
+        if (!override) {
+          submitButton.disabled = false;
+          return;
+        }
+        saleData.notes = [saleData.notes, override].filter(Boolean).join(' ');
+      }
+    }
+
+    if (editId) {
+      Object.assign(saleData, Utils.calculateBalance(saleData.totalAmount, saleData.amountPaid), {
+        credentials: Store.state.credentials
+      });
+    }
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId,
+        url: editId ? `/api/updateSale/${editId}` : '/api/addSale',
+        method: 'POST',
+        data: saleData,
+        formId: editId ? 'updateSale' : 'saleForm',
+        successCallback: () => {
+          form.reset();
+          form.querySelector('#saleDate').value = DOM.today;
+        }
+      });
+
+      if (result.success) {
+        if (editId || outboxId) this.exitEditMode(form);
+        Utils.showToast(editId ? 'Sale updated successfully' : 'Sale added successfully');
+        await Promise.all([
+          DataManager.initSalesTable(),
+          DataManager.initDashboard(),
+          DataManager.populateCustomerDropdown(),
+          DataManager.initDeliveriesTable()
+        ]);
+        DataManager.renderInventory();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  /**
+   * @param {string} customerId - Customer ID
+   * @param {string} [editId] - ID of the sale being edited, whose containers are taken back off
+   * @return {number} Containers the customer holds before this sale
+   */
+  containersHeld(customerId, editId) {
+    const customer = Store.state.cachedData.customers.find(c => String(c['ID']) === String(customerId));
+    if (!customer) return 0;
+    const sale = editId && Store.state.cachedData.sales.find(s => String(s['ID']) === String(editId));
+    const adjust = sale && String(sale['Customer ID']) === String(customerId)
+      ? LedgerOps.num(sale['Containers Issued']) - LedgerOps.num(sale['Empties Collected'])
+      : 0;
+    return LedgerOps.num(customer['Containers Out']) - LedgerOps.num(customer['Containers Returned']) - adjust;
+  },
+
+  /**
+   * Checks a credit sale against the customer's credit limit and overdue allowance
+   * @param {Object} saleData - Sale form values
+   * @param {string} [editId] - ID of the sale being edited, whose old balance is replaced
+   * @return {Array<string>} Reasons the customer is on credit hold; empty if the sale can go ahead
+   */
+  creditHolds(saleData, editId) {
+    const customer = Store.state.cachedData.customers.find(c => String(c['ID']) === String(saleData.customerId));
+    if (!customer) return [];
+    const holds = [];
+    const otherSales = Store.state.cachedData.sales.filter(sale => String(sale['Customer ID']) === String(customer['ID']) && String(sale['ID']) !== String(editId));
+
+    const limit = parseFloat(customer['Credit Limit (NGN)']);
+    if (!isNaN(limit)) {
+      const editedSale = editId && Store.state.cachedData.sales.find(sale => String(sale['ID']) === String(editId) && String(sale['Customer ID']) === String(customer['ID']));
+      const outstanding = (parseFloat(customer['Outstanding Balance (NGN)']) || 0) - (editedSale ? parseFloat(editedSale['Balance (NGN)']) || 0 : 0);
+      const { balance } = Utils.calculateBalance(saleData.totalAmount, saleData.amountPaid);
+      if (outstanding + balance > limit) {
+        holds.push(`${customer['Name']} owes ${Utils.formatCurrency(outstanding)}; this sale adds ${Utils.formatCurrency(balance)}, over the ${Utils.formatCurrency(limit)} credit limit.`);
+      }
+    }
+
+    const maxOverdueDays = parseInt(customer['Max Overdue Days']);
+    if (!isNaN(maxOverdueDays)) {
+      const [aging] = AgingReport.compute(otherSales, DOM.today);
+      const late = aging ? aging.sales.filter(({ daysOverdue }) => daysOverdue > maxOverdueDays) : [];
+      if (late.length) {
+        const amount = late.reduce((total, { balance }) => total + balance, 0);
+        holds.push(`${customer['Name']} has ${Utils.formatCurrency(amount)} overdue by more than ${maxOverdueDays} days (oldest ${late[0].daysOverdue} days).`);
+      }
+    }
+
+    return holds;
+  },
+
+  /**
+   * Lets a logged-in admin push a sale through a credit hold with a reason
+   * @param {Array<string>} holds - Reasons from creditHolds
+   * @return {string|null} Note recording the override, or null if the sale stays blocked
+   */
+  requestCreditOverride(holds) {
+    if (!DataManager.checkSession()) {
+      Utils.showToast(`Credit hold: ${holds.join(' ')} An admin must log in to override.`, 'danger');
+      return null;
+    }
+    const reason = prompt(`Credit hold:\n${holds.join('\n')}\n\nEnter a reason to override as ${Store.state.credentials.email}:`);
+    if (!reason || !reason.trim()) {
+      Utils.showToast('Sale not saved: credit hold not overridden', 'warning');
+      return null;
+    }
+    return Utils.sanitizeInput(`[Credit override by ${Store.state.credentials.email} on ${DOM.today}: ${reason.trim()}]`);
+  },
+
+  async handleExpenseSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const expenseData = {
+      vendorId: formData.get('expenseVendor'),
+      category: formData.get('expenseCategory'),
+      ...Payroll.staffFields(formData.get('expenseStaff')),
+      date: formData.get('expenseDate'),
+      quantity: parseInt(formData.get('expenseQuantity')),
+      totalAmount: parseFloat(formData.get('expenseAmount')),
+      amountPaid: parseFloat(formData.get('expenseAmountPaid')),
+      paymentMethod: formData.get('expensePaymentMethod') || 'cash',
+      dueDate: formData.get('expenseDueDate') || '',
+      notes: Utils.sanitizeInput(formData.get('expenseNotes'))
+    };
+    if (DeliveryRuns.VEHICLE_CATEGORIES.includes(expenseData.category)) {
+      expenseData.vehicle = Utils.sanitizeInput((formData.get('expenseVehicle') || '').trim());
+      expenseData.runId = formData.get('expenseRun') || '';
+    }
+    if (expenseData.category === 'Supply' && formData.get('expenseMaterial')) {
+      expenseData.material = Utils.sanitizeInput(formData.get('expenseMaterial').trim());
+      expenseData.materialUnit = Utils.sanitizeInput(formData.get('expenseMaterialUnit') || '');
+    }
+
+    // Adjusting a draft confirms that due date of its recurring expense
+    if (!form.dataset.editId && form.dataset.draft) Object.assign(expenseData, JSON.parse(form.dataset.draft));
+
+    if (expenseData.amountPaid > expenseData.totalAmount) {
+      Utils.showToast('Amount paid cannot exceed total amount', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const editId = form.dataset.editId;
+    const outboxId = form.dataset.outboxId;
+    if (editId) {
+      expenseData.credentials = Store.state.credentials;
+    }
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId,
+        url: editId ? `/api/updateExpense/${editId}` : '/api/addExpense',
+        method: 'POST',
+        data: expenseData,
+        formId: editId ? 'updateExpense' : 'expenseForm',
+        successCallback: () => {
+          form.reset();
+          form.querySelector('#expenseDate').value = DOM.today;
+        }
+      });
+
+      if (result.success) {
+        if (editId || outboxId || form.dataset.draft) this.exitEditMode(form);
+        Utils.showToast(editId ? 'Expense updated successfully' : 'Expense added successfully');
+        await Promise.all([
+          DataManager.initExpensesTable(),
+          DataManager.initDashboard(),
+          DataManager.populateVendorDropdown()
+        ]);
+        DataManager.renderStockTables();
+        DataManager.renderDeliveryPerformance();
+        CashUp.render();
+        Payroll.render();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleCustomerSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const customerData = {
+      name: Utils.sanitizeInput(formData.get('customerName')),
+      phone: formData.get('customerPhone'),
+      email: formData.get('customerEmail'),
+      town: Utils.sanitizeInput(formData.get('customerTown')),
+      notes: Utils.sanitizeInput(formData.get('customerNotes')),
+      // Blank means no limit
+      creditLimit: formData.get('customerCreditLimit') === '' ? null : parseFloat(formData.get('customerCreditLimit')),
+      maxOverdueDays: formData.get('customerMaxOverdueDays') === '' ? null : parseInt(formData.get('customerMaxOverdueDays'))
+    };
+    const editId = form.dataset.editId;
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateCustomer/${editId}` : '/api/addCustomer',
+        method: 'POST',
+        data: editId ? { ...customerData, credentials: Store.state.credentials } : customerData,
+        formId: editId ? 'updateCustomer' : 'customerForm'
+      });
+
+      if (result.success) {
+        // Leave edit mode even when the request was only queued offline
+        this.exitEditMode(form);
+        Utils.showToast(editId ? 'Customer updated successfully' : 'Customer added successfully');
+        await Promise.all([
+          DataManager.initCustomersTable(),
+          DataManager.populateCustomerDropdown()
+        ]);
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleVendorSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const vendorData = {
+      name: Utils.sanitizeInput(formData.get('vendorName')),
+      phone: formData.get('vendorPhone'),
+      email: formData.get('vendorEmail'),
+      town: Utils.sanitizeInput(formData.get('vendorTown')),
+      serviceCategory: Utils.sanitizeInput(formData.get('vendorServiceCategory')),
+      notes: Utils.sanitizeInput(formData.get('vendorNotes'))
+    };
+    const editId = form.dataset.editId;
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateVendor/${editId}` : '/api/addVendor',
+        method: 'POST',
+        data: editId ? { ...vendorData, credentials: Store.state.credentials } : vendorData,
+        formId: editId ? 'updateVendor' : 'vendorForm'
+      });
+
+      if (result.success) {
+        // Leave edit mode even when the request was only queued offline
+        this.exitEditMode(form);
+        Utils.showToast(editId ? 'Vendor updated successfully' : 'Vendor added successfully');
+        await Promise.all([
+          DataManager.initVendorsTable(),
+          DataManager.populateVendorDropdown()
+        ]);
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleProductSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    const formData = new FormData(form);
+    const priceTiers = Catalogue.parseTiers(formData.get('productPriceTiers'));
+    const customerPrices = Catalogue.parseCustomerPrices(formData.get('productCustomerPrices'));
+    if (!priceTiers || !customerPrices) {
+      Utils.showToast(!priceTiers ? 'Volume prices should look like 50=280, 100=270' : 'Customer prices should look like C001=260', 'warning');
+      isValid = false;
+    }
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const productData = {
+      name: Utils.sanitizeInput(formData.get('productName')),
+      sku: Utils.sanitizeInput(formData.get('productSku')),
+      unit: Utils.sanitizeInput(formData.get('productUnit')),
+      unitPrice: parseFloat(formData.get('productUnitPrice')),
+      priceTiers,
+      customerPrices,
+      reorderLevel: parseInt(formData.get('productReorderLevel')) || 0,
+      containerDeposit: parseFloat(formData.get('productDeposit')) || 0,
+      active: form.querySelector('#productActive').checked
+    };
+    const editId = form.dataset.editId;
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateProduct/${editId}` : '/api/addProduct',
+        method: 'POST',
+        data: { ...productData, credentials: Store.state.credentials },
+        formId: editId ? 'updateProduct' : 'productForm'
+      });
+
+      if (result.success) {
+        this.exitEditMode(form);
+        form.querySelector('#productActive').checked = true;
+        Utils.showToast(editId ? 'Product updated successfully' : 'Product added successfully');
+        await DataManager.initProductsTable();
+        DataManager.renderInventory();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleStaffSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    const formData = new FormData(form);
+    const editId = form.dataset.editId;
+    const name = (formData.get('staffName') || '').trim();
+    const duplicate = Payroll.match(name);
+    if (isValid && duplicate && String(duplicate['ID']) !== String(editId)) {
+      Utils.showToast(`${duplicate['Name']} is already in the register (${duplicate['ID']})`, 'warning');
+      isValid = false;
+    }
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const staffData = {
+      name: Utils.sanitizeInput(name),
+      role: Utils.sanitizeInput(formData.get('staffRole')),
+      phone: Utils.sanitizeInput(formData.get('staffPhone')),
+      monthlySalary: parseFloat(formData.get('staffMonthlySalary')) || 0,
+      startDate: formData.get('staffStartDate') || '',
+      active: form.querySelector('#staffActive').checked
+    };
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateStaff/${editId}` : '/api/addStaff',
+        method: 'POST',
+        data: staffData,
+        formId: editId ? 'updateStaff' : 'staffForm'
+      });
+
+      if (result.success) {
+        this.exitEditMode(form);
+        form.querySelector('#staffActive').checked = true;
+        Utils.showToast(editId ? 'Staff updated successfully' : 'Staff added successfully');
+        await DataManager.initStaffTable();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleProductionSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const productionData = {
+      productId: formData.get('productionProduct'),
+      date: formData.get('productionDate'),
+      type: formData.get('productionType'),
+      quantity: parseInt(formData.get('productionQuantity')),
+      material: Utils.sanitizeInput((formData.get('productionMaterial') || '').trim()),
+      materialQuantity: parseFloat(formData.get('productionMaterialQuantity')) || 0,
+      notes: Utils.sanitizeInput(formData.get('productionNotes'))
+    };
+
+    // Only a stock count correction can take stock away
+    if (!productionData.quantity || (productionData.type !== 'Adjustment' && productionData.quantity < 0)) {
+      Utils.showToast(productionData.type === 'Adjustment' ? 'Enter the units to add or remove' : 'Quantity produced must be at least 1', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    if (productionData.material && productionData.materialQuantity <= 0) {
+      Utils.showToast('Enter how much of the material was used', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: '/api/addProduction',
+        method: 'POST',
+        data: productionData,
+        formId: 'productionForm',
+        successCallback: () => {
+          form.reset();
+          form.querySelector('#productionDate').value = DOM.today;
+        }
+      });
+
+      if (result.success) {
+        if (form.dataset.outboxId) this.exitEditMode(form);
+        Utils.showToast('Production recorded successfully');
+        await DataManager.initProductionTable();
+        DataManager.renderInventory();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleDeliverySubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    const customerIds = this.readRunCustomers();
+    if (isValid && !customerIds.length) {
+      Utils.showToast('Choose at least one customer for the run', 'warning');
+      isValid = false;
+    }
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const deliveryData = {
+      date: formData.get('deliveryDate'),
+      vehicle: Utils.sanitizeInput(formData.get('deliveryVehicle').trim()),
+      driver: Utils.sanitizeInput(formData.get('deliveryDriver').trim()),
+      quantityLoaded: parseInt(formData.get('deliveryQuantityLoaded')) || 0,
+      customerIds,
+      route: DeliveryRuns.route(customerIds),
+      notes: Utils.sanitizeInput(formData.get('deliveryNotes'))
+    };
+    const editId = form.dataset.editId;
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateDelivery/${editId}` : '/api/addDelivery',
+        method: 'POST',
+        data: deliveryData,
+        formId: editId ? 'updateDelivery' : 'deliveryForm'
+      });
+
+      if (result.success) {
+        this.exitEditMode(form);
+        Utils.showToast(editId ? 'Delivery run updated' : 'Delivery run created');
+        await DataManager.initDeliveriesTable();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleReconcileSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    const run = DeliveryRuns.find(form.dataset.runId);
+    if (!isValid || !run) {
+      Utils.showToast(run ? 'Please fix form errors' : 'Delivery run not found', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const reconcileData = {
+      quantityDelivered: parseInt(formData.get('reconcileQuantityDelivered')),
+      cashCollected: parseFloat(formData.get('reconcileCashCollected')),
+      notes: Utils.sanitizeInput(formData.get('reconcileNotes')),
+      date: DOM.today
+    };
+
+    if (reconcileData.quantityDelivered > LedgerOps.num(run['Quantity Loaded'])) {
+      Utils.showToast('More delivered than was loaded', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+    const { expectedCash } = DeliveryRuns.summary(run);
+    const variance = reconcileData.cashCollected - expectedCash;
+    if (Math.abs(variance) >= 0.01 && !reconcileData.notes) {
+      Utils.showToast(`Cash is ${variance < 0 ? 'short' : 'over'} by ${Utils.formatCurrency(Math.abs(variance))}. Add a note explaining it.`, 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: `/api/reconcileDelivery/${run['ID']}`,
+        method: 'POST',
+        data: reconcileData,
+        formId: 'reconcileDelivery'
+      });
+
+      if (result.success) {
+        document.getElementById('reconcilePanel').style.display = 'none';
+        form.reset();
+        Utils.showToast('Delivery run reconciled');
+        await DataManager.initDeliveriesTable();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleLoginSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const loginData = {
+      email: formData.get('email'),
+      password: formData.get('password')
+    };
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: '/api/adminLogin',
+        method: 'POST',
+        data: loginData,
+        formId: 'loginForm',
+        successCallback: () => form.reset()
+      });
+
+      if (result.success) {
+        Store.setCredentials({ email: loginData.email, token: result.token, expiry: result.expiryDate || '' });
+        Utils.showToast('Login successful');
+        document.getElementById('adminActions').style.display = 'block';
+        // Review and delete buttons only show to a logged-in admin
+        DataManager.initClosingsTable();
+        Attachments.renderPanel();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleUpdatePaymentSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid || !Store.state.credentials.token) {
+      Utils.showToast(isValid ? 'Please log in to update payment' : 'Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const saleId = formData.get('updateSaleId');
+    const paymentData = {
+      amount: parseFloat(formData.get('updateAmount')),
+      date: formData.get('updatePaymentDate'),
+      method: formData.get('updatePaymentMethod'),
+      reference: Utils.sanitizeInput(formData.get('updatePaymentReference')),
+      collectedBy: Utils.sanitizeInput(formData.get('updateCollectedBy')),
+      credentials: Store.state.credentials
+    };
+
+    const sale = Store.state.cachedData.sales.find(row => String(row['ID']) === String(saleId));
+    if (sale && paymentData.amount > (parseFloat(sale['Balance (NGN)']) || 0)) {
+      Utils.showToast(`Amount exceeds the outstanding balance of ${Utils.formatCurrency(parseFloat(sale['Balance (NGN)']) || 0)}`, 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: `/api/updatePayment/${saleId}`,
+        method: 'POST',
+        data: paymentData,
+        formId: 'updatePaymentForm',
+        successCallback: () => {
+          form.querySelector('#updateAmount').value = '';
+          form.querySelector('#updatePaymentReference').value = '';
+        }
+      });
+
+      if (result.success) {
+        Utils.showToast('Payment recorded successfully');
+        await Promise.all([
+          DataManager.loadPayments(),
+          DataManager.initSalesTable(),
+          DataManager.initDashboard()
+        ]);
+        this.renderPaymentTimeline(saleId);
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
+  },
+
+  async handleArchiveSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid || !Store.state.credentials.token) {
+      Utils.showToast(isValid ? 'Please log in to archive record' : 'Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const archiveData = {
+      credentials: Store.state.credentials
+    };
+
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: `/api/archiveRecord/${formData.get('archiveSaleId')}`,
+        method: 'POST',
+        data: archiveData,
+        formId: 'archiveForm',
+        successCallback: () => {
+          form.reset();
+          document.getElementById('archiveCustomerName').textContent = '';
+        }
+      });
+
+      if (result.success) {
+        Utils.showToast('Record archived successfully');
+        await Promise.all([
+          DataManager.initSalesTable(),
+          DataManager.loadArchivedSales(),
+          DataManager.initDashboard()
+        ]);
+      } else {
+        Utils.showToast(result.message, 'error');
       }
-    });
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
+    }
   },
 
-  renderTotalSalesChart(metricsByDate) {
-    const canvas = document.getElementById('dashboardTotalSalesChart');
-    if (!canvas || !window.Chart) {
-      Utils.logError('Chart.js not available or canvas not found', 'DataManager');
+  async handleDeleteSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid || !Store.state.credentials.token) {
+      Utils.showToast(isValid ? 'Please log in to delete record' : 'Please fix form errors', 'warning');
+      submitButton.disabled = false;
       return;
     }
 
-    canvas.setAttribute('role', 'img');
-    canvas.setAttribute('aria-label', 'Sales and Expenses Trend visualization');
+    const formData = new FormData(form);
+    const deleteData = {
+      credentials: Store.state.credentials
+    };
 
-    if (this.charts.dashboardTotalSalesChart) {
-      this.charts.dashboardTotalSalesChart.destroy();
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: `/api/deleteRecord/${formData.get('deleteSaleId')}`,
+        method: 'DELETE',
+        data: deleteData,
+        formId: 'deleteForm',
+        successCallback: () => {
+          form.reset();
+          document.getElementById('deleteCustomerName').textContent = '';
+        }
+      });
+
+      if (result.success) {
+        Utils.showToast('Record deleted successfully');
+        await Promise.all([
+          DataManager.initSalesTable(),
+          DataManager.initDashboard()
+        ]);
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
+  },
 
-    const isMobile = window.innerWidth <= 768;
-    const labels = metricsByDate.map(item => item.date);
+  async handleCustomerSalesSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
 
-    this.charts.dashboardTotalSalesChart = new Chart(canvas, {
-      type: 'line',
-      data: {
-        labels,
-        datasets: [
-          {
-            label: 'Paid',
-            data: metricsByDate.map(item => item.paid),
-            backgroundColor: 'rgba(75, 192, 192, 0.2)',
-            borderColor: 'rgba(75, 192, 192, 1)',
-            borderWidth: isMobile ? 1.5 : 2,
-            tension: 0.1
-          },
-          {
-            label: 'Credit',
-            data: metricsByDate.map(item => item.outstanding),
-            backgroundColor: 'rgba(255, 159, 64, 0.2)',
-            borderColor: 'rgba(255, 159, 64, 1)',
-            borderWidth: isMobile ? 1.5 : 2,
-            tension: 0.1
-          },
-          {
-            label: 'Expenses',
-            data: metricsByDate.map(item => item.expenses),
-            backgroundColor: 'rgba(255, 99, 132, 0.2)',
-            borderColor: 'rgba(255, 99, 132, 1)',
-            borderWidth: isMobile ? 1.5 : 2,
-            tension: 0.1
-          },
-          {
-            label: 'Sales',
-            data: metricsByDate.map(item => item.total),
-            backgroundColor: 'rgba(54, 162, 235, 0.2)',
-            borderColor: 'rgba(54, 162, 235, 1)',
-            borderWidth: isMobile ? 2 : 3,
-            tension: 0.1
-          }
-        ]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          title: { display: true, text: 'Sales and Expenses Trend' },
-          legend: { position: isMobile ? 'bottom' : 'top' }
-        },
-        scales: {
-          y: { beginAtZero: true, ticks: { callback: value => Utils.formatCurrency(value) } },
-          x: { ticks: { maxRotation: isMobile ? 90 : 45, minRotation: isMobile ? 90 : 45 } }
-        }
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
       }
     });
-  },
 
-  async initSalesTable() {
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const customerId = formData.get('historyCustomer');
+    const salesData = {
+      startDate: formData.get('historyStartDate'),
+      endDate: formData.get('historyEndDate')
+    };
+
+    if (salesData.startDate && salesData.endDate && new Date(salesData.startDate) > new Date(salesData.endDate)) {
+      Utils.showToast('Start date cannot be after end date', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getSalesRecords');
+      // A read, so it is never queued in the outbox
+      const result = await DataManager.fetchData(`/api/getCustomerSales/${customerId}`, {
+        method: 'POST',
+        body: salesData
+      });
+
       if (result.success) {
-        this.renderTable('salesTable', result.data, [
+        DataManager.renderTable('customerSalesTable', result.data, [
           { key: 'ID', label: 'ID' },
           { key: 'Customer Name', label: 'Customer' },
           { key: 'Date', label: 'Date' },
           { key: 'Quantity', label: 'Quantity' },
+          { key: 'Line Items', label: 'Items', render: row => Utils.sanitizeInput(Catalogue.describe(row)) },
           { key: 'Total Amount (NGN)', label: 'Total', format: Utils.formatCurrency },
           { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
           { key: 'Payment Method', label: 'Method' },
@@ -688,734 +5805,1241 @@ const DataManager = {
           { key: 'Due Date', label: 'Due Date' },
           { key: 'Notes', label: 'Notes' }
         ]);
+        CustomerStatement.show(customerId, salesData);
+        Utils.showMessage('customerSalesTableMessage', 'Customer sales loaded successfully');
       } else {
-        Utils.showMessage('salesTableMessage', result.message, 'warning');
+        Utils.showMessage('customerSalesTableMessage', result.message, 'warning');
       }
     } catch (err) {
-      Utils.showMessage('salesTableMessage', 'Error loading sales records', 'danger');
-      Utils.logError(`Error fetching sales: ${err.message || err}`, 'DataManager');
+      Utils.showMessage('customerSalesTable', 'Error loading customer sales', 'error');
+      Utils.logError(`Failed to load customer sales: ${err.message || err}`, 'error');
     } finally {
       DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
   },
 
-  async initCustomersTable() {
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getCustomers');
-      if (result.success) {
-        this.renderTable('customersTable', result.data, [
-          { key: 'ID', label: 'ID' },
-          { key: 'Name', label: 'Name' },
-          { key: 'Phone', label: 'Phone' },
-          { key: 'Email', label: 'Email' },
-          { key: 'Town', label: 'Town' },
-          { key: 'Total Purchases (NGN)', label: 'Total Purchases', format: Utils.formatCurrency },
-          { key: 'Outstanding Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
-          { key: 'Customer Since', label: 'Since' },
-          { key: 'Notes', label: 'Notes' },
-          {
-            key: 'actions',
-            label: 'Actions',
-            render: row => `
-              <button class="btn btn-sm btn-primary edit-customer" data-id="${row['ID']}" aria-label="Edit customer ${row['Name']}">Edit</button>
-              <button class="btn btn-sm btn-danger delete-customer" data-id="${row['ID']}" aria-label="Delete customer ${row['Name']}">Delete</button>
-            `
-          }
-        ], {
-          onRowRendered: (tbody) => {
-            tbody.querySelectorAll('.edit-customer').forEach(btn => {
-              btn.addEventListener('click', () => Utils.showToast('Edit customer not implemented', 'warning'));
-            });
-            tbody.querySelectorAll('.delete-customer').forEach(btn => {
-              btn.addEventListener('click', async () => {
-                if (confirm('Are you sure you want to delete this customer?') && Store.state.credentials.token) {
-                  try {
-                    DOM.loadingIndicator.style.display = 'block';
-                    const result = await this.submitForm({
-                      url: `/api/deleteCustomer/${btn.dataset.id}`,
-                      method: 'POST',
-                      data: { credentials: Store.state.credentials },
-                      formId: 'deleteCustomer'
-                    });
-                    if (result.success) {
-                      Utils.showToast(result.message);
-                      await Promise.all([this.initCustomersTable(), this.populateCustomerDropdown()]);
-                    } else {
-                      Utils.showToast(result.message, 'Error');
-                    }
-                  } catch (err) {
-                    Utils.showToast('Error deleting customer', 'danger');
-                    Utils.logError(`Error deleting customer: ${err.message || err}`, 'error');
-                  } finally {
-                    DOM.loadingIndicator.style.display = 'none';
-                  }
-                } else {
-                  Utils.showToast('Please log in to perform this action', 'warning');
-                }
-              });
-            });
-          }
-        });
-      } else {
-        Utils.showMessage('customersTableMessage', result.message, 'warning');
-      }
-    } catch (err) {
-      Utils.showMessage('customersTableMessage', 'Error loading customers', 'danger');
-      Utils.logError(`Error fetching customers: ${err.message || err}`, 'DataManager');
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
+  async handleVendorExpensesSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const vendorData = {
+      startDate: formData.get('historyVendorStartDate'),
+      endDate: formData.get('historyVendorEndDate')
+    };
+
+    if (vendorData.startDate && vendorData.endDate && new Date(vendorData.startDate) > new Date(vendorData.endDate)) {
+      Utils.showToast('Start date cannot be after end date', 'warning');
+      submitButton.disabled = false;
+      return;
     }
-  },
 
-  async initExpensesTable() {
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getExpensesRecords');
+      const result = await DataManager.submitForm({
+        url: `/api/getVendorExpenses/${formData.get('historyVendor')}`,
+        method: 'POST',
+        data: vendorData,
+        formId: 'vendorExpensesForm'
+      });
+
       if (result.success) {
-        this.renderTable('expensesTable', result.data, [
+        DataManager.renderTable('vendorExpensesTable', result.data, [
           { key: 'ID', label: 'ID' },
-          { key: 'Vendor', label: 'Vendor' },
+          { key: 'Vendor Name', label: 'Vendor' },
           { key: 'Category', label: 'Category' },
           { key: 'Date', label: 'Date' },
           { key: 'Quantity', label: 'Quantity' },
           { key: 'Total Expenses (NGN)', label: 'Total', format: Utils.formatCurrency },
           { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
-          { key: 'Notes', label: 'Notes' },
+          { key: 'Notes', 'Notes': 'Notes' },
           { key: 'Status', label: 'Status' }
         ]);
+        Utils.showMessage('vendorExpensesTableMessage', 'Vendor expenses loaded successfully');
       } else {
-        Utils.showMessage('expensesTableMessage', result.message, 'warning');
+        Utils.showMessage('vendorExpensesTableMessage', result.message, 'warning');
       }
     } catch (err) {
-      Utils.showMessage('expensesTableMessage', 'Error loading expenses', 'danger');
-      Utils.logError(`Error fetching expenses: ${err.message || err}`, 'Data');
+      Utils.showMessage('vendorExpensesTableMessage', 'Error loading vendor expenses', 'danger');
+      Utils.logError(`Failed to load vendor expenses: ${err.message || err}`, 'error');
     } finally {
       DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
   },
 
-  async initVendorsTable() {
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getVendors');
-      if (result.success) {
-        this.renderTable('vendorsTable', result.data, [
-          { key: 'ID', label: 'ID' },
-          { key: 'Name', label: 'Name' },
-          { key: 'Phone', label: 'Phone' },
-          { key: 'Service Category', label: 'Service' },
-          { key: 'Town', label: 'Town' },
-          { key: 'Total Expenses (NGN)', label: 'Total Expenses', format: Utils.formatCurrency },
-          { key: 'Outstanding Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
-          { key: 'Vendor Since', label: 'Since' },
-          { key: 'Notes', label: 'Notes' },
-          {
-            key: 'actions',
-            label: 'Actions',
-            render: row => `
-              <button class="btn btn-sm btn-primary edit-vendor" data-id="${row['ID']}" aria-label="Edit vendor ${row['Name']}">Edit</button>
-              <button class="btn btn-sm btn-danger delete-vendor" data-id="${row['ID']}" aria-label="Delete vendor ${row['Name']}">Delete</button>
-            `
-          }
-        ], {
-          onRowRendered: (tbody) => {
-            tbody.querySelectorAll('tbody').forEach(btn => {
-              btn.addEventListener('click', () => Utils.showToast('Edit vendor not implemented', 'warning'));
-            });
-            tbody.querySelectorAll('.delete-vendor').forEach(btn => {
-              btn.addEventListener('click', async () => {
-                if (confirm('Are you sure you want to delete this vendor?') && Store.state.credentials.token) {
-                  try {
-                    DOM.loadingIndicator.style.display = 'block';
-                    const result = await this.submitForm({
-                      url: `/api/deleteVendor/${btn.dataset.id}`,
-                      method: 'POST',
-                      data: { credentials: Store.state.credentials },
-                      formId: 'deleteVendor'
-                    });
-                    if (result.success) {
-                      Utils.showToast(result.message);
-                      await Promise.all([this.initVendorsTable(), this.populateVendorDropdown()]);
-                    } else {
-                      Utils.showToast(result.message, 'Error');
-                    }
-                  } catch (err) {
-                    Utils.showToast('Error deleting vendor', 'danger');
-                    Utils.logError(`Error deleting vendor: ${err.message || err}`, 'error');
-                  } finally {
-                    DOM.loadingIndicator.style.display = 'none';
-                  }
-                } else {
-                  Utils.showToast('Please log in to perform this action', 'warning');
-                }
-              });
-            });
-          }
-        });
-      } else {
-        Utils.showMessage('vendorsTableMessage', result.message, 'warning');
+  async handleReportSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
       }
-    } catch (err) {
-      Utils.showMessage('vendorsTableMessage', 'Error loading vendors', 'danger');
-      Utils.logError(`Error fetching vendors: ${err.message || err}`, 'DataManager');
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
+      return;
+    }
+
+    const formData = new FormData(form);
+    const reportData = {
+      startDate: formData.get('startDate'),
+      endDate: formData.get('endDate')
+    };
+
+    if (reportData.startDate && reportData.endDate && new Date(reportData.startDate) > new Date(reportData.endDate)) {
+      Utils.showToast('Start date cannot be after end date', 'warning');
+      submitButton.disabled = false;
+      return;
     }
-  },
 
-  async populateCustomerDropdown() {
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getCustomers');
+      const result = await DataManager.fetchData('/api/generateReports', {
+        method: 'POST',
+        body: reportData
+      });
+
       if (result.success) {
-        const saleSelect = document.getElementById('saleCustomer');
-        const historySelect = document.getElementById('historyCustomer');
-        if (saleSelect && historySelect) {
-          saleSelect.innerHTML = '<option value="">Select Customer</option>';
-          historySelect.innerHTML = '<option value="">Select Customer</option>';
-          result.data.forEach(customer => {
-            const option = document.createElement('option');
-            option.value = customer.ID;
-            option.textContent = `${customer.Name} (${customer.Phone})`;
-            saleSelect.appendChild(option.cloneNode(true));
-            historySelect.appendChild(option);
-          });
-        }
+        // Older servers do not break sales down by product; the cached records can
+        const productBreakdown = result.data.productBreakdown || MetricsEngine.compute(Store.state.cachedData, reportData).productBreakdown;
+        DataManager.renderTable('productBreakdownTable', productBreakdown, [
+          { key: 'name', label: 'Product' },
+          { key: 'quantity', label: 'Quantity', format: value => Number(value).toLocaleString() },
+          { key: 'total', label: 'Sales', format: Utils.formatCurrency }
+        ]);
+        DataManager.renderDeliveryPerformance(reportData);
+        DataManager.renderTable('reportTable', result.data.records, [
+          { key: 'Date', label: 'Date' },
+          { key: 'Total Sales (NGN)', label: 'Sales', format: Utils.formatCurrency },
+          { key: 'Total Expenses (NGN)', label: 'Expenses', format: Utils.formatCurrency },
+          { key: 'Net Profit', label: 'Profit', format: Utils.formatCurrency }
+        ]);
+        document.getElementById('totalProfit').textContent = Utils.formatCurrency(result.data.totalProfit);
+        Utils.showMessage('reportTableMessage', 'Report generated successfully');
       } else {
-        Utils.showMessage('customersTableMessage', result.message, 'warning');
+        Utils.showMessage('reportTableMessage', result.message, 'warning');
       }
     } catch (err) {
-      Utils.showMessage('customersTableMessage', 'Error loading customers', 'danger');
-      Utils.logError(`Error fetching customers: ${err.message || err}`, 'error');
+      Utils.showMessage('reportTable', 'Error generating report', 'error');
+      Utils.logError(`Failed to generate report: ${err.message || err}`, 'error');
     } finally {
       DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
   },
 
-  async populateVendorDropdown() {
+  async handleExportCSV(e) {
+    e.preventDefault();
+    const form = document.getElementById('reportForm');
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await this.fetchData('/api/getVendors');
+      const formData = new FormData(form);
+      const reportData = {
+        startDate: formData.get('startDate'),
+        endDate: formData.get('endDate')
+      };
+
+      const result = await DataManager.submitForm({
+        url: '/api/exportReportsAsCSV',
+        method: 'POST',
+        data: reportData,
+        formId: 'reportForm'
+      });
+
       if (result.success) {
-        const expenseSelect = document.getElementById('expenseVendor');
-        const historySelect = document.getElementById('historyVendor');
-        if (expenseSelect && historySelect) {
-          expenseSelect.innerHTML = '<option value="">Select Vendor</option>';
-          historySelect.innerHTML = '<option value="">Select Vendor</option>';
-          result.data.forEach(vendor => {
-            const option = document.createElement('option');
-            option.value = vendor.ID;
-            option.textContent = `${vendor.Name} (${vendor.Phone})`;
-            expenseSelect.appendChild(option.cloneNode(true));
-            historySelect.appendChild(option);
-          });
-        }
+        Utils.downloadFile(result.data.csvContent, `report_${reportData.startDate}_${reportData.endDate}.csv`);
+        Utils.showToast('Report exported as CSV');
       } else {
-        Utils.showMessage('vendorsTableMessage', result.message, 'warning');
+        Utils.showToast(result.message, 'error');
       }
     } catch (err) {
-      Utils.showMessage('vendorsTableMessage', 'Error loading vendors', 'danger');
-      Utils.logError(`Error fetching vendors: ${err.message || ''}`, 'error');
+      Utils.showToast('Error exporting CSV', 'error');
+      Utils.logError(`Failed to export report: ${err.message || err}`, 'error');
     } finally {
       DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
   },
 
-  renderTable(tableId, data, columns, options = {}) {
-    const table = document.getElementById(tableId}`);
-    if (!table) {
-      Utils.logError(`Table ${tableId} not found`, 'table');
-      return;
-    }
-    
-    const tbody = table.querySelector('tbody');
-    tbody.innerHTML = '';
+  async handleDashboardDateSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
 
-    if (!data || data.length === 0) {
-      const tr = document.createElement('tr');
-      const td = document.createElement('td');
-      td.colSpan = columns.length;
-      td.textContent = 'No data available';
-      td.className = 'text-center';
-      tr.appendChild(td);
-      tbody.appendChild(tr);
+    let isValid = true;
+    form.querySelectorAll('[data-validate]').forEach(field => {
+      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      Utils.showToast('Please fix form errors', 'warning');
+      submitButton.disabled = false;
       return;
     }
 
-    data.forEach(row => {
-      const tr = document.createElement('tr');
-      columns.forEach(col => {
-        const td = document.createElement('td');
-        if (col.render) {
-          td.innerHTML = col.render(row);
-        } else {
-          const value = row[col.key] || '';
-          td.textContent = col.format ? col.format(value) : value;
-        }
-        tr.appendChild(td);
-      });
-      tbody.appendChild(tr);
-    });
-
-    if (options.onRowRendered) {
-      options.onRowRendered(tbody);
+    const formData = new FormData(form);
+    const dashboardData = {
+      startDate: formData.get('dashboardStartDate'),
+      endDate: formData.get('dashboardEndDate')
+    };
+
+    if (dashboardData.startDate && dashboardData.endDate && new Date(dashboardData.startDate) > new Date(dashboardData.endDate)) {
+      Utils.showToast('Start date cannot be after end date', 'warning');
+      submitButton.disabled = false;
+      return;
     }
-  },
 
-  async loadPaginatedTable(tableId, apiEndpoint) {
     try {
-      const response = await this.fetchData(`${apiEndpoint}?page=${this.currentPage}&pageSize=${this.pageSize}`);
-      if (response.success) {
-        this.renderTable(tableId, response.data);
-        this.setupPaginationControls(response.totalCount);
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.fetchData('/api/generateReports', {
+        method: 'POST',
+        body: dashboardData
+      });
+
+      if (result.success) {
+        DataManager.renderDashboard(Ledger.withPending(result.data, dashboardData));
+        if (!Store.state.uiState.offline) MetricsEngine.crossCheck();
+        Utils.showToast('Dashboard updated successfully');
+      } else {
+        Utils.showToast(result.message, 'warning');
       }
     } catch (err) {
-      Utils.logError(`Failed to load ${tableId}: ${err.message || err}`, 'DataManager');
+      Utils.showToast('Error updating dashboard', 'error');
+      Utils.logError(`Failed to update dashboard: ${err.message || err}`, 'error');
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+      submitButton.disabled = false;
     }
   },
 
-  setupPaginationControls(totalItems) {
-    const totalPages = Math.ceil(totalItems / this.pageSize);
-    const paginationDiv = document.getElementById('pagination-controls');
-    
-    if (!paginationDiv) return;
-
-    paginationDiv.innerHTML = `
-      <nav aria-label="Table pagination">
-        <ul class="pagination">
-          <li class="page-item ${this.currentPage === 1 ? 'disabled' : ''}">
-            <button class="page-link" aria-label="Previous page" id="prev-page">
-              <span aria-hidden="true">&laquo;</span>
-            </button>
-          </li>
-          ${Array.from({ length: totalPages }, (_, i) => `
-            <li class="page-item ${i + 1 === this.currentPage ? 'active' : ''}">
-              <button class="page-link">${i + 1}</button>
-            </li>
-          `).join('')}
-          <li class="page-item ${this.currentPage === totalPages ? 'disabled' : ''}">
-            <button class="page-link" aria-label="Next page" id="next-page">
-              <span aria-hidden="true">&raquo;</span>
-            </button>
-          </li>
-        </ul>
-      </nav>
-    `;
-
-    document.getElementById('prev-page')?.addEventListener('click', () => {
-      if (this.currentPage > 1) {
-        this.currentPage--;
-        this.loadPaginatedTable();
-      }
-    });
-
-    document.getElementById('next-page')?.addEventListener('click', () => {
-      if (this.currentPage < totalPages) {
-        this.currentPage++;
-        this.loadPaginatedTable();
-      }
-    });
-
-    document.querySelectorAll('.page-link').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const pageNumber = parseInt(e.target.textContent);
-        if (!isNaN(pageNumber)) {
-          this.currentPage = pageNumber;
-          this.loadPaginatedTable();
-        }
+  setupGlobalEventListeners() {
+    const modals = document.querySelectorAll('.modal');
+    modals.forEach(modal => {
+      modal.addEventListener('shown.bs.modal', () => {
+        const firstInput = modal.querySelector('input');
+        if (firstInput) firstInput.focus();
       });
     });
   }
 };
 
-// Enhanced Form Handler with validation and security
-const FormHandler = {
-  init() {
-    this.initSaleForm();
-    this.initExpenseForm();
-    this.initCustomerForm();
-    this.initVendorForm();
-    this.initLoginForm();
-    this.initUpdatePaymentForm();
-    this.initArchiveForm();
-    this.initDeleteForm();
-    this.initCustomerSalesForm();
-    this.initVendorExpensesForm();
-    this.initReportForm();
-    this.initDashboardDateForm();
-    this.setupGlobalEventListeners();
-  },
-
-  initSaleForm() {
-    const form = document.getElementById('saleForm');
-    if (!form) return;
-
-    const dateField = form.querySelector('#saleDate');
-    if (dateField) dateField.value = DOM.today;
+// Service Worker with enhanced offline support
+const ServiceWorkerManager = {
+  async init() {
+    if ('serviceWorker' in navigator) {
+      try {
+        const registration = await navigator.serviceWorker.register('/sw.js');
+        Utils.logInfo('ServiceWorker registered', 'ServiceWorkerManager');
 
-    this.setupFieldValidation('#saleCustomer', { required: true });
-    this.setupFieldValidation('#saleDate', { required: true, date: true, future: false });
-    this.setupFieldValidation('#saleQuantity', { required: true, numeric: true, min: 1 });
-    this.setupFieldValidation('#saleTotalAmount', { required: true, numeric: true, min: 0.01 });
-    this.setupFieldValidation('#saleAmountPaid', { required: true, numeric: true, min: 0 });
-    this.setupFieldValidation('#salePaymentMethod', { required: true });
+        registration.addEventListener('updatefound', () => {
+          const newWorker = registration.installing;
+          newWorker.addEventListener('statechange', () => {
+            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+              Utils.showToast('New version available. Refresh to update.', 'info');
+            }
+          });
+        });
 
-    const paymentMethod = form.querySelector('#salePaymentMethod');
-    if (paymentMethod) {
-      paymentMethod.addEventListener('change', (e) => {
-        const creditDaysGroup = form.querySelector('#creditDaysGroup');
-        if (creditDaysGroup) {
-          creditDaysGroup.style.display = e.target.value === 'credit' ? 'block' : 'none';
-          if (e.target.value === 'credit') {
-            this.setupFieldValidation('#saleCreditDays', { required: true, numeric: true, min: 1 });
+        navigator.serviceWorker.addEventListener('message', event => {
+          if (event.data && event.data.type === 'offline-status-changed') {
+            Store.setOfflineStatus(event.data.status);
+            Utils.showToast(
+              event.data.status ? 'You are now offline' : 'Back online',
+              event.data.status ? 'warning' : 'success'
+            );
+            if (!event.data.status) {
+              this.syncPendingForms({ force: true });
+            }
+          } else if (event.data && event.data.type === 'drain-outbox') {
+            this.syncPendingForms();
           }
-        }
-      });
+        });
+      } catch (err) {
+        Utils.logError(`ServiceWorker registration failed: ${err.message || err}`, 'ServiceWorkerManager');
+      }
     }
-
-    form.addEventListener('submit', this.handleSaleSubmit.bind(this));
   },
 
-  initExpenseForm() {
-    const form = document.getElementById('expenseForm');
-    if (!form) return;
-
-    const dateField = form.querySelector('#expenseDate');
-    if (dateField) dateField.value = DOM.today;
+  async checkPendingForms() {
+    if (!Store.state.uiState.offline) {
+      await this.syncPendingForms();
+    }
+  },
 
-    this.setupFieldValidation('#expenseVendor', { required: true });
-    this.setupFieldValidation('#expenseCategory', { required: 'true' });
-    this.setupFieldValidation('#expenseStaff', { required: 'true' });
-    this.setupFieldValidation('#expenseDate', { required: true, date: true, future: false });
-    this.setupFieldValidation('#expenseQuantity', { required: true, numeric: true, min: 1 });
-    this.setupFieldValidation('#expenseAmount', { required: true, numeric: true, min: 0.01 });
-    this.setupFieldValidation('#expenseAmountPaid', { required: true, numeric: true, min: 0 });
+  async syncPendingForms(options) {
+    await OfflineManager.syncPendingForms(options);
+  }
+};
 
-    form.addEventListener('submit', this.handleExpenseSubmit.bind(this));
+// Outbox screen: everything waiting to reach the server
+const OutboxView = {
+  formLabels: {
+    saleForm: 'New sale',
+    updateSale: 'Sale edit',
+    expenseForm: 'New expense',
+    updateExpense: 'Expense edit',
+    customerForm: 'New customer',
+    updateCustomer: 'Customer edit',
+    vendorForm: 'New vendor',
+    updateVendor: 'Vendor edit',
+    updatePaymentForm: 'Payment',
+    archiveForm: 'Archive sale',
+    deleteForm: 'Delete sale',
+    deleteCustomer: 'Delete customer',
+    deleteVendor: 'Delete vendor',
+    productForm: 'New product',
+    updateProduct: 'Product edit',
+    productionForm: 'Production run',
+    deliveryForm: 'New delivery run',
+    updateDelivery: 'Delivery run edit',
+    reconcileDelivery: 'Run reconciliation',
+    cashUpForm: 'Cash-up',
+    payVendorForm: 'Vendor payment',
+    staffForm: 'New staff',
+    updateStaff: 'Staff edit',
+    payrollForm: 'Payroll salary',
+    attachment: 'Attachment',
+    deleteAttachment: 'Delete attachment',
+    budgetForm: 'New budget',
+    updateBudget: 'Budget change',
+    recurringForm: 'New recurring expense',
+    updateRecurringExpense: 'Recurring expense edit',
+    skipRecurringExpense: 'Skipped recurring expense',
+    recurringDraft: 'Recurring expense',
+    reviewClosing: 'Cash-up review'
   },
 
-  initCustomerForm() {
-    const form = document.getElementById('customerForm');
-    if (!form) return;
+  init() {
+    document.getElementById('outboxSyncAll')?.addEventListener('click', async () => {
+      if (Store.state.uiState.offline) {
+        Utils.showToast('You are offline. Queued items will sync when you reconnect.', 'warning');
+        return;
+      }
+      await OfflineManager.syncPendingForms({ force: true });
+    });
+    Outbox.subscribe(() => this.refresh());
+    this.refresh();
+  },
 
-    this.setupFieldValidation('#customerName', { required: true });
-    this.setupFieldValidation('#customerPhone', { required: true });
-    this.setupFieldValidation('#customerEmail', { email: true });
+  /**
+   * Builds a one-line description of a queued submission
+   * @param {Object} entry - The outbox entry
+   * @return {string} e.g. "Mama Tolu Stores · ₦30,000.00"
+   */
+  summarize(entry) {
+    const body = entry.body || {};
+    const { id } = DataManager.parseEndpoint(entry.url);
+    const findName = (collection, recordId) => {
+      const match = Store.state.cachedData[collection].find(row => String(row['ID']) === String(recordId));
+      return match ? match['Name'] : recordId;
+    };
+    const parts = [];
+
+    if (body.customerId) parts.push(findName('customers', body.customerId));
+    if (body.vendorId) parts.push(findName('vendors', body.vendorId));
+    if (body.productId) parts.push(`${findName('products', body.productId)} × ${body.quantity}`);
+    if (body.name) parts.push(body.name);
+    if (body.vehicle) parts.push(body.vehicle);
+    if (body.category) parts.push(body.category);
+    if (body.staff) parts.push(body.staff);
+    if (body.fileName) parts.push(`${body.fileName} for ${body.recordType} ${body.recordId}`);
+    if (!parts.length && id) parts.push(`#${id}`);
+    const amount = body.totalAmount ?? body.amount;
+    if (amount !== undefined && !isNaN(amount)) parts.push(Utils.formatCurrency(parseFloat(amount)));
+    if (body.date) parts.push(body.date);
+
+    return parts.join(' · ');
+  },
 
-    form.addEventListener('submit', this.handleCustomerSubmit.bind(this));
+  async refresh() {
+    try {
+      const entries = await Outbox.getAll();
+      this.renderBadge(entries);
+      this.render(entries);
+    } catch (err) {
+      Utils.logError(`Failed to load outbox: ${err.message || err}`, 'OutboxView');
+    }
   },
 
-  initVendorForm() {
-    const form = document.getElementById('vendorForm');
-    if (!form) return;
+  renderBadge(entries) {
+    const badge = document.getElementById('outboxCount');
+    if (!badge) return;
+    const failed = entries.filter(entry => entry.status === 'failed').length;
+    badge.textContent = entries.length;
+    badge.style.display = entries.length ? 'inline-block' : 'none';
+    badge.className = `badge ${failed ? 'bg-danger' : 'bg-warning text-dark'}`;
+    badge.title = failed ? `${failed} failed, needs attention` : `${entries.length} waiting to sync`;
+  },
 
-    this.setupFieldValidation('#vendorName', { required: true });
-    this.setupFieldValidation('#vendorPhone', { required: true });
-    this.setupFieldValidation('#vendorEmail', { email: true });
+  render(entries) {
+    if (!document.getElementById('outboxTable')) return;
+    const rows = entries.map(entry => ({
+      'ID': entry.id,
+      'Type': this.formLabels[entry.formId] || entry.formId,
+      'Summary': this.summarize(entry),
+      'Queued': moment(entry.createdAt).fromNow(),
+      'Attempts': String(entry.attempts),
+      'Status': entry.status === 'failed' ? 'Failed' : entry.nextAttemptAt ? `Retrying ${moment(entry.nextAttemptAt).fromNow()}` : 'Pending',
+      'Last Error': entry.lastError || '',
+      entry
+    }));
+
+    DataManager.renderTable('outboxTable', rows, [
+      { key: 'Type', label: 'Type' },
+      { key: 'Summary', label: 'Summary' },
+      { key: 'Queued', label: 'Queued' },
+      { key: 'Attempts', label: 'Attempts' },
+      { key: 'Status', label: 'Status' },
+      { key: 'Last Error', label: 'Last Error' },
+      {
+        key: 'actions',
+        label: 'Actions',
+        render: row => `
+          <button class="btn btn-sm btn-primary retry-outbox" data-id="${row['ID']}" aria-label="Retry ${row['Type']} now">Retry</button>
+          ${FormHandler.canEditQueued(row.entry) ? `<button class="btn btn-sm btn-secondary edit-outbox" data-id="${row['ID']}" aria-label="Edit ${row['Type']}">Edit</button>` : ''}
+          <button class="btn btn-sm btn-danger discard-outbox" data-id="${row['ID']}" aria-label="Discard ${row['Type']}">Discard</button>
+        `
+      }
+    ], {
+      onRowRendered: (tbody) => {
+        tbody.querySelectorAll('tr').forEach(tr => {
+          const row = rows.find(r => String(r['ID']) === tr.dataset.id);
+          if (row && row.entry.status === 'failed') tr.classList.add('table-danger');
+        });
+        tbody.querySelectorAll('.retry-outbox').forEach(btn => {
+          btn.addEventListener('click', () => OfflineManager.retry(btn.dataset.id));
+        });
+        tbody.querySelectorAll('.edit-outbox').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const row = rows.find(r => String(r['ID']) === btn.dataset.id);
+            if (row) FormHandler.editOutboxEntry(row.entry);
+          });
+        });
+        tbody.querySelectorAll('.discard-outbox').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            const row = rows.find(r => String(r['ID']) === btn.dataset.id);
+            if (row && confirm(`Discard this ${row['Type'].toLowerCase()} (${row['Summary']})? It will never reach the server.`)) {
+              await OfflineManager.discard(btn.dataset.id);
+              Utils.showToast('Queued submission discarded', 'info');
+            }
+          });
+        });
+      }
+    });
+  }
+};
 
-    form.addEventListener('submit', this.handleVendorSubmit.bind(this));
+// Command-palette style search over every cached collection
+const GlobalSearch = {
+  maxPerGroup: 5,
+  activeIndex: -1,
+  index: {},
+  sources: {},
+
+  // How each collection is indexed, labelled and where its rows live
+  types: {
+    sales: {
+      label: 'Sales',
+      tableId: 'salesTable',
+      open: () => showSubSection('sales', 'sales-records'),
+      fields: ['ID', 'Customer Name', 'Date', 'Payment Method', 'Payment Status', 'Notes'],
+      title: row => `${row['ID']} · ${row['Customer Name'] || ''}`,
+      subtitle: row => `${row['Date'] || ''} · ${Utils.formatCurrency(parseFloat(row['Total Amount (NGN)']) || 0)}`
+    },
+    expenses: {
+      label: 'Expenses',
+      tableId: 'expensesTable',
+      open: () => showSection('expenses'),
+      fields: ['ID', 'Vendor', 'Category', 'Staff', 'Date', 'Notes'],
+      title: row => `${row['ID']} · ${row['Vendor'] || ''}`,
+      subtitle: row => `${row['Category'] || ''} · ${row['Date'] || ''} · ${Utils.formatCurrency(parseFloat(row['Total Expenses (NGN)']) || 0)}`
+    },
+    customers: {
+      label: 'Customers',
+      tableId: 'customersTable',
+      open: () => showSubSection('management', 'customers'),
+      fields: ['ID', 'Name', 'Phone', 'Email', 'Town'],
+      title: row => row['Name'] || row['ID'],
+      subtitle: row => [row['Phone'], row['Town']].filter(Boolean).join(' · ')
+    },
+    vendors: {
+      label: 'Vendors',
+      tableId: 'vendorsTable',
+      open: () => showSubSection('management', 'vendors'),
+      fields: ['ID', 'Name', 'Phone', 'Service Category', 'Town'],
+      title: row => row['Name'] || row['ID'],
+      subtitle: row => [row['Service Category'], row['Phone'], row['Town']].filter(Boolean).join(' · ')
+    }
   },
 
-  initLoginForm() {
-    const form = document.getElementById('loginForm');
-    if (!form) return;
+  init() {
+    const input = document.getElementById('globalSearch');
+    const results = document.getElementById('globalSearchResults');
+    if (!input || !results) return;
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', 'globalSearchResults');
+    input.setAttribute('aria-expanded', 'false');
+    results.setAttribute('role', 'listbox');
+
+    input.addEventListener('input', Utils.debounce(() => this.render(input.value), 120));
+    input.addEventListener('focus', () => {
+      input.closest('.search-container')?.classList.add('focused');
+      if (input.value.trim()) this.render(input.value);
+    });
+    input.addEventListener('blur', () => input.closest('.search-container')?.classList.remove('focused'));
+    input.addEventListener('keydown', e => this.handleKeydown(e));
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        input.focus();
+        input.select();
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.search-container')) this.close();
+    });
+  },
 
-    this.setupFieldValidation('#email', { required: true, email: true });
-    this.setupFieldValidation('#password', { required: true });
+  /**
+   * Rebuilds the search index for any collection whose cached array has changed.
+   * Each entry keeps a pre-lowercased haystack and the digits of its phone number
+   * so a query only does string scans, even across tens of thousands of rows.
+   */
+  refreshIndex() {
+    const phones = {};
+    Store.state.cachedData.customers.forEach(customer => {
+      phones[customer['ID']] = String(customer['Phone'] || '');
+      phones[customer['Name']] = String(customer['Phone'] || '');
+    });
 
-    form.addEventListener('submit', this.handleLoginSubmit.bind(this));
+    Object.entries(this.types).forEach(([type, config]) => {
+      const rows = Store.state.cachedData[type] || [];
+      const source = this.sources[type];
+      if (source && source.rows === rows && source.length === rows.length) return;
+
+      this.index[type] = rows.map(row => {
+        const phone = row['Phone'] || (type === 'sales' ? phones[row['Customer ID']] || phones[row['Customer Name']] : '');
+        return {
+          row,
+          haystack: config.fields.map(field => row[field] ?? '').join(' ').toLowerCase(),
+          phoneDigits: String(phone || '').replace(/\D/g, '')
+        };
+      });
+      this.sources[type] = { rows, length: rows.length };
+    });
   },
 
-  initUpdatePaymentForm() {
-    const form = document.getElementById('updatePaymentForm');
-    if (!form) return;
+  /**
+   * Scores how well a query token matches an entry; 0 means no match.
+   * Substring hits beat fuzzy (in-order subsequence) hits, word starts beat mid-word hits.
+   */
+  scoreToken(entry, token) {
+    const position = entry.haystack.indexOf(token);
+    if (position !== -1) {
+      return position === 0 || entry.haystack[position - 1] === ' ' ? 4 : 3;
+    }
 
-    this.setupFieldValidation('#updateSaleId', { required: true });
-    this.setupFieldValidation('#updateAmount', { required: true, numeric: true, min: 0.01 });
+    const digits = token.replace(/\D/g, '');
+    if (digits.length >= 3 && digits.length === token.replace(/[\s+()-]/g, '').length && entry.phoneDigits.includes(digits)) {
+      return 3;
+    }
 
-    form.addEventListener('submit', this.handleUpdatePaymentSubmit.bind(this));
+    if (token.length < 3) return 0;
+    let cursor = 0;
+    for (const char of token) {
+      cursor = entry.haystack.indexOf(char, cursor);
+      if (cursor === -1) return 0;
+      cursor++;
+    }
+    return 1;
   },
 
-  initArchiveForm() {
-    const form = document.getElementById('archiveForm');
-    if (!form) return;
+  /**
+   * Searches all cached collections
+   * @param {string} query - The search text
+   * @return {Array} Groups of { type, label, items } with the best matches first
+   */
+  search(query) {
+    const tokens = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return [];
+    this.refreshIndex();
+
+    return Object.entries(this.types).map(([type, config]) => {
+      const matches = [];
+      for (const entry of this.index[type] || []) {
+        let score = 0;
+        for (const token of tokens) {
+          const tokenScore = this.scoreToken(entry, token);
+          if (!tokenScore) {
+            score = 0;
+            break;
+          }
+          score += tokenScore;
+        }
+        if (score) matches.push({ row: entry.row, score });
+      }
+      matches.sort((a, b) => b.score - a.score);
+      return { type, label: config.label, items: matches.slice(0, this.maxPerGroup).map(match => match.row) };
+    }).filter(group => group.items.length);
+  },
 
-    this.setupFieldValidation('#archiveSaleId', { required: true });
+  render(query) {
+    const results = document.getElementById('globalSearchResults');
+    const input = document.getElementById('globalSearch');
+    if (!query.trim()) {
+      this.close();
+      return;
+    }
 
-    form.addEventListener('submit', this.handleArchiveSubmit.bind(this));
-  },
+    const groups = this.search(query);
+    results.innerHTML = '';
+    this.activeIndex = -1;
 
-  initDeleteForm() {
-    const form = document.getElementById('deleteForm');
-    if (!form) return;
+    if (!groups.length) {
+      results.innerHTML = '<div class="global-search-empty">No matching records</div>';
+    }
 
-    this.setupFieldValidation('#deleteSaleId', { required: true });
+    groups.forEach(group => {
+      const config = this.types[group.type];
+      const heading = document.createElement('div');
+      heading.className = 'global-search-group';
+      heading.textContent = group.label;
+      results.appendChild(heading);
+
+      group.items.forEach(row => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'global-search-item';
+        item.setAttribute('role', 'option');
+        item.innerHTML = `${Utils.sanitizeInput(String(config.title(row)))}<small>${Utils.sanitizeInput(String(config.subtitle(row)))}</small>`;
+        item.addEventListener('mousedown', e => e.preventDefault());
+        item.addEventListener('click', () => this.select(group.type, row));
+        results.appendChild(item);
+      });
+    });
 
-    form.addEventListener('submit', this.handleDeleteSubmit.bind(this));
+    results.style.display = 'block';
+    input.setAttribute('aria-expanded', 'true');
   },
 
-  initCustomerSalesForm() {
-    const form = document.getElementById('customerSalesForm');
-    if (!form) return;
+  handleKeydown(e) {
+    const items = [...document.querySelectorAll('#globalSearchResults .global-search-item')];
+    if (e.key === 'Escape') {
+      this.close();
+      e.target.blur();
+      return;
+    }
+    if (!items.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.activeIndex = (this.activeIndex + step + items.length) % items.length;
+      items.forEach((item, i) => item.classList.toggle('active', i === this.activeIndex));
+      items[this.activeIndex].scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      items[Math.max(this.activeIndex, 0)].click();
+    }
+  },
 
-    this.setupFieldValidation('#historyCustomer', { required: true });
-    this.setupFieldValidation('#historyStartDate', { date: true });
-    this.setupFieldValidation('#historyEndDate', { date: true });
+  close() {
+    const results = document.getElementById('globalSearchResults');
+    if (results) results.style.display = 'none';
+    document.getElementById('globalSearch')?.setAttribute('aria-expanded', 'false');
+    this.activeIndex = -1;
+  },
 
-    form.addEventListener('submit', this.handleCustomerSalesSubmit.bind(this));
+  select(type, row) {
+    const config = this.types[type];
+    this.close();
+    document.getElementById('globalSearch').value = '';
+    config.open();
+    this.highlightRow(config.tableId, row['ID']);
   },
 
-  initVendorExpensesForm() {
-    const form = document.getElementById('vendorExpensesForm');
-    if (!form) return;
+  highlightRow(tableId, id) {
+    const tr = document.querySelector(`#${tableId} tbody tr[data-id="${CSS.escape(String(id))}"]`);
+    if (!tr) {
+      Utils.showToast(`Record ${id} is not loaded in the table`, 'info');
+      return;
+    }
+    tr.classList.add('search-highlight');
+    tr.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => tr.classList.remove('search-highlight'), 3000);
+  }
+};
 
-    this.setupFieldValidation('#historyVendor', { required: true });
-    this.setupFieldValidation('#historyVendorStartDate', { date: true });
-    this.setupFieldValidation('#historyVendorEndDate', { date: true });
+// Accounts receivable aging: outstanding credit per customer, by days past due
+const AgingReport = {
+  buckets: [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days30', label: '1–30', maxDays: 30 },
+    { key: 'days60', label: '31–60', maxDays: 60 },
+    { key: 'days90', label: '61–90', maxDays: 90 },
+    { key: 'over90', label: '90+', maxDays: Infinity }
+  ],
+  expanded: new Set(),
+  rows: [],
 
-    form.addEventListener('submit', this.handleVendorExpensesSubmit.bind(this));
+  init() {
+    const asOf = document.getElementById('agingAsOf');
+    if (!asOf) return;
+    asOf.value = DOM.today;
+    asOf.addEventListener('change', () => this.render());
+    document.getElementById('agingExportCSV')?.addEventListener('click', () => this.exportCSV());
+    document.getElementById('agingExportPDF')?.addEventListener('click', () => this.exportPDF());
+    this.render();
   },
 
-  initReportForm() {
-    const form = document.getElementById('reportForm');
-    if (!form) return;
+  get asOf() {
+    return document.getElementById('agingAsOf')?.value || DOM.today;
+  },
 
-    this.setupFieldValidation('#startDate', { required: true, date: true });
-    this.setupFieldValidation('#endDate', { required: true, date: true });
+  bucketFor(daysOverdue) {
+    return this.buckets.find(bucket => daysOverdue <= bucket.maxDays);
+  },
 
-    form.addEventListener('submit', this.handleReportSubmit.bind(this));
+  /**
+   * Groups unpaid sale balances by customer and age. Sales without a due date fell
+   * due on the day of sale.
+   * @param {Array<Object>} sales - Sale records
+   * @param {string} asOf - Reference date, YYYY-MM-DD
+   * @return {Array<Object>} Per customer: { customerId, name, total, <bucket keys>, sales },
+   *   largest total first
+   */
+  compute(sales, asOf) {
+    const byCustomer = {};
+    sales.forEach(sale => {
+      const balance = parseFloat(sale['Balance (NGN)']) || 0;
+      if (balance <= 0) return;
+      const dueDate = sale['Due Date'] ? MetricsEngine.dateKey(sale['Due Date']) : MetricsEngine.dateKey(sale['Date']);
+      const daysOverdue = Math.max(moment(asOf).diff(moment(dueDate), 'days'), 0);
+      const bucket = this.bucketFor(daysOverdue);
+      const customerId = sale['Customer ID'] || sale['Customer Name'];
+
+      if (!byCustomer[customerId]) {
+        byCustomer[customerId] = { customerId, name: sale['Customer Name'] || customerId, total: 0, sales: [] };
+        this.buckets.forEach(({ key }) => byCustomer[customerId][key] = 0);
+      }
+      const row = byCustomer[customerId];
+      row[bucket.key] += balance;
+      row.total += balance;
+      row.sales.push({ sale, dueDate, daysOverdue, bucket: bucket.key, balance });
+    });
 
-    const exportCSV = document.getElementById('exportCSV');
-    if (exportCSV) {
-      exportCSV.addEventListener('click', this.handleExportCSV.bind(this));
-    }
+    return Object.values(byCustomer)
+      .map(row => ({ ...row, sales: row.sales.sort((a, b) => b.daysOverdue - a.daysOverdue) }))
+      .sort((a, b) => b.total - a.total);
   },
 
-  initDashboardDateForm() {
-    const form = document.getElementById('dashboardDateForm');
-    if (!form) return;
+  totals(rows) {
+    const totals = { total: 0 };
+    this.buckets.forEach(({ key }) => totals[key] = 0);
+    rows.forEach(row => {
+      totals.total += row.total;
+      this.buckets.forEach(({ key }) => totals[key] += row[key]);
+    });
+    return totals;
+  },
 
-    this.setupFieldValidation('#dashboardStartDate', { required: true, date: true });
-    this.setupFieldValidation('#dashboardEndDate', { required: true, date: true });
+  render() {
+    const table = document.getElementById('agingTable');
+    if (!table) return;
+    this.rows = this.compute(Store.state.cachedData.sales, this.asOf);
+    const money = value => (value ? Utils.formatCurrency(value) : '');
+    const amountCells = row => this.buckets.map(({ key }) => `<td class="text-end">${money(row[key])}</td>`).join('');
+
+    table.querySelector('tbody').innerHTML = this.rows.length ? this.rows.map(row => {
+      const open = this.expanded.has(String(row.customerId));
+      const customerRow = `
+        <tr class="aging-customer" data-customer="${Utils.sanitizeInput(String(row.customerId))}">
+          <td>
+            <button type="button" class="btn btn-link btn-sm p-0 aging-toggle" aria-expanded="${open}">
+              ${open ? '&#9662;' : '&#9656;'} ${Utils.sanitizeInput(row.name)}
+            </button>
+            <small class="text-muted">(${row.sales.length})</small>
+          </td>
+          ${amountCells(row)}
+          <td class="text-end"><strong>${Utils.formatCurrency(row.total)}</strong></td>
+        </tr>`;
+      const saleRows = open ? row.sales.map(({ sale, dueDate, daysOverdue, bucket, balance }) => `
+        <tr class="aging-detail">
+          <td class="ps-4">
+            <a href="#" class="aging-sale" data-id="${Utils.sanitizeInput(String(sale['ID']))}">${Utils.sanitizeInput(String(sale['ID']))}</a>
+            <small class="text-muted">${Utils.sanitizeInput(String(sale['Date'] || ''))}, due ${dueDate}${daysOverdue ? `, ${daysOverdue} days overdue` : ''}</small>
+          </td>
+          ${this.buckets.map(({ key }) => `<td class="text-end">${key === bucket ? Utils.formatCurrency(balance) : ''}</td>`).join('')}
+          <td class="text-end">${Utils.formatCurrency(balance)}</td>
+        </tr>`).join('') : '';
+      return customerRow + saleRows;
+    }).join('') : `<tr><td colspan="${this.buckets.length + 2}" class="text-center">No outstanding balances</td></tr>`;
+
+    const totals = this.totals(this.rows);
+    table.querySelector('tfoot').innerHTML = `
+      <tr>
+        <th>Total</th>
+        ${this.buckets.map(({ key }) => `<th class="text-end">${Utils.formatCurrency(totals[key])}</th>`).join('')}
+        <th class="text-end">${Utils.formatCurrency(totals.total)}</th>
+      </tr>`;
+
+    table.querySelectorAll('.aging-toggle').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const customerId = btn.closest('tr').dataset.customer;
+        if (this.expanded.has(customerId)) this.expanded.delete(customerId);
+        else this.expanded.add(customerId);
+        this.render();
+      });
+    });
+    table.querySelectorAll('.aging-sale').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const sale = Store.state.cachedData.sales.find(row => String(row['ID']) === link.dataset.id);
+        if (sale) GlobalSearch.select('sales', sale);
+      });
+    });
+  },
 
-    form.addEventListener('submit', this.handleDashboardDateSubmit.bind(this));
+  exportCSV() {
+    const headers = ['Customer', 'Sale ID', 'Sale Date', 'Due Date', 'Days Overdue', ...this.buckets.map(({ label }) => label), 'Balance (NGN)'];
+    const lines = [];
+    this.rows.forEach(row => {
+      row.sales.forEach(({ sale, dueDate, daysOverdue, bucket, balance }) => {
+        lines.push([row.name, sale['ID'], sale['Date'], dueDate, daysOverdue, ...this.buckets.map(({ key }) => (key === bucket ? balance : '')), balance]);
+      });
+      lines.push([`${row.name} total`, '', '', '', '', ...this.buckets.map(({ key }) => row[key]), row.total]);
+    });
+    const totals = this.totals(this.rows);
+    lines.push(['All customers', '', '', '', '', ...this.buckets.map(({ key }) => totals[key]), totals.total]);
+    Utils.downloadFile(Utils.toCSV(headers, lines), `ar_aging_${this.asOf}.csv`);
   },
 
-  setupFieldValidation(selector, rules) {
-    const field = document.querySelector(selector);
-    if (!field) return;
+  exportPDF() {
+    const totals = this.totals(this.rows);
+    const cells = row => this.buckets.map(({ key }) => `<td class="num">${row[key] ? Utils.formatCurrency(row[key]) : ''}</td>`).join('');
+    Utils.printDocument(`AR Aging ${this.asOf}`, `
+      <h1>Accounts Receivable Aging</h1>
+      <div class="muted">Rock Living Water · as of ${this.asOf}</div>
+      <table>
+        <thead><tr><th>Customer</th>${this.buckets.map(({ label }) => `<th class="num">${label}</th>`).join('')}<th class="num">Total</th></tr></thead>
+        <tbody>
+          ${this.rows.map(row => `<tr><td>${Utils.sanitizeInput(row.name)}</td>${cells(row)}<td class="num">${Utils.formatCurrency(row.total)}</td></tr>`).join('')}
+        </tbody>
+        <tfoot><tr><td>Total</td>${cells(totals)}<td class="num">${Utils.formatCurrency(totals.total)}</td></tr></tfoot>
+      </table>`);
+  }
+};
 
-    if (!document.getElementById(`${field.id}-error`)) {
-      const errorEl = document.createElement('div');
-      errorEl.id = `${field.id}-error`;;
-      errorEl.className = 'invalid-feedback';
-      errorEl.setAttribute('aria-live', 'polite');
-      field.parentNode.appendChild(errorEl);
-    }
+// Accounts payable aging: what is owed to each vendor, by days past due, in the
+// receivable aging's buckets
+const PayablesReport = {
+  expanded: new Set(),
+  rows: [],
 
-    field.dataset.validate = JSON.stringify(rules);
-    field.addEventListener('blur', () => {
-      Utils.validateField(field, rules);
-    });
-    field.addEventListener('input', () => {
-      const errorEl = document.getElementById(`${field.id}-error`);
-      if (errorEl) errorEl.textContent = '';
-    });
+  init() {
+    const asOf = document.getElementById('payablesAsOf');
+    if (!asOf) return;
+    asOf.value = DOM.today;
+    asOf.addEventListener('change', () => this.render());
+    document.getElementById('payablesExportCSV')?.addEventListener('click', () => this.exportCSV());
+    document.getElementById('payablesExportPDF')?.addEventListener('click', () => this.exportPDF());
+    this.render();
   },
 
-  async handleSaleSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  get asOf() {
+    return document.getElementById('payablesAsOf')?.value || DOM.today;
+  },
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
+  /**
+   * Groups unpaid expense balances by vendor and age. Expenses without a due date fell
+   * due on the day they were entered.
+   * @param {Array<Object>} expenses - Expense records
+   * @param {string} asOf - Reference date, YYYY-MM-DD
+   * @return {Array<Object>} Per vendor: { vendorId, name, total, <bucket keys>, expenses },
+   *   largest total first
+   */
+  compute(expenses, asOf) {
+    const byVendor = {};
+    expenses.forEach(expense => {
+      const balance = LedgerOps.expenseBalance(expense);
+      if (balance <= 0) return;
+      const dueDate = MetricsEngine.dateKey(expense['Due Date'] || expense['Date']);
+      const daysOverdue = Math.max(moment(asOf).diff(moment(dueDate), 'days'), 0);
+      const bucket = AgingReport.bucketFor(daysOverdue);
+      const vendorId = expense['Vendor ID'] || expense['Vendor'];
+
+      if (!byVendor[vendorId]) {
+        byVendor[vendorId] = { vendorId, name: expense['Vendor'] || vendorId, total: 0, expenses: [] };
+        AgingReport.buckets.forEach(({ key }) => byVendor[vendorId][key] = 0);
       }
+      const row = byVendor[vendorId];
+      row[bucket.key] += balance;
+      row.total += balance;
+      row.expenses.push({ expense, dueDate, daysOverdue, bucket: bucket.key, balance });
     });
 
-    if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
-
-    const formData = new FormData(form);
-    const saleData = {
-      customerId: formData.get('saleCustomer'),
-      date: formData.get('saleDate'),
-      quantity: parseInt(formData.get('saleQuantity')),
-      totalAmount: parseFloat(formData.get('saleTotalAmount')),
-      amountPaid: parseFloat(formData.get('saleAmountPaid')),
-      paymentMethod: formData.get('salePaymentMethod'),
-      creditDays: formData.get('salePaymentMethod') === 'credit' ? parseInt(formData.get('saleCreditDays')) : null,
-      notes: Utils.sanitizeInput(formData.get('saleNotes'))
-    };
-
-    if (saleData.amountPaid > saleData.totalAmount) {
-      Utils.showToast('Amount paid cannot exceed total amount', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+    return Object.values(byVendor)
+      .map(row => ({ ...row, expenses: row.expenses.sort((a, b) => b.daysOverdue - a.daysOverdue) }))
+      .sort((a, b) => b.total - a.total);
+  },
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: '/api/addSale',
-        method: 'POST',
-        data: saleData,
-        formId: 'saleForm',
-        successCallback: () => {
-          form.reset();
-          form.querySelector('#saleDate').value = DOM.today;
-        }
+  render() {
+    const table = document.getElementById('payablesAgingTable');
+    if (!table) return;
+    const buckets = AgingReport.buckets;
+    this.rows = this.compute(Store.state.cachedData.expenses, this.asOf);
+    const money = value => (value ? Utils.formatCurrency(value) : '');
+
+    table.querySelector('tbody').innerHTML = this.rows.length ? this.rows.map(row => {
+      const open = this.expanded.has(String(row.vendorId));
+      const vendorRow = `
+        <tr data-vendor="${Utils.sanitizeInput(String(row.vendorId))}">
+          <td>
+            <button type="button" class="btn btn-link btn-sm p-0 payables-toggle" aria-expanded="${open}">
+              ${open ? '&#9662;' : '&#9656;'} ${Utils.sanitizeInput(row.name)}
+            </button>
+            <small class="text-muted">(${row.expenses.length})</small>
+          </td>
+          ${buckets.map(({ key }) => `<td class="text-end">${money(row[key])}</td>`).join('')}
+          <td class="text-end"><strong>${Utils.formatCurrency(row.total)}</strong></td>
+        </tr>`;
+      const expenseRows = open ? row.expenses.map(({ expense, dueDate, daysOverdue, bucket, balance }) => `
+        <tr class="aging-detail">
+          <td class="ps-4">
+            <a href="#" class="payables-expense" data-id="${Utils.sanitizeInput(String(expense['ID']))}">${Utils.sanitizeInput(String(expense['ID']))}</a>
+            <small class="text-muted">${Utils.sanitizeInput(String(expense['Category'] || ''))}, due ${dueDate}${daysOverdue ? `, ${daysOverdue} days overdue` : ''}</small>
+          </td>
+          ${buckets.map(({ key }) => `<td class="text-end">${key === bucket ? Utils.formatCurrency(balance) : ''}</td>`).join('')}
+          <td class="text-end">${Utils.formatCurrency(balance)}</td>
+        </tr>`).join('') : '';
+      return vendorRow + expenseRows;
+    }).join('') : `<tr><td colspan="${buckets.length + 2}" class="text-center">Nothing owed to vendors</td></tr>`;
+
+    const totals = AgingReport.totals(this.rows);
+    table.querySelector('tfoot').innerHTML = `
+      <tr>
+        <th>Total</th>
+        ${buckets.map(({ key }) => `<th class="text-end">${Utils.formatCurrency(totals[key])}</th>`).join('')}
+        <th class="text-end">${Utils.formatCurrency(totals.total)}</th>
+      </tr>`;
+
+    table.querySelectorAll('.payables-toggle').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const vendorId = btn.closest('tr').dataset.vendor;
+        if (this.expanded.has(vendorId)) this.expanded.delete(vendorId);
+        else this.expanded.add(vendorId);
+        this.render();
+      });
+    });
+    table.querySelectorAll('.payables-expense').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        FormHandler.payExpense(link.dataset.id);
       });
+    });
+  },
 
-      if (result.success) {
-        Utils.showToast('Sale added successfully');
-        await Promise.all([
-          DataManager.initSalesTable(),
-          DataManager.initDashboard(),
-          DataManager.populateCustomerDropdown()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
-    }
+  exportCSV() {
+    const buckets = AgingReport.buckets;
+    const headers = ['Vendor', 'Expense ID', 'Category', 'Expense Date', 'Due Date', 'Days Overdue', ...buckets.map(({ label }) => label), 'Balance (NGN)'];
+    const lines = [];
+    this.rows.forEach(row => {
+      row.expenses.forEach(({ expense, dueDate, daysOverdue, bucket, balance }) => {
+        lines.push([row.name, expense['ID'], expense['Category'], expense['Date'], dueDate, daysOverdue, ...buckets.map(({ key }) => (key === bucket ? balance : '')), balance]);
+      });
+      lines.push([`${row.name} total`, '', '', '', '', '', ...buckets.map(({ key }) => row[key]), row.total]);
+    });
+    const totals = AgingReport.totals(this.rows);
+    lines.push(['All vendors', '', '', '', '', '', ...buckets.map(({ key }) => totals[key]), totals.total]);
+    Utils.downloadFile(Utils.toCSV(headers, lines), `ap_aging_${this.asOf}.csv`);
   },
 
-  async handleExpenseSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  exportPDF() {
+    const buckets = AgingReport.buckets;
+    const totals = AgingReport.totals(this.rows);
+    const cells = row => buckets.map(({ key }) => `<td class="num">${row[key] ? Utils.formatCurrency(row[key]) : ''}</td>`).join('');
+    Utils.printDocument(`AP Aging ${this.asOf}`, `
+      <h1>Accounts Payable Aging</h1>
+      <div class="muted">Rock Living Water · as of ${this.asOf}</div>
+      <table>
+        <thead><tr><th>Vendor</th>${buckets.map(({ label }) => `<th class="num">${label}</th>`).join('')}<th class="num">Total</th></tr></thead>
+        <tbody>
+          ${this.rows.map(row => `<tr><td>${Utils.sanitizeInput(row.name)}</td>${cells(row)}<td class="num">${Utils.formatCurrency(row.total)}</td></tr>`).join('')}
+        </tbody>
+        <tfoot><tr><td>Total</td>${cells(totals)}<td class="num">${Utils.formatCurrency(totals.total)}</td></tr></tfoot>
+      </table>`);
+  }
+};
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
+// Returnable containers (dispenser bottles) each customer still holds, with the deposits against them
+const ContainerReport = {
+  rows: [],
 
-    if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+  init() {
+    document.getElementById('containersExportCSV')?.addEventListener('click', () => this.exportCSV());
+    document.getElementById('containersExportPDF')?.addEventListener('click', () => this.exportPDF());
+    this.render();
+  },
 
-    const formData = new FormData(form);
-    const expenseData = {
-      vendorId: formData.get('expenseVendor'),
-      category: formData.get('expenseCategory'),
-      staff: formData.get('expenseStaff'),
-      date: formData.get('expenseDate'),
-      quantity: parseInt(formData.get('expenseQuantity')),
-      totalAmount: parseFloat(formData.get('expenseAmount')),
-      amountPaid: parseFloat(formData.get('expenseAmountPaid')),
-      notes: Utils.sanitizeInput(formData.get('expenseNotes'))
-    };
+  /**
+   * @param {Array<Object>} customers - Customer records
+   * @param {Array<Object>} sales - Sale records, for the last date containers moved
+   * @return {Array<Object>} { customerId, name, phone, out, returned, held, deposits, lastMovement },
+   *   customers holding the most first; customers with nothing out are left off
+   */
+  compute(customers, sales) {
+    const lastMovement = {};
+    sales.forEach(sale => {
+      if (!LedgerOps.num(sale['Containers Issued']) && !LedgerOps.num(sale['Empties Collected'])) return;
+      const date = MetricsEngine.dateKey(sale['Date']);
+      const customerId = String(sale['Customer ID']);
+      if (!lastMovement[customerId] || date > lastMovement[customerId]) lastMovement[customerId] = date;
+    });
 
-    if (expenseData.amountPaid > expenseData.totalAmount) {
-      Utils.showToast('Amount paid cannot exceed total amount', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+    return customers.map(customer => {
+      const out = LedgerOps.num(customer['Containers Out']);
+      const returned = LedgerOps.num(customer['Containers Returned']);
+      return {
+        customerId: customer['ID'],
+        name: customer['Name'],
+        phone: customer['Phone'] || '',
+        out,
+        returned,
+        held: out - returned,
+        deposits: LedgerOps.num(customer['Deposits Held (NGN)']),
+        lastMovement: lastMovement[String(customer['ID'])] || ''
+      };
+    }).filter(row => row.held || row.deposits).sort((a, b) => b.held - a.held);
+  },
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: '/api/addExpense',
-        method: 'POST',
-        data: expenseData,
-        formId: 'expenseForm',
-        successCallback: () => {
-          form.reset();
-          form.querySelector('#expenseDate').value = DOM.today;
-        }
-      });
+  totals(rows) {
+    return rows.reduce((totals, row) => ({
+      out: totals.out + row.out,
+      returned: totals.returned + row.returned,
+      held: totals.held + row.held,
+      deposits: totals.deposits + row.deposits
+    }), { out: 0, returned: 0, held: 0, deposits: 0 });
+  },
 
-      if (result.success) {
-        Utils.showToast('Expense added successfully');
-        await Promise.all([
-          DataManager.initExpensesTable(),
-          DataManager.initDashboard(),
-          DataManager.populateVendorDropdown()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
-    }
+  render() {
+    const table = document.getElementById('containersTable');
+    if (!table) return;
+    const { customers, sales } = Store.state.cachedData;
+    this.rows = this.compute(customers, sales);
+    const text = value => Utils.sanitizeInput(String(value ?? ''));
+
+    table.querySelector('tbody').innerHTML = this.rows.length ? this.rows.map(row => `
+      <tr>
+        <td>${text(row.name)} <small class="text-muted">(${text(row.customerId)})</small></td>
+        <td>${text(row.phone)}</td>
+        <td class="text-end">${row.out}</td>
+        <td class="text-end">${row.returned}</td>
+        <td class="text-end"><strong>${row.held}</strong></td>
+        <td class="text-end">${Utils.formatCurrency(row.deposits)}</td>
+        <td>${row.lastMovement}</td>
+      </tr>`).join('') : '<tr><td colspan="7" class="text-center">No containers outstanding</td></tr>';
+
+    const totals = this.totals(this.rows);
+    table.querySelector('tfoot').innerHTML = `
+      <tr>
+        <th colspan="2">Total</th>
+        <th class="text-end">${totals.out}</th>
+        <th class="text-end">${totals.returned}</th>
+        <th class="text-end">${totals.held}</th>
+        <th class="text-end">${Utils.formatCurrency(totals.deposits)}</th>
+        <th></th>
+      </tr>`;
   },
 
-  async handleCustomerSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  exportCSV() {
+    const headers = ['Customer ID', 'Customer', 'Phone', 'Containers Out', 'Containers Returned', 'Containers Held', 'Deposits Held (NGN)', 'Last Movement'];
+    const lines = this.rows.map(row => [row.customerId, row.name, row.phone, row.out, row.returned, row.held, row.deposits, row.lastMovement]);
+    const totals = this.totals(this.rows);
+    lines.push(['', 'All customers', '', totals.out, totals.returned, totals.held, totals.deposits, '']);
+    Utils.downloadFile(Utils.toCSV(headers, lines), `outstanding_containers_${DOM.today}.csv`);
+  },
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
+  exportPDF() {
+    const totals = this.totals(this.rows);
+    Utils.printDocument(`Outstanding Containers ${DOM.today}`, `
+      <h1>Outstanding Containers</h1>
+      <div class="muted">Rock Living Water · as of ${DOM.today}</div>
+      <table>
+        <thead><tr><th>Customer</th><th>Phone</th><th class="num">Out</th><th class="num">Returned</th><th class="num">Held</th><th class="num">Deposits Held</th><th>Last Movement</th></tr></thead>
+        <tbody>
+          ${this.rows.map(row => `<tr><td>${Utils.sanitizeInput(row.name)}</td><td>${Utils.sanitizeInput(row.phone)}</td><td class="num">${row.out}</td><td class="num">${row.returned}</td><td class="num">${row.held}</td><td class="num">${Utils.formatCurrency(row.deposits)}</td><td>${row.lastMovement}</td></tr>`).join('')}
+        </tbody>
+        <tfoot><tr><td colspan="2">Total</td><td class="num">${totals.out}</td><td class="num">${totals.returned}</td><td class="num">${totals.held}</td><td class="num">${Utils.formatCurrency(totals.deposits)}</td><td></td></tr></tfoot>
+      </table>`);
+  }
+};
 
-    if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+// End-of-day cash-up. Expected cash and transfers come from the day's payments (at sale
+// and instalments), container deposits and vendor payments made in cash; staff enter what they
+// counted and sign the day off, and an admin reviews the closing later.
+const CashUp = {
+  TOLERANCE: 0.01,
 
-    const formData = new FormData(form);
-    const customerData = {
-      name: Utils.sanitizeInput(formData.get('customerName')),
-      phone: formData.get('customerPhone'),
-      email: formData.get('customerEmail'),
-      town: Utils.sanitizeInput(formData.get('town')),
-      notes: Utils.sanitizeInput(formData.get('customerNotes'))
+  init() {
+    const form = document.getElementById('cashUpForm');
+    if (!form) return;
+
+    form.querySelector('#cashUpDate').value = DOM.today;
+    FormHandler.setupFieldValidation('#cashUpDate', { required: true, date: true });
+    FormHandler.setupFieldValidation('#cashUpOpeningFloat', { numeric: true, min: 0 });
+    FormHandler.setupFieldValidation('#cashUpCountedCash', { required: true, numeric: true, min: 0 });
+    FormHandler.setupFieldValidation('#cashUpCountedTransfers', { required: true, numeric: true, min: 0 });
+    FormHandler.setupFieldValidation('#cashUpClosedBy', { required: true });
+
+    ['#cashUpDate', '#cashUpOpeningFloat', '#cashUpCountedCash', '#cashUpCountedTransfers'].forEach(selector => {
+      form.querySelector(selector)?.addEventListener('input', () => this.render());
+    });
+    form.querySelector('#cashUpDate')?.addEventListener('change', () => this.render());
+    form.addEventListener('submit', this.handleSubmit.bind(this));
+    document.getElementById('cancelCashUpEdit')?.addEventListener('click', () => {
+      FormHandler.exitEditMode(form);
+      this.render();
+    });
+    this.render();
+  },
+
+  /**
+   * What should be in the drawer and the bank for a day. Anything not paid by transfer
+   * is counted as cash, as on the delivery run reconciliation.
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} [db] - { sales, payments, expenses, expensePayments }; defaults to the cached records
+   * @param {number} [openingFloat] - Cash in the drawer before the day's takings
+   * @return {Object} { cashReceipts, transferReceipts, cashDeposits, transferDeposits, cashExpenses,
+   *   transferExpenses, expectedCash, expectedTransfers, split, pending }
+   */
+  compute(date, db = Store.state.cachedData, openingFloat = 0) {
+    const num = LedgerOps.num;
+    const onDay = row => row['Date'] && MetricsEngine.dateKey(row['Date']) === date;
+    const isTransfer = method => String(method || '').toLowerCase() === 'transfer';
+    const payments = (db.payments || []).filter(onDay);
+    const sales = (db.sales || []).filter(onDay);
+    const expenses = (db.expenses || []).filter(onDay);
+    const sum = (rows, value) => rows.reduce((total, row) => total + value(row), 0);
+    const deposit = sale => num(sale['Deposit Taken (NGN)']) - num(sale['Deposit Refunded (NGN)']);
+    // Vendor payments made that day; expenses with no payment history count on their own date
+    const withHistory = new Set((db.expensePayments || []).map(payment => String(payment['Expense ID'])));
+    const paidOut = [
+      ...(db.expensePayments || []).filter(onDay).map(payment => ({ method: payment['Method'], amount: num(payment['Amount (NGN)']) })),
+      ...expenses.filter(expense => !withHistory.has(String(expense['ID'])))
+        .map(expense => ({ method: expense['Payment Method'], amount: num(expense['Amount Paid (NGN)']) }))
+    ];
+
+    const totals = {
+      cashReceipts: sum(payments.filter(payment => !isTransfer(payment['Method'])), payment => num(payment['Amount (NGN)'])),
+      transferReceipts: sum(payments.filter(payment => isTransfer(payment['Method'])), payment => num(payment['Amount (NGN)'])),
+      cashDeposits: sum(sales.filter(sale => !isTransfer(sale['Payment Method'])), deposit),
+      transferDeposits: sum(sales.filter(sale => isTransfer(sale['Payment Method'])), deposit),
+      cashExpenses: sum(paidOut.filter(payment => !isTransfer(payment.method)), payment => payment.amount),
+      transferExpenses: sum(paidOut.filter(payment => isTransfer(payment.method)), payment => payment.amount)
+    };
+    const { cashSales, transferSales, creditSales } = MetricsEngine.compute(db, { startDate: date, endDate: date });
+
+    return {
+      ...totals,
+      expectedCash: num(openingFloat) + totals.cashReceipts + totals.cashDeposits - totals.cashExpenses,
+      expectedTransfers: totals.transferReceipts + totals.transferDeposits,
+      // The dashboard's split, by the method each sale was entered with
+      split: { cashSales, transferSales, creditSales },
+      pending: [...payments, ...sales, ...expenses].filter(row => row._pending).length
     };
+  },
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: '/api/addCustomer',
-        method: 'POST',
-        data: customerData,
-        formId: 'customerForm',
-        successCallback: () => form.reset()
-      });
+  /**
+   * How far the day's expected takings have moved since a closing was signed off
+   * @param {Object} closing - Closing record
+   * @return {number} Change in expected cash plus transfers; 0 if unchanged
+   */
+  drift(closing) {
+    const now = this.compute(MetricsEngine.dateKey(closing['Date']), Store.state.cachedData, closing['Opening Float (NGN)']);
+    const change = now.expectedCash + now.expectedTransfers
+      - LedgerOps.num(closing['Expected Cash (NGN)']) - LedgerOps.num(closing['Expected Transfers (NGN)']);
+    return Math.abs(change) >= this.TOLERANCE ? change : 0;
+  },
 
-      if (result.success) {
-        Utils.showToast('Customer added successfully');
-        await Promise.all([
-          DataManager.initCustomersTable(),
-          DataManager.populateCustomerDropdown()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
-    }
+  readForm(form) {
+    const value = selector => form.querySelector(selector)?.value ?? '';
+    return {
+      date: value('#cashUpDate') || DOM.today,
+      openingFloat: parseFloat(value('#cashUpOpeningFloat')) || 0,
+      countedCash: value('#cashUpCountedCash') === '' ? null : parseFloat(value('#cashUpCountedCash')),
+      countedTransfers: value('#cashUpCountedTransfers') === '' ? null : parseFloat(value('#cashUpCountedTransfers'))
+    };
   },
 
-  async handleVendorSubmit(e) {
+  render() {
+    const form = document.getElementById('cashUpForm');
+    const breakdown = document.getElementById('cashUpExpected');
+    if (!form || !breakdown) return;
+    const { date, openingFloat, countedCash, countedTransfers } = this.readForm(form);
+    const day = this.compute(date, Store.state.cachedData, openingFloat);
+    const money = Utils.formatCurrency;
+    const variance = (counted, expected) => {
+      if (counted === null || isNaN(counted)) return '<span class="text-muted">Enter the count</span>';
+      const difference = counted - expected;
+      if (Math.abs(difference) < this.TOLERANCE) return '<span class="text-success">Balanced</span>';
+      return `<span class="text-danger">${difference < 0 ? 'Short' : 'Over'} by ${money(Math.abs(difference))}</span>`;
+    };
+    const closed = Store.state.cachedData.closings.filter(closing => MetricsEngine.dateKey(closing['Date']) === date);
+
+    breakdown.innerHTML = `
+      <table class="table table-sm">
+        <tbody>
+          <tr><td>Opening float</td><td class="text-end">${money(openingFloat)}</td><td></td></tr>
+          <tr><td>Cash received (sales and instalments)</td><td class="text-end">${money(day.cashReceipts)}</td><td class="text-end">${money(day.transferReceipts)}</td></tr>
+          <tr><td>Container deposits, less refunds</td><td class="text-end">${money(day.cashDeposits)}</td><td class="text-end">${money(day.transferDeposits)}</td></tr>
+          <tr><td>Paid to vendors</td><td class="text-end">-${money(day.cashExpenses)}</td><td class="text-end text-muted">${day.transferExpenses ? `(${money(day.transferExpenses)} paid out)` : ''}</td></tr>
+        </tbody>
+        <thead>
+          <tr><th></th><th class="text-end">Cash</th><th class="text-end">Transfers</th></tr>
+        </thead>
+        <tfoot>
+          <tr><th>Expected</th><th class="text-end">${money(day.expectedCash)}</th><th class="text-end">${money(day.expectedTransfers)}</th></tr>
+          <tr><th>Variance</th><td class="text-end">${variance(countedCash, day.expectedCash)}</td><td class="text-end">${variance(countedTransfers, day.expectedTransfers)}</td></tr>
+        </tfoot>
+      </table>
+      <p class="text-muted small">Sales entered today by method: cash ${money(day.split.cashSales)}, transfer ${money(day.split.transferSales)}, credit ${money(day.split.creditSales)}.</p>
+      ${day.pending ? `<p class="text-warning small">${day.pending} record${day.pending === 1 ? ' is' : 's are'} for this day still in the outbox and included above.</p>` : ''}
+      ${closed.length ? `<p class="text-warning small">This day was already closed by ${closed.map(closing => Utils.sanitizeInput(closing['Closed By'])).join(', ')}.</p>` : ''}`;
+  },
+
+  async handleSubmit(e) {
     e.preventDefault();
     const form = e.target;
     const submitButton = form.querySelector('button[type="submit"]');
@@ -1434,82 +7058,48 @@ const FormHandler = {
       return;
     }
 
-    const formData = new FormData(form);
-    const vendorData = {
-      name: Utils.sanitizeInput(formData.get('vendorName')),
-      phone: formData.get('vendorPhone'),
-      email: formData.get('vendorEmail'),
-      town: Utils.sanitizeInput(formData.get('town')),
-      serviceCategory: Utils.sanitizeInput(formData.get('vendorServiceCategory')),
-      notes: Utils.sanitizeInput(formData.get('vendorNotes'))
+    const { date, openingFloat, countedCash, countedTransfers } = this.readForm(form);
+    const day = this.compute(date, Store.state.cachedData, openingFloat);
+    const closingData = {
+      date,
+      openingFloat,
+      expectedCash: day.expectedCash,
+      expectedTransfers: day.expectedTransfers,
+      countedCash,
+      countedTransfers,
+      closedBy: Utils.sanitizeInput(form.querySelector('#cashUpClosedBy').value.trim()),
+      closedAt: new Date().toISOString(),
+      notes: Utils.sanitizeInput(form.querySelector('#cashUpNotes').value)
     };
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: '/api/addVendor',
-        method: 'POST',
-        data: vendorData,
-        formId: 'vendorForm',
-        successCallback: () => form.reset()
-      });
-
-      if (result.success) {
-        Utils.showToast('Vendor added successfully');
-        await Promise.all([
-          DataManager.initVendorsTable(),
-          DataManager.populateVendorDropdown()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
+    const unbalanced = Math.abs(countedCash - day.expectedCash) >= this.TOLERANCE
+      || Math.abs(countedTransfers - day.expectedTransfers) >= this.TOLERANCE;
+    if (unbalanced && !closingData.notes) {
+      Utils.showToast('The counts do not match. Add a note explaining the difference.', 'warning');
       submitButton.disabled = false;
+      return;
     }
-  },
-
-  async handleLoginSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
-
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
-
-    if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
+    const closed = Store.state.cachedData.closings.some(closing => MetricsEngine.dateKey(closing['Date']) === date);
+    if (closed && !form.dataset.outboxId && !confirm(`${date} has already been closed. Save another closing for it?`)) {
       submitButton.disabled = false;
       return;
     }
 
-    const formData = new FormData(form);
-    const loginData = {
-      email: formData.get('email'),
-      password: formData.get('password')
-    };
-
     try {
       DOM.loadingIndicator.style.display = 'block';
       const result = await DataManager.submitForm({
-        url: '/api/adminLogin',
+        outboxId: form.dataset.outboxId,
+        url: '/api/addClosing',
         method: 'POST',
-        data: loginData,
-        formId: 'loginForm',
-        successCallback: () => form.reset()
+        data: closingData,
+        formId: 'cashUpForm'
       });
 
       if (result.success) {
-        Store.setCredentials({ email: loginData.email, token: result.token });
-        Utils.showToast('Login successful');
-        document.getElementById('adminActions').style.display = 'block';
+        FormHandler.exitEditMode(form);
+        Utils.showToast(`${date} closed`);
+        await DataManager.initClosingsTable();
+        this.render();
       } else {
         Utils.showToast(result.message, 'error');
       }
@@ -1521,50 +7111,34 @@ const FormHandler = {
     }
   },
 
-  async handleUpdatePaymentSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
-
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
-
-    if (!isValid || !Store.state.credentials.token) {
-      Utils.showToast(isValid ? 'Please log in to update payment' : 'Please fix form errors', 'warning');
-      submitButton.disabled = false;
+  /**
+   * Marks a closing as reviewed by the logged-in admin
+   * @param {string} id - Closing ID
+   */
+  async review(id) {
+    const closing = Store.state.cachedData.closings.find(row => String(row['ID']) === String(id));
+    if (!closing) {
+      Utils.showToast('Closing not found', 'warning');
       return;
     }
-
-    const formData = new FormData(form);
-    const paymentData = {
-      amount: parseFloat(formData.get('updateAmount')),
-      credentials: Store.state.credentials
-    };
+    if (!DataManager.checkSession()) {
+      Utils.showToast('Log in as an admin to review closings', 'warning');
+      return;
+    }
+    const notes = prompt(`Review the closing for ${MetricsEngine.dateKey(closing['Date'])} by ${closing['Closed By']}. Notes (optional):`);
+    if (notes === null) return;
 
     try {
       DOM.loadingIndicator.style.display = 'block';
       const result = await DataManager.submitForm({
-        url: `/api/updatePayment/${formData.get('updateSaleId')}`,
+        url: `/api/reviewClosing/${closing['ID']}`,
         method: 'POST',
-        data: paymentData,
-        formId: 'updatePaymentForm',
-        successCallback: () => {
-          form.reset();
-          document.getElementById('updateCustomerName').textContent = '';
-        }
+        data: { reviewedBy: Store.state.credentials.email, reviewedAt: new Date().toISOString(), notes: Utils.sanitizeInput(notes.trim()) },
+        formId: 'reviewClosing'
       });
-
       if (result.success) {
-        Utils.showToast('Payment updated successfully');
-        await Promise.all([
-          DataManager.initSalesTable(),
-          DataManager.initDashboard()
-        ]);
+        Utils.showToast('Closing reviewed');
+        await DataManager.initClosingsTable();
       } else {
         Utils.showToast(result.message, 'error');
       }
@@ -1572,119 +7146,210 @@ const FormHandler = {
       // Handled by submitForm
     } finally {
       DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
     }
+  }
+};
+
+// Staff register and payroll. Salary and Allowance expenses name a staff member; the
+// monthly payroll run enters one Salary expense per person, and the history report
+// totals what each person has been paid.
+const Payroll = {
+  CATEGORIES: ['Salary', 'Allowance'],
+  history: [],
+  // Idempotency key per month and staff member while a run is unfinished, so entering
+  // the rest after a failure replays, rather than repeats, the salaries already entered
+  runKeys: {},
+
+  get staff() {
+    return Store.state.cachedData.staff || [];
   },
 
-  async handleArchiveSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  find(id) {
+    return id ? this.staff.find(member => String(member['ID']) === String(id)) : undefined;
+  },
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
+  isActive(member) {
+    return member['Active'] !== false && member['Active'] !== 'FALSE';
+  },
 
-    if (!isValid || !Store.state.credentials.token) {
-      Utils.showToast(isValid ? 'Please log in to archive record' : 'Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+  normalize(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  },
 
-    const formData = new FormData(form);
-    const archiveData = {
-      credentials: Store.state.credentials
-    };
+  // Register entry with this name, ignoring case and spacing
+  match(name) {
+    const key = this.normalize(name);
+    return key ? this.staff.find(member => this.normalize(member['Name']) === key) : undefined;
+  },
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: `/api/archiveRecord/${formData.get('archiveSaleId')}`,
-        method: 'POST',
-        data: archiveData,
-        formId: 'archiveForm',
-        successCallback: () => {
-          form.reset();
-          document.getElementById('archiveCustomerName').textContent = '';
-        }
-      });
+  /**
+   * @param {string} value - The expense form's staff picker value: a staff ID, or a name kept from an older record
+   * @return {Object} { staff, staffId } for the expense body
+   */
+  staffFields(value) {
+    const member = this.find(value);
+    return member ? { staff: member['Name'], staffId: member['ID'] } : { staff: Utils.sanitizeInput(value || ''), staffId: '' };
+  },
 
-      if (result.success) {
-        Utils.showToast('Record archived successfully');
-        await Promise.all([
-          DataManager.initSalesTable(),
-          DataManager.initDashboard()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
-    }
+  // Staff ID for an expense, matching older records by name
+  staffIdFor(expense) {
+    if (expense['Staff ID']) return String(expense['Staff ID']);
+    const member = this.match(expense['Staff']);
+    return member ? String(member['ID']) : '';
   },
 
-  async handleDeleteSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  monthOf(expense) {
+    return expense['Payroll Month'] || MetricsEngine.dateKey(expense['Date']).slice(0, 7);
+  },
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]'').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
-    });
+  /**
+   * Salary expenses already entered for a month
+   * @param {string} month - YYYY-MM
+   * @return {Object} Staff ID to the total salary entered for them that month
+   */
+  paidForMonth(month) {
+    const paid = {};
+    Store.state.cachedData.expenses
+      .filter(expense => expense['Category'] === 'Salary' && this.monthOf(expense) === month)
+      .forEach(expense => {
+        const staffId = this.staffIdFor(expense);
+        if (staffId) paid[staffId] = (paid[staffId] || 0) + LedgerOps.num(expense['Total Expenses (NGN)']);
+      });
+    return paid;
+  },
 
-    if (!isValid || !Store.state.credentials.token) {
-      Utils.showToast(isValid ? 'Please log in to delete record' : 'Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
+  /**
+   * Salary and allowance expenses per staff member. Names that match nobody in the
+   * register get a row of their own, so nothing paid drops out of the totals.
+   * @param {Object} range - { startDate, endDate }
+   * @param {string} [staffId] - Only this staff member
+   * @return {Array<Object>} { staffId, name, role, salary, allowance, total, lastPaid, expenses }, largest total first
+   */
+  compute(range, staffId) {
+    const rows = {};
+    Store.state.cachedData.expenses
+      .filter(expense => this.CATEGORIES.includes(expense['Category']) && LedgerOps.inRange(MetricsEngine.dateKey(expense['Date']), range))
+      .forEach(expense => {
+        const id = this.staffIdFor(expense);
+        if (staffId && id !== String(staffId)) return;
+        const key = id || `name:${this.normalize(expense['Staff'])}`;
+        const member = this.find(id);
+        const row = rows[key] = rows[key] || {
+          staffId: id, name: member ? member['Name'] : `${expense['Staff'] || 'Unnamed'} (not in register)`, role: member ? member['Role'] : '',
+          salary: 0, allowance: 0, total: 0, lastPaid: '', expenses: []
+        };
+        const amount = LedgerOps.num(expense['Total Expenses (NGN)']);
+        row[expense['Category'] === 'Salary' ? 'salary' : 'allowance'] += amount;
+        row.total += amount;
+        const date = MetricsEngine.dateKey(expense['Date']);
+        if (date > row.lastPaid) row.lastPaid = date;
+        row.expenses.push(expense);
+      });
+    return Object.values(rows)
+      .map(row => ({ ...row, expenses: row.expenses.sort((a, b) => String(b['Date']).localeCompare(String(a['Date']))) }))
+      .sort((a, b) => b.total - a.total);
+  },
 
-    const formData = new FormData(form);
-    const deleteData = {
-      credentials: Store.state.credentials
-    };
+  init() {
+    const form = document.getElementById('payrollForm');
+    if (form) {
+      form.querySelector('#payrollMonth').value = DOM.today.slice(0, 7);
+      form.querySelector('#payrollDate').value = DOM.today;
+      FormHandler.setupFieldValidation('#payrollMonth', { required: true });
+      FormHandler.setupFieldValidation('#payrollDate', { required: true, date: true });
+      FormHandler.setupFieldValidation('#payrollVendor', { required: true });
+      form.querySelector('#payrollMonth').addEventListener('change', () => this.renderLines());
+      form.addEventListener('input', (e) => {
+        if (e.target.classList.contains('payroll-amount')) this.renderLinesSummary();
+      });
+      form.addEventListener('change', (e) => {
+        if (e.target.classList.contains('payroll-include')) this.renderLinesSummary();
+      });
+      form.addEventListener('submit', this.handleSubmit.bind(this));
+    }
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: `/api/deleteRecord/${formData.get('deleteSaleId')}`,
-        method: 'DELETE',
-        data: deleteData,
-        formId: 'deleteForm',
-        successCallback: () => {
-          form.reset();
-          document.getElementById('deleteCustomerName').textContent = '';
-        }
+    const historyForm = document.getElementById('staffHistoryForm');
+    if (historyForm) {
+      historyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.renderHistory();
       });
+      document.getElementById('staffHistoryExportCSV')?.addEventListener('click', () => this.exportCSV());
+    }
+    this.render();
+  },
 
-      if (result.success) {
-        Utils.showToast('Record deleted successfully');
-        await Promise.all([
-          DataManager.initSalesTable(),
-          DataManager.initDashboard()
-        ]);
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      // Handled by submitForm
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
+  render() {
+    this.renderLines();
+    this.renderHistory();
+    const select = document.getElementById('staffHistoryStaff');
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = '<option value="">All staff</option>' + this.staff
+        .map(member => `<option value="${Utils.sanitizeInput(String(member['ID']))}">${Utils.sanitizeInput(member['Name'])}</option>`).join('');
+      select.value = selected;
     }
   },
 
-  async handleCustomerSalesSubmit(e) {
+  /**
+   * Fills the payroll run's vendor picker, preferring a vendor set up for payroll
+   * @param {Array<Object>} vendors - Vendor records
+   */
+  renderVendorOptions(vendors) {
+    const select = document.getElementById('payrollVendor');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = '<option value="">Select Vendor</option>' + vendors
+      .map(vendor => `<option value="${Utils.sanitizeInput(String(vendor['ID']))}">${Utils.sanitizeInput(vendor['Name'])}</option>`).join('');
+    const payrollVendor = vendors.find(vendor => /payroll|staff|salar/i.test(`${vendor['Service Category']} ${vendor['Name']}`));
+    select.value = selected || (payrollVendor ? String(payrollVendor['ID']) : '');
+  },
+
+  // One line per active staff member; people already paid for the month start unticked
+  renderLines() {
+    const table = document.getElementById('payrollTable');
+    if (!table) return;
+    const month = document.getElementById('payrollMonth').value;
+    const paid = this.paidForMonth(month);
+    const active = this.staff.filter(member => this.isActive(member));
+
+    table.querySelector('tbody').innerHTML = active.length ? active.map(member => {
+      const id = Utils.sanitizeInput(String(member['ID']));
+      const already = paid[String(member['ID'])];
+      return `
+        <tr>
+          <td><input type="checkbox" class="form-check-input payroll-include" data-staff-id="${id}" ${already ? '' : 'checked'} aria-label="Pay ${Utils.sanitizeInput(member['Name'])}"></td>
+          <td>${Utils.sanitizeInput(member['Name'])}</td>
+          <td>${Utils.sanitizeInput(member['Role'] || '')}</td>
+          <td>
+            <input type="number" class="form-control form-control-sm payroll-amount" data-staff-id="${id}" min="0" step="0.01"
+              value="${LedgerOps.num(member['Monthly Salary (NGN)']) || ''}" aria-label="Salary for ${Utils.sanitizeInput(member['Name'])}">
+          </td>
+          <td>${already ? `<span class="text-warning">${Utils.formatCurrency(already)} already entered</span>` : ''}</td>
+        </tr>`;
+    }).join('') : '<tr><td colspan="5" class="text-center">Add staff to the register first</td></tr>';
+    this.renderLinesSummary();
+  },
+
+  /**
+   * @return {Array<Object>} Ticked lines: { staffId, amount }
+   */
+  readLines() {
+    return Array.from(document.querySelectorAll('#payrollTable .payroll-include:checked')).map(box => ({
+      staffId: box.dataset.staffId,
+      amount: parseFloat(document.querySelector(`#payrollTable .payroll-amount[data-staff-id="${CSS.escape(box.dataset.staffId)}"]`)?.value) || 0
+    }));
+  },
+
+  renderLinesSummary() {
+    const summary = document.getElementById('payrollSummary');
+    if (!summary) return;
+    const lines = this.readLines();
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    summary.textContent = `${lines.length} staff · ${Utils.formatCurrency(total)}`;
+  },
+
+  async handleSubmit(e) {
     e.preventDefault();
     const form = e.target;
     const submitButton = form.querySelector('button[type="submit"]');
@@ -1697,55 +7362,299 @@ const FormHandler = {
       }
     });
 
+    const lines = this.readLines();
+    if (isValid && (!lines.length || lines.some(line => line.amount <= 0))) {
+      Utils.showToast(lines.length ? 'Every ticked salary needs an amount' : 'Tick at least one staff member', 'warning');
+      isValid = false;
+    }
     if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
+      if (lines.length) Utils.showToast('Please fix form errors', 'warning');
       submitButton.disabled = false;
       return;
     }
 
-    const formData = new FormData(form);
-    const salesData = {
-      startDate: formData.get('historyStartDate'),
-      endDate: formData.get('historyEndDate')
+    const month = form.querySelector('#payrollMonth').value;
+    const paid = this.paidForMonth(month);
+    const repeats = lines.filter(line => paid[line.staffId]).map(line => this.find(line.staffId)['Name']);
+    if (repeats.length && !confirm(`Salary for ${month} is already entered for ${repeats.join(', ')}. Enter it again?`)) {
+      submitButton.disabled = false;
+      return;
+    }
+
+    const date = form.querySelector('#payrollDate').value;
+    const markPaid = form.querySelector('#payrollPaid').checked;
+    const paymentMethod = form.querySelector('#payrollMethod').value;
+    const monthLabel = moment(`${month}-01`).format('MMMM YYYY');
+    const keyFor = staffId => {
+      const runKey = `${month}:${staffId}`;
+      this.runKeys[runKey] = this.runKeys[runKey] || Outbox.generateKey();
+      return this.runKeys[runKey];
     };
 
-    try {
-      DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.submitForm({
-        url: `/api/getCustomerSales/${formData.get('historyCustomer')}`,
+    DOM.loadingIndicator.style.display = 'block';
+    // One Salary expense per person, in order, so a failure leaves earlier ones entered
+    const { recorded, failed, skipped } = await DataManager.submitEach(lines, ({ staffId, amount }) => {
+      const member = this.find(staffId);
+      return {
+        url: '/api/addExpense',
         method: 'POST',
-        data: salesData,
-        formId: 'customerSalesForm'
-      });
-
-      if (result.success) {
-        DataManager.renderTable('customerSalesTable', result.data, [
-          { key: 'ID', label: 'ID' },
-          { key: 'Customer Name', label: 'Customer' },
-          { key: 'Date', label: 'Date' },
-          { key: 'Quantity', label: 'Quantity' },
-          { key: 'Total Amount (NGN)', label: 'Total', format: Utils.formatCurrency },
-          { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
-          { key: 'Payment Method', label: 'Method' },
-          { key: 'Payment Status', label: 'Status' },
-          { key: 'Balance (NGN)', label: 'Balance', format: Utils.formatCurrency },
-          { key: 'Due Date', label: 'Due Date' },
-          { key: 'Notes', label: 'Notes' }
-        ]);
-        Utils.showMessage('customerSalesTableMessage', 'Customer sales loaded successfully');
+        data: {
+          vendorId: form.querySelector('#payrollVendor').value,
+          category: 'Salary',
+          staff: member['Name'],
+          staffId: member['ID'],
+          payrollMonth: month,
+          date,
+          quantity: 1,
+          totalAmount: amount,
+          amountPaid: markPaid ? amount : 0,
+          paymentMethod,
+          notes: `Salary for ${monthLabel}`
+        },
+        formId: 'payrollForm',
+        idempotencyKey: keyFor(staffId)
+      };
+    });
+    try {
+      const names = list => list.map(line => this.find(line.staffId)['Name']).join(', ');
+      if (failed) {
+        // The refused line's key has its refusal stored against it, so it gets a fresh one
+        delete this.runKeys[`${month}:${failed.item.staffId}`];
+        Utils.showToast(`${recorded.length ? `Entered for ${names(recorded)}. ` : ''}Not entered for ${names([failed.item, ...skipped])} (${failed.message}).`, 'error');
       } else {
-        Utils.showMessage('customerSalesTableMessage', result.message, 'warning');
+        // A complete run is done with its keys; running the month again is a deliberate repeat
+        this.runKeys = {};
+        Utils.showToast(`${monthLabel} salaries entered for ${recorded.length} staff`);
+      }
+      if (recorded.length) {
+        await Promise.all([
+          DataManager.initExpensesTable(),
+          DataManager.initVendorsTable(),
+          DataManager.loadExpensePayments(),
+          DataManager.initDashboard()
+        ]);
+        this.render();
+        CashUp.render();
       }
-    } catch (err) {
-      Utils.showMessage('customerSalesTable', 'Error loading customer sales', 'error');
-      Utils.logError(`Failed to load customer sales: ${err.message || err}`, 'error');
     } finally {
       DOM.loadingIndicator.style.display = 'none';
       submitButton.disabled = false;
     }
   },
 
-  async handleVendorExpensesSubmit(e) {
+  get historyRange() {
+    return {
+      startDate: document.getElementById('staffHistoryStartDate')?.value || '',
+      endDate: document.getElementById('staffHistoryEndDate')?.value || ''
+    };
+  },
+
+  renderHistory() {
+    if (!document.getElementById('staffPaySummaryTable')) return;
+    const staffId = document.getElementById('staffHistoryStaff')?.value || '';
+    const rows = this.compute(this.historyRange, staffId);
+    this.history = rows;
+
+    DataManager.renderTable('staffPaySummaryTable', rows, [
+      { key: 'name', label: 'Staff' },
+      { key: 'role', label: 'Role' },
+      { key: 'salary', label: 'Salary', render: row => Utils.formatCurrency(row.salary) },
+      { key: 'allowance', label: 'Allowances', render: row => Utils.formatCurrency(row.allowance) },
+      { key: 'total', label: 'Total', render: row => Utils.formatCurrency(row.total) },
+      { key: 'lastPaid', label: 'Last Paid' }
+    ]);
+    DataManager.renderTable('staffHistoryTable', rows.flatMap(row => row.expenses.map(expense => ({ ...expense, staffName: row.name }))), [
+      { key: 'Date', label: 'Date' },
+      { key: 'staffName', label: 'Staff' },
+      { key: 'Category', label: 'Category' },
+      { key: 'Payroll Month', label: 'For Month' },
+      // renderTable passes an empty string for 0; an unpaid salary should still read as 0
+      { key: 'Total Expenses (NGN)', label: 'Amount', format: value => Utils.formatCurrency(value || 0) },
+      { key: 'Amount Paid (NGN)', label: 'Paid', format: value => Utils.formatCurrency(value || 0) },
+      { key: 'Notes', label: 'Notes' }
+    ]);
+  },
+
+  exportCSV() {
+    const headers = ['Staff', 'Role', 'Date', 'Category', 'For Month', 'Amount (NGN)', 'Paid (NGN)', 'Notes'];
+    const lines = [];
+    this.history.forEach(row => {
+      row.expenses.forEach(expense => {
+        lines.push([row.name, row.role, expense['Date'], expense['Category'], expense['Payroll Month'] || '', expense['Total Expenses (NGN)'], expense['Amount Paid (NGN)'], expense['Notes'] || '']);
+      });
+      lines.push([`${row.name} total`, '', '', '', '', row.total, '', '']);
+    });
+    const { startDate, endDate } = this.historyRange;
+    Utils.downloadFile(Utils.toCSV(headers, lines), `staff_payments_${startDate || 'start'}_to_${endDate || DOM.today}.csv`);
+  }
+};
+
+// Recurring expense templates. Each due date of an active template shows in
+// expensesTable as a draft until it is confirmed (entered through addExpense with the
+// template's ID and due date) or skipped.
+const RecurringExpenses = {
+  FREQUENCIES: {
+    weekly: { label: 'Weekly', count: 1, unit: 'weeks' },
+    monthly: { label: 'Monthly', count: 1, unit: 'months' },
+    quarterly: { label: 'Quarterly', count: 3, unit: 'months' }
+  },
+  // Guards against a start date years back filling the table with drafts
+  MAX_DRAFTS_PER_TEMPLATE: 12,
+
+  get templates() {
+    return Store.state.cachedData.recurringExpenses || [];
+  },
+
+  find(id) {
+    return this.templates.find(template => String(template['ID']) === String(id));
+  },
+
+  isActive(template) {
+    return template['Active'] !== false && template['Active'] !== 'FALSE';
+  },
+
+  frequencyLabel(frequency) {
+    return this.FREQUENCIES[frequency]?.label || frequency || '';
+  },
+
+  /**
+   * Due dates of a template up to a date. Each one is counted from the start date,
+   * so a monthly template starting on the 31st stays on the last day of short months.
+   * @param {Object} template - Recurring expense record
+   * @param {string} until - YYYY-MM-DD, inclusive
+   * @return {Array<string>} Due dates, oldest first
+   */
+  dueDates(template, until) {
+    const step = this.FREQUENCIES[template['Frequency']];
+    const start = template['Start Date'] && MetricsEngine.dateKey(template['Start Date']);
+    if (!step || !start) return [];
+    const dates = [];
+    for (let n = 0; ; n++) {
+      const date = moment(start).add(n * step.count, step.unit).format('YYYY-MM-DD');
+      if (date > until) break;
+      dates.push(date);
+    }
+    return dates;
+  },
+
+  nextDue(template) {
+    const step = this.FREQUENCIES[template['Frequency']];
+    const last = this.dueDates(template, DOM.today).pop();
+    if (!step || !last) return template['Start Date'] ? MetricsEngine.dateKey(template['Start Date']) : '';
+    const done = this.entered(template).has(last) || this.skipped(template).has(last);
+    return done ? this.dueDates(template, moment(last).add(step.count, step.unit).format('YYYY-MM-DD')).pop() : last;
+  },
+
+  skipped(template) {
+    return new Set(String(template['Skipped'] || '').split(',').filter(Boolean));
+  },
+
+  // Due dates already entered as expenses
+  entered(template) {
+    return new Set(Store.state.cachedData.expenses
+      .filter(expense => String(expense['Recurring ID']) === String(template['ID']) && expense['Due For'])
+      .map(expense => MetricsEngine.dateKey(expense['Due For'])));
+  },
+
+  /**
+   * Unconfirmed due dates of active templates, shaped like expense rows
+   * @return {Array<Object>} Draft rows, oldest first, each with _draft: { recurringId, dueFor }
+   */
+  drafts() {
+    return this.templates.filter(template => this.isActive(template)).flatMap(template => {
+      const entered = this.entered(template);
+      const skipped = this.skipped(template);
+      return this.dueDates(template, DOM.today)
+        .filter(date => !entered.has(date) && !skipped.has(date))
+        .slice(-this.MAX_DRAFTS_PER_TEMPLATE)
+        .map(date => this.draftRow(template, date));
+    }).sort((a, b) => a['Date'].localeCompare(b['Date']));
+  },
+
+  draftRow(template, dueFor) {
+    const amount = LedgerOps.num(template['Amount (NGN)']);
+    const paid = template['Paid On Entry'] !== false && template['Paid On Entry'] !== 'FALSE';
+    return {
+      'ID': '', 'Vendor ID': template['Vendor ID'], 'Vendor': template['Vendor'], 'Category': template['Category'],
+      'Staff': template['Staff'], 'Staff ID': template['Staff ID'], 'Date': dueFor, 'Quantity': 1,
+      'Total Expenses (NGN)': amount, 'Amount Paid (NGN)': paid ? amount : 0, 'Balance (NGN)': paid ? 0 : amount,
+      'Due Date': '', 'Payment Method': template['Payment Method'] || 'cash', 'Notes': template['Notes'] || '', 'Status': 'Draft',
+      _draft: { recurringId: template['ID'], dueFor }
+    };
+  },
+
+  /**
+   * @param {string} recurringId - Template ID
+   * @param {string} dueFor - Due date of the draft
+   * @return {Object} addExpense body for the draft as the template describes it
+   */
+  draftBody(recurringId, dueFor) {
+    const template = this.find(recurringId);
+    if (!template) return null;
+    const row = this.draftRow(template, dueFor);
+    return {
+      vendorId: row['Vendor ID'],
+      category: row['Category'],
+      staff: row['Staff'],
+      staffId: row['Staff ID'] || '',
+      date: dueFor,
+      quantity: 1,
+      totalAmount: row['Total Expenses (NGN)'],
+      amountPaid: row['Amount Paid (NGN)'],
+      paymentMethod: row['Payment Method'],
+      dueDate: '',
+      notes: row['Notes'],
+      recurringId: template['ID'],
+      dueFor
+    };
+  },
+
+  init() {
+    const form = document.getElementById('recurringForm');
+    if (!form) return;
+    form.querySelector('#recurringStartDate').value = DOM.today;
+    FormHandler.setupFieldValidation('#recurringVendor', { required: true });
+    FormHandler.setupFieldValidation('#recurringCategory', { required: true });
+    FormHandler.setupFieldValidation('#recurringStaff', { required: true });
+    FormHandler.setupFieldValidation('#recurringAmount', { required: true, numeric: true, min: 0.01 });
+    FormHandler.setupFieldValidation('#recurringStartDate', { required: true, date: true });
+    form.addEventListener('submit', this.handleSubmit.bind(this));
+    document.getElementById('cancelRecurringEdit')?.addEventListener('click', () => this.resetForm(form));
+    document.getElementById('reviewDrafts')?.addEventListener('click', () => {
+      showSection('expenses');
+      document.getElementById('expensesTable')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  },
+
+  resetForm(form) {
+    FormHandler.exitEditMode(form);
+    form.querySelector('#recurringPaidOnEntry').checked = true;
+    form.querySelector('#recurringActive').checked = true;
+  },
+
+  edit(id) {
+    const template = this.find(id);
+    const form = document.getElementById('recurringForm');
+    if (!template || !form) {
+      Utils.showToast('Recurring expense not found', 'warning');
+      return;
+    }
+    showSection('expenses');
+    FormHandler.enterEditMode(form, template['ID'], {
+      recurringVendor: template['Vendor ID'],
+      recurringCategory: template['Category'],
+      recurringAmount: template['Amount (NGN)'],
+      recurringFrequency: template['Frequency'],
+      recurringStartDate: MetricsEngine.dateKey(template['Start Date']),
+      recurringPaymentMethod: template['Payment Method'] || 'cash',
+      recurringNotes: template['Notes']
+    }, 'Update Recurring Expense');
+    FormHandler.selectStaff(template['Staff ID'], template['Staff'], 'recurringStaff');
+    form.querySelector('#recurringPaidOnEntry').checked = template['Paid On Entry'] !== false && template['Paid On Entry'] !== 'FALSE';
+    form.querySelector('#recurringActive').checked = this.isActive(template);
+  },
+
+  async handleSubmit(e) {
     e.preventDefault();
     const form = e.target;
     const submitButton = form.querySelector('button[type="submit"]');
@@ -1757,7 +7666,6 @@ const FormHandler = {
         isValid = false;
       }
     });
-
     if (!isValid) {
       Utils.showToast('Please fix form errors', 'warning');
       submitButton.disabled = false;
@@ -1765,153 +7673,361 @@ const FormHandler = {
     }
 
     const formData = new FormData(form);
-    const vendorData = {
-      startDate: formData.get('historyVendorStartDate'),
-      endDate: formData.get('historyVendorEndDate')
+    const editId = form.dataset.editId;
+    const templateData = {
+      vendorId: formData.get('recurringVendor'),
+      category: formData.get('recurringCategory'),
+      ...Payroll.staffFields(formData.get('recurringStaff')),
+      amount: parseFloat(formData.get('recurringAmount')),
+      frequency: formData.get('recurringFrequency'),
+      startDate: formData.get('recurringStartDate'),
+      paymentMethod: formData.get('recurringPaymentMethod') || 'cash',
+      paidOnEntry: form.querySelector('#recurringPaidOnEntry').checked,
+      notes: Utils.sanitizeInput(formData.get('recurringNotes')),
+      active: form.querySelector('#recurringActive').checked
     };
 
-    if (vendorData.startDate && vendorData.endDate && new Date(vendorData.startDate) > new Date(vendorData.endDate)) {
-      Utils.showToast('Start date cannot be after end date', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
-
     try {
       DOM.loadingIndicator.style.display = 'block';
       const result = await DataManager.submitForm({
-        url: `/api/getVendorExpenses/${formData.get('historyVendor')}`,
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateRecurringExpense/${editId}` : '/api/addRecurringExpense',
         method: 'POST',
-        data: vendorData,
-        formId: 'vendorExpensesForm'
+        data: templateData,
+        formId: editId ? 'updateRecurringExpense' : 'recurringForm'
       });
 
       if (result.success) {
-        DataManager.renderTable('vendorExpensesTable', result.data, [
-          { key: 'ID', label: 'ID' },
-          { key: 'Vendor Name', label: 'Vendor' },
-          { key: 'Category', label: 'Category' },
-          { key: 'Date', label: 'Date' },
-          { key: 'Quantity', label: 'Quantity' },
-          { key: 'Total Expenses (NGN)', label: 'Total', format: Utils.formatCurrency },
-          { key: 'Amount Paid (NGN)', label: 'Paid', format: Utils.formatCurrency },
-          { key: 'Notes', 'Notes': 'Notes' },
-          { key: 'Status', label: 'Status' }
-        ]);
-        Utils.showMessage('vendorExpensesTableMessage', 'Vendor expenses loaded successfully');
+        this.resetForm(form);
+        Utils.showToast(editId ? 'Recurring expense updated' : 'Recurring expense added');
+        await this.refresh();
       } else {
-        Utils.showMessage('vendorExpensesTableMessage', result.message, 'warning');
+        Utils.showToast(result.message, 'error');
       }
     } catch (err) {
-      Utils.showMessage('vendorExpensesTableMessage', 'Error loading vendor expenses', 'danger');
-      Utils.logError(`Failed to load vendor expenses: ${err.message || err}`, 'error');
+      // Handled by submitForm
     } finally {
       DOM.loadingIndicator.style.display = 'none';
       submitButton.disabled = false;
     }
   },
 
-  async handleReportSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  async refresh() {
+    await Promise.all([DataManager.initRecurringTable(), DataManager.initExpensesTable()]);
+  },
 
-    let isValid = true;
-    form.querySelectorAll('[data-validate]').forEach(field => {
-      if (!Utils.validateField(field, JSON.parse(field.dataset.validate))) {
-        isValid = false;
-      }
+  bindDraftButtons(tbody) {
+    tbody.querySelectorAll('.confirm-draft, .adjust-draft, .skip-draft').forEach(btn => {
+      btn.closest('tr')?.classList.add('draft-row');
     });
+    tbody.querySelectorAll('.confirm-draft').forEach(btn => {
+      btn.addEventListener('click', () => this.confirmDraft(btn.dataset.id, btn.dataset.due, btn));
+    });
+    tbody.querySelectorAll('.adjust-draft').forEach(btn => {
+      btn.addEventListener('click', () => this.adjustDraft(btn.dataset.id, btn.dataset.due));
+    });
+    tbody.querySelectorAll('.skip-draft').forEach(btn => {
+      btn.addEventListener('click', () => this.skipDraft(btn.dataset.id, btn.dataset.due, btn));
+    });
+  },
 
-    if (!isValid) {
-      Utils.showToast('Please fix form errors', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
-
-    const formData = new FormData(form);
-    const reportData = {
-      startDate: formData.get('startDate'),
-      endDate: formData.get('endDate')
-    };
-
-    if (reportData.startDate && reportData.endDate && new Date(reportData.startDate) > new Date(reportData.endDate)) {
-      Utils.showToast('Start date cannot be after end date', 'warning');
-      submitButton.disabled = false;
+  // Enters the draft exactly as its template describes it
+  async confirmDraft(recurringId, dueFor, button) {
+    const body = this.draftBody(recurringId, dueFor);
+    if (!body) {
+      Utils.showToast('Recurring expense not found', 'warning');
       return;
     }
-
+    button.disabled = true;
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.fetchData('/api/generateReports', {
-        method: 'POST',
-        data: reportData,
-      });
-
+      const result = await DataManager.submitForm({ url: '/api/addExpense', method: 'POST', data: body, formId: 'recurringDraft' });
       if (result.success) {
-        DataManager.renderTable('reportTable', result.data.records, [
-          { key: 'Date', label: 'Date' },
-          { key: 'Total Sales (NGN)', label: 'Sales', format: Utils.formatCurrency },
-          { key: 'Total Expenses (NGN)', label: 'Expenses', format: Utils.formatCurrency },
-          { key: 'Net Profit', label: 'Profit', format: Utils.formatCurrency }
+        Utils.showToast(`Expense for ${dueFor} entered`);
+        await Promise.all([
+          DataManager.initExpensesTable(),
+          DataManager.initDashboard(),
+          DataManager.populateVendorDropdown(),
+          DataManager.loadExpensePayments()
         ]);
-        document.getElementById('totalProfit').textContent = Utils.formatCurrency(result.data.totalProfit);
-        Utils.showMessage('reportTableMessage', 'Report generated successfully');
+        CashUp.render();
+        Payroll.render();
       } else {
-        Utils.showMessage('reportTableMessage', result.message, 'warning');
+        Utils.showToast(result.message, 'error');
+        button.disabled = false;
       }
     } catch (err) {
-      Utils.showMessage('reportTable', 'Error generating report', 'error');
-      Utils.logError(`Failed to generate report: ${err.message || err}`, 'error');
+      // Handled by submitForm
+      button.disabled = false;
     } finally {
       DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
     }
   },
 
-  async handleExportCSV(e) {
-    e.preventDefault();
-    const form = document.getElementById('reportForm');
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
+  // Opens the draft in the expense form, to change the amount or anything else before entering it
+  adjustDraft(recurringId, dueFor) {
+    const body = this.draftBody(recurringId, dueFor);
+    const form = document.getElementById('expenseForm');
+    if (!body || !form) {
+      Utils.showToast('Recurring expense not found', 'warning');
+      return;
+    }
+    showSection('expenses');
+    FormHandler.enterEditMode(form, null, {
+      expenseVendor: body.vendorId,
+      expenseCategory: body.category,
+      expenseDate: dueFor,
+      expenseQuantity: 1,
+      expenseTotalAmount: body.totalAmount,
+      expenseAmountPaid: body.amountPaid,
+      expensePaymentMethod: body.paymentMethod,
+      expenseDueDate: '',
+      expenseNotes: body.notes
+    }, `Confirm Draft for ${dueFor}`);
+    form.dataset.draft = JSON.stringify({ recurringId: body.recurringId, dueFor });
+    FormHandler.selectStaff(body.staffId, body.staff);
+    form.querySelector('#expenseCategory').dispatchEvent(new Event('change'));
+  },
 
+  async skipDraft(recurringId, dueFor, button) {
+    if (!confirm(`Skip the ${dueFor} expense? No expense will be entered for that date.`)) return;
+    button.disabled = true;
     try {
-      DOM.loadingIndicator.style.display = 'block';
-      const formData = new FormData(form);
-      const reportData = {
-        startDate: formData.get('startDate'),
-        endDate: formData.get('endDate')
-      };
-
       const result = await DataManager.submitForm({
-        url: '/api/exportReportsAsCSV',
+        url: `/api/skipRecurringExpense/${recurringId}`,
         method: 'POST',
-        data: reportData,
-        formId: 'reportForm'
+        data: { dueFor },
+        formId: 'skipRecurringExpense'
+      });
+      if (result.success) {
+        Utils.showToast(`${dueFor} skipped`);
+        await this.refresh();
+      } else {
+        Utils.showToast(result.message, 'error');
+        button.disabled = false;
+      }
+    } catch (err) {
+      // Handled by submitForm
+      button.disabled = false;
+    }
+  },
+
+  /**
+   * Dashboard reminder for drafts waiting to be confirmed
+   * @param {Array<Object>} drafts - From drafts()
+   */
+  renderReminder(drafts = this.drafts()) {
+    const alert = document.getElementById('expenseDraftAlert');
+    if (!alert) return;
+    alert.style.display = drafts.length ? 'flex' : 'none';
+    document.getElementById('expenseDraftCount').textContent = drafts.length;
+    const total = drafts.reduce((sum, draft) => sum + draft['Total Expenses (NGN)'], 0);
+    document.getElementById('expenseDraftText').textContent = drafts.length
+      ? `recurring expense${drafts.length === 1 ? '' : 's'} due and waiting to be confirmed (${Utils.formatCurrency(total)}), oldest from ${drafts[0]['Date']}`
+      : '';
+  }
+};
+
+// Monthly budgets per expense category, against what was actually entered. A budget
+// covers every month, so a range of several months is measured against that many budgets.
+const Budgets = {
+  DEFAULT_ALERT_AT: 80,
+  rows: [],
+
+  get budgets() {
+    return Store.state.cachedData.budgets || [];
+  },
+
+  forCategory(category) {
+    return this.budgets.find(budget => budget['Category'] === category);
+  },
+
+  // The expense form's wording for a category code
+  categoryLabel(category) {
+    const option = Array.from(document.querySelectorAll('#expenseCategory option')).find(opt => opt.value === category);
+    return option ? option.textContent.trim() : category;
+  },
+
+  /**
+   * @param {string} startMonth - YYYY-MM
+   * @param {string} endMonth - YYYY-MM, inclusive
+   * @return {number} Months covered, at least 1
+   */
+  monthsIn(startMonth, endMonth) {
+    const [startYear, startM] = startMonth.split('-').map(Number);
+    const [endYear, endM] = endMonth.split('-').map(Number);
+    return Math.max((endYear - startYear) * 12 + endM - startM + 1, 1);
+  },
+
+  /**
+   * Budget against actual spend per category. Categories with spend but no budget are
+   * listed too, so nothing spent goes unseen.
+   * @param {Array<Object>} expenses - Expense records
+   * @param {string} startMonth - YYYY-MM
+   * @param {string} [endMonth] - YYYY-MM, inclusive; defaults to startMonth
+   * @return {Array<Object>} { category, label, budget, actual, variance, percentUsed, alertAt, status }, largest share used first
+   */
+  compute(expenses, startMonth, endMonth = startMonth) {
+    const months = this.monthsIn(startMonth, endMonth);
+    const actuals = {};
+    expenses.forEach(expense => {
+      const month = MetricsEngine.dateKey(expense['Date']).slice(0, 7);
+      if (month < startMonth || month > endMonth) return;
+      actuals[expense['Category']] = (actuals[expense['Category']] || 0) + LedgerOps.num(expense['Total Expenses (NGN)']);
+    });
+
+    const categories = new Set([...this.budgets.map(budget => budget['Category']), ...Object.keys(actuals)]);
+    return Array.from(categories).filter(Boolean).map(category => {
+      const entry = this.forCategory(category);
+      const budget = entry ? LedgerOps.num(entry['Monthly Budget (NGN)']) * months : 0;
+      const actual = actuals[category] || 0;
+      const alertAt = entry && entry['Alert At (%)'] !== '' && entry['Alert At (%)'] != null ? LedgerOps.num(entry['Alert At (%)']) : this.DEFAULT_ALERT_AT;
+      const percentUsed = budget > 0 ? (actual / budget) * 100 : null;
+      let status = 'No budget';
+      if (percentUsed !== null) {
+        if (percentUsed > 100) status = 'Over budget';
+        else if (percentUsed >= alertAt) status = 'Near limit';
+        else status = 'On track';
+      }
+      return { category, label: this.categoryLabel(category), budget, actual, variance: budget - actual, percentUsed, alertAt, status };
+    }).sort((a, b) => (b.percentUsed ?? -1) - (a.percentUsed ?? -1) || b.actual - a.actual);
+  },
+
+  init() {
+    const start = document.getElementById('budgetStartMonth');
+    if (start) {
+      const end = document.getElementById('budgetEndMonth');
+      start.value = end.value = DOM.today.slice(0, 7);
+      [start, end].forEach(field => field.addEventListener('change', () => this.render()));
+      document.getElementById('budgetExportCSV')?.addEventListener('click', () => this.exportCSV());
+      document.getElementById('budgetExportPDF')?.addEventListener('click', () => this.exportPDF());
+    }
+
+    const form = document.getElementById('budgetForm');
+    if (form) {
+      form.querySelector('#budgetAlertAt').value = this.DEFAULT_ALERT_AT;
+      FormHandler.setupFieldValidation('#budgetCategory', { required: true });
+      FormHandler.setupFieldValidation('#budgetAmount', { required: true, numeric: true, min: 0 });
+      FormHandler.setupFieldValidation('#budgetAlertAt', { required: true, numeric: true, min: 1 });
+      // Choosing a category that already has a budget edits that budget
+      form.querySelector('#budgetCategory').addEventListener('change', (e) => {
+        const budget = this.forCategory(e.target.value);
+        if (budget && form.dataset.editId !== String(budget['ID'])) this.edit(budget['ID']);
+      });
+      form.addEventListener('submit', this.handleSubmit.bind(this));
+      document.getElementById('cancelBudgetEdit')?.addEventListener('click', () => this.resetForm(form));
+    }
+    this.render();
+  },
+
+  get range() {
+    const startMonth = document.getElementById('budgetStartMonth')?.value || DOM.today.slice(0, 7);
+    const endMonth = document.getElementById('budgetEndMonth')?.value || startMonth;
+    return endMonth < startMonth ? { startMonth: endMonth, endMonth: startMonth } : { startMonth, endMonth };
+  },
+
+  get periodLabel() {
+    const { startMonth, endMonth } = this.range;
+    return startMonth === endMonth ? startMonth : `${startMonth} to ${endMonth}`;
+  },
+
+  render() {
+    this.renderAlerts();
+    const table = document.getElementById('budgetTable');
+    if (!table) return;
+    const { startMonth, endMonth } = this.range;
+    this.rows = this.compute(Store.state.cachedData.expenses, startMonth, endMonth);
+    const badge = {
+      'Over budget': 'bg-danger',
+      'Near limit': 'bg-warning text-dark',
+      'On track': 'bg-success',
+      'No budget': 'bg-secondary'
+    };
+
+    table.querySelector('tbody').innerHTML = this.rows.length ? this.rows.map(row => {
+      const budget = this.forCategory(row.category);
+      return `
+        <tr>
+          <td>${Utils.sanitizeInput(row.label)}</td>
+          <td class="text-end">${row.budget ? Utils.formatCurrency(row.budget) : ''}</td>
+          <td class="text-end">${Utils.formatCurrency(row.actual)}</td>
+          <td class="text-end ${row.variance < 0 ? 'text-danger' : ''}">${row.budget ? Utils.formatCurrency(row.variance) : ''}</td>
+          <td class="text-end">${row.percentUsed === null ? '' : `${row.percentUsed.toFixed(1)}%`}</td>
+          <td><span class="badge ${badge[row.status]}">${row.status}</span></td>
+          <td>${budget
+            ? `<button type="button" class="btn btn-sm btn-primary edit-budget" data-id="${Utils.sanitizeInput(String(budget['ID']))}" aria-label="Edit budget for ${Utils.sanitizeInput(row.label)}">Edit</button>`
+            : `<button type="button" class="btn btn-sm btn-outline-primary set-budget" data-category="${Utils.sanitizeInput(row.category)}" aria-label="Set budget for ${Utils.sanitizeInput(row.label)}">Set Budget</button>`}</td>
+        </tr>`;
+    }).join('') : '<tr><td colspan="7" class="text-center">No budgets or expenses for this period</td></tr>';
+
+    const totals = this.totals(this.rows);
+    table.querySelector('tfoot').innerHTML = `
+      <tr>
+        <th>Total</th>
+        <th class="text-end">${Utils.formatCurrency(totals.budget)}</th>
+        <th class="text-end">${Utils.formatCurrency(totals.actual)}</th>
+        <th class="text-end">${Utils.formatCurrency(totals.variance)}</th>
+        <th class="text-end">${totals.percentUsed === null ? '' : `${totals.percentUsed.toFixed(1)}%`}</th>
+        <th colspan="2"></th>
+      </tr>`;
+
+    table.querySelectorAll('.edit-budget').forEach(btn => {
+      btn.addEventListener('click', () => this.edit(btn.dataset.id));
+    });
+    table.querySelectorAll('.set-budget').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const form = document.getElementById('budgetForm');
+        this.resetForm(form);
+        form.querySelector('#budgetCategory').value = btn.dataset.category;
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        form.querySelector('#budgetAmount').focus();
       });
+    });
+  },
+
+  // Budgeted categories only, so unbudgeted spend does not skew the share used
+  totals(rows) {
+    const budgeted = rows.filter(row => row.budget > 0);
+    const budget = budgeted.reduce((sum, row) => sum + row.budget, 0);
+    const actual = budgeted.reduce((sum, row) => sum + row.actual, 0);
+    return { budget, actual, variance: budget - actual, percentUsed: budget > 0 ? (actual / budget) * 100 : null };
+  },
+
+  // Dashboard alert for categories past their threshold this month
+  renderAlerts() {
+    const alert = document.getElementById('budgetAlerts');
+    if (!alert) return;
+    const month = DOM.today.slice(0, 7);
+    const flagged = this.compute(Store.state.cachedData.expenses, month)
+      .filter(row => row.status === 'Over budget' || row.status === 'Near limit');
+    alert.style.display = flagged.length ? 'block' : 'none';
+    alert.className = `alert ${flagged.some(row => row.status === 'Over budget') ? 'alert-danger' : 'alert-warning'} mb-4`;
+    alert.innerHTML = flagged.length
+      ? `<strong>Budgets for ${month}:</strong> ${flagged.map(row => `${Utils.sanitizeInput(row.label)} ${row.percentUsed.toFixed(0)}% used (${Utils.formatCurrency(row.actual)} of ${Utils.formatCurrency(row.budget)}${row.status === 'Over budget' ? `, ${Utils.formatCurrency(-row.variance)} over` : ''})`).join('; ')}`
+      : '';
+  },
+
+  resetForm(form) {
+    FormHandler.exitEditMode(form);
+    form.querySelector('#budgetAlertAt').value = this.DEFAULT_ALERT_AT;
+  },
 
-      if (result.success) {
-        const blob = new Blob([result.data.csvContent], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `report_${reportData.startDate}_${reportData.endDate}.csv`;
-        a.click();
-        window.URL.revokeObjectURL(url);
-        Utils.showToast('Report exported as CSV');
-      } else {
-        Utils.showToast(result.message, 'error');
-      }
-    } catch (err) {
-      Utils.showToast('Error exporting CSV', 'error');
-      Utils.logError(`Failed to export report: ${err.message || err}`, 'error');
-    } finally {
-      DOM.loadingIndicator.style.display = 'none';
-      submitButton.disabled = false;
+  edit(id) {
+    const budget = this.budgets.find(entry => String(entry['ID']) === String(id));
+    const form = document.getElementById('budgetForm');
+    if (!budget || !form) {
+      Utils.showToast('Budget not found', 'warning');
+      return;
     }
+    FormHandler.enterEditMode(form, budget['ID'], {
+      budgetCategory: budget['Category'],
+      budgetAmount: budget['Monthly Budget (NGN)'],
+      budgetAlertAt: budget['Alert At (%)'] || this.DEFAULT_ALERT_AT,
+      budgetNotes: budget['Notes']
+    }, 'Update Budget');
   },
 
-  async handleDashboardDateSubmit(e) {
+  async handleSubmit(e) {
     e.preventDefault();
     const form = e.target;
     const submitButton = form.querySelector('button[type="submit"]');
@@ -1923,7 +8039,6 @@ const FormHandler = {
         isValid = false;
       }
     });
-
     if (!isValid) {
       Utils.showToast('Please fix form errors', 'warning');
       submitButton.disabled = false;
@@ -1931,93 +8046,528 @@ const FormHandler = {
     }
 
     const formData = new FormData(form);
-    const dashboardData = {
-      startDate: formData.get('dashboardStartDate'),
-      endDate: formData.get('dashboardEndDate')
+    const editId = form.dataset.editId;
+    const budgetData = {
+      category: formData.get('budgetCategory'),
+      monthlyBudget: parseFloat(formData.get('budgetAmount')) || 0,
+      alertAt: parseFloat(formData.get('budgetAlertAt')) || this.DEFAULT_ALERT_AT,
+      notes: Utils.sanitizeInput(formData.get('budgetNotes'))
     };
 
-    if (dashboardData.startDate && dashboardData.endDate && new Date(dashboardData.startDate) > new Date(dashboardData.endDate)) {
-      Utils.showToast('Start date cannot be after end date', 'warning');
-      submitButton.disabled = false;
-      return;
-    }
-
     try {
       DOM.loadingIndicator.style.display = 'block';
-      const result = await DataManager.fetchData('/api/generateReports', {
+      const result = await DataManager.submitForm({
+        outboxId: form.dataset.outboxId,
+        url: editId ? `/api/updateBudget/${editId}` : '/api/addBudget',
         method: 'POST',
-        data: dashboardData
+        data: budgetData,
+        formId: editId ? 'updateBudget' : 'budgetForm'
       });
 
       if (result.success) {
-        DataManager.renderDashboard(result.data);
-        Utils.showToast('Dashboard updated successfully');
+        this.resetForm(form);
+        Utils.showToast(editId ? 'Budget updated' : 'Budget added');
+        await DataManager.loadBudgets();
       } else {
-        Utils.showToast(result.message, 'warning');
+        Utils.showToast(result.message, 'error');
       }
     } catch (err) {
-      Utils.showToast('Error updating dashboard', 'error');
-      Utils.logError(`Failed to update dashboard: ${err.message || err}`, 'error');
+      // Handled by submitForm
     } finally {
       DOM.loadingIndicator.style.display = 'none';
       submitButton.disabled = false;
     }
   },
 
-  setupGlobalEventListeners() {
-    const modals = document.querySelectorAll('.modal');
-    modals.forEach(modal => {
-      modal.addEventListener('shown.bs.modal', () => {
-        const firstInput = modal.querySelector('input');
-        if (firstInput) firstInput.focus();
+  exportCSV() {
+    const headers = ['Category', 'Budget (NGN)', 'Actual (NGN)', 'Variance (NGN)', '% Used', 'Alert At (%)', 'Status'];
+    const lines = this.rows.map(row => [
+      row.label, row.budget, row.actual, row.budget ? row.variance : '', row.percentUsed === null ? '' : row.percentUsed.toFixed(1), row.alertAt, row.status
+    ]);
+    const totals = this.totals(this.rows);
+    lines.push(['Total (budgeted)', totals.budget, totals.actual, totals.variance, totals.percentUsed === null ? '' : totals.percentUsed.toFixed(1), '', '']);
+    const { startMonth, endMonth } = this.range;
+    Utils.downloadFile(Utils.toCSV(headers, lines), `budget_vs_actual_${startMonth}_to_${endMonth}.csv`);
+  },
+
+  exportPDF() {
+    const totals = this.totals(this.rows);
+    const percent = value => (value === null ? '' : `${value.toFixed(1)}%`);
+    Utils.printDocument(`Budget vs Actual ${this.periodLabel}`, `
+      <h1>Budget vs Actual</h1>
+      <div class="muted">Rock Living Water · ${this.periodLabel}</div>
+      <table>
+        <thead><tr><th>Category</th><th class="num">Budget</th><th class="num">Actual</th><th class="num">Variance</th><th class="num">% Used</th><th>Status</th></tr></thead>
+        <tbody>
+          ${this.rows.map(row => `<tr><td>${Utils.sanitizeInput(row.label)}</td><td class="num">${row.budget ? Utils.formatCurrency(row.budget) : ''}</td><td class="num">${Utils.formatCurrency(row.actual)}</td><td class="num">${row.budget ? Utils.formatCurrency(row.variance) : ''}</td><td class="num">${percent(row.percentUsed)}</td><td>${row.status}</td></tr>`).join('')}
+        </tbody>
+        <tfoot><tr><td>Total (budgeted)</td><td class="num">${Utils.formatCurrency(totals.budget)}</td><td class="num">${Utils.formatCurrency(totals.actual)}</td><td class="num">${Utils.formatCurrency(totals.variance)}</td><td class="num">${percent(totals.percentUsed)}</td><td></td></tr></tfoot>
+      </table>`);
+  }
+};
+
+// Receipts and proof-of-delivery files on expenses and sales. Photos are shrunk on the
+// phone before upload; uploads go through submitForm, so one taken offline waits in the
+// outbox (IndexedDB) with the rest and can be viewed from there until it syncs.
+const Attachments = {
+  MAX_DIMENSION: 1600,
+  JPEG_QUALITY: 0.7,
+  MAX_PDF_BYTES: 2 * 1024 * 1024,
+  // Raster photos and PDFs only: an SVG or HTML file opened from a blob URL runs its scripts
+  IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+  PDF_TYPE: 'application/pdf',
+  LABELS: { sale: 'Sale', expense: 'Expense' },
+  current: null,
+
+  get attachments() {
+    return Store.state.cachedData.attachments || [];
+  },
+
+  find(id) {
+    return this.attachments.find(row => String(row['ID']) === String(id));
+  },
+
+  forRecord(recordType, recordId) {
+    return this.attachments.filter(row => row['Record Type'] === recordType && String(row['Record ID']) === String(recordId));
+  },
+
+  /**
+   * Paperclip button for a sales or expenses row, with its attachment count
+   * @param {string} recordType - 'sale' or 'expense'
+   * @param {Object} row - The record
+   * @return {string} Button HTML, empty for rows without an ID (drafts)
+   */
+  button(recordType, row) {
+    if (!row['ID']) return '';
+    const count = this.forRecord(recordType, row['ID']).length;
+    return `<button class="btn btn-sm btn-outline-secondary open-attachments" data-type="${recordType}" data-id="${row['ID']}" aria-label="Attachments for ${recordType} ${row['ID']}"><i class="fas fa-paperclip"></i> <span class="attachment-count">${count || ''}</span></button>`;
+  },
+
+  bindButtons(tbody) {
+    tbody.querySelectorAll('.open-attachments').forEach(btn => {
+      btn.addEventListener('click', () => this.open(btn.dataset.type, btn.dataset.id));
+    });
+  },
+
+  panel(recordType) {
+    return document.getElementById(`${recordType}AttachmentsPanel`);
+  },
+
+  init() {
+    Object.keys(this.LABELS).forEach(recordType => {
+      const panel = this.panel(recordType);
+      if (!panel) return;
+      panel.querySelector('.attachments-close').addEventListener('click', () => {
+        panel.style.display = 'none';
+        this.current = null;
+      });
+      panel.querySelectorAll('.attach-input').forEach(input => {
+        input.addEventListener('change', async () => {
+          const files = Array.from(input.files);
+          input.value = '';
+          await this.upload(files);
+        });
       });
     });
+  },
+
+  open(recordType, recordId) {
+    const panel = this.panel(recordType);
+    if (!panel) return;
+    Object.keys(this.LABELS).forEach(type => {
+      if (type !== recordType && this.panel(type)) this.panel(type).style.display = 'none';
+    });
+    this.current = { recordType, recordId: String(recordId) };
+    panel.style.display = 'block';
+    this.renderPanel();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  },
+
+  // Refreshes row counts and the open panel after attachments or records change
+  render() {
+    document.querySelectorAll('.open-attachments').forEach(btn => {
+      const count = this.forRecord(btn.dataset.type, btn.dataset.id).length;
+      btn.querySelector('.attachment-count').textContent = count || '';
+    });
+    this.renderPanel();
+  },
+
+  renderPanel() {
+    if (!this.current) return;
+    const { recordType, recordId } = this.current;
+    const panel = this.panel(recordType);
+    if (!panel) return;
+    const files = this.forRecord(recordType, recordId);
+    const canDelete = DataManager.checkSession();
+    panel.querySelector('.attachments-title').textContent = `Attachments · ${this.LABELS[recordType]} ${recordId}`;
+    const list = panel.querySelector('.attachments-list');
+    list.innerHTML = files.length ? files.map(file => `
+      <li class="list-group-item d-flex align-items-center gap-2">
+        <i class="fas ${String(file['Mime Type']).startsWith('image/') ? 'fa-image' : 'fa-file-pdf'}"></i>
+        <span class="me-auto">
+          ${Utils.sanitizeInput(file['File Name'] || file['ID'])}
+          <small class="text-muted">${file['Size (KB)'] ? `${file['Size (KB)']} KB · ` : ''}${Utils.sanitizeInput(String(file['Date'] || ''))}</small>
+          ${file._pending ? '<span class="badge bg-warning text-dark">Pending</span>' : ''}
+        </span>
+        <button type="button" class="btn btn-sm btn-outline-primary view-attachment" data-id="${Utils.sanitizeInput(String(file['ID']))}">View</button>
+        ${canDelete && !file._pending ? `<button type="button" class="btn btn-sm btn-outline-danger delete-attachment" data-id="${Utils.sanitizeInput(String(file['ID']))}">Delete</button>` : ''}
+      </li>`).join('') : '<li class="list-group-item text-muted">No attachments yet</li>';
+
+    list.querySelectorAll('.view-attachment').forEach(btn => {
+      btn.addEventListener('click', () => this.view(btn.dataset.id));
+    });
+    list.querySelectorAll('.delete-attachment').forEach(btn => {
+      btn.addEventListener('click', () => this.remove(btn.dataset.id));
+    });
+  },
+
+  readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  },
+
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not read the photo'));
+      image.src = src;
+    });
+  },
+
+  /**
+   * Shrinks a photo to MAX_DIMENSION on its long side and re-encodes it as JPEG, always,
+   * so only pixels reach the server. PDFs are sent as they are, up to MAX_PDF_BYTES.
+   * @param {File} file - Picked or captured file
+   * @return {Promise<Object>} { fileName, mimeType, size, data } with data as a data URL
+   */
+  async compress(file) {
+    if (file.type === this.PDF_TYPE) {
+      if (file.size > this.MAX_PDF_BYTES) {
+        throw new Error(`${file.name} is larger than ${this.MAX_PDF_BYTES / 1024 / 1024} MB`);
+      }
+      return { fileName: file.name, mimeType: file.type, size: file.size, data: await this.readAsDataURL(file) };
+    }
+    if (!this.IMAGE_TYPES.includes(file.type)) throw new Error(`${file.name} is not a JPEG, PNG, WebP or HEIC photo or a PDF`);
+
+    const image = await this.loadImage(await this.readAsDataURL(file));
+    if (!image.naturalWidth || !image.naturalHeight) throw new Error(`Could not read the photo ${file.name}`);
+    const scale = Math.min(1, this.MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    const data = canvas.toDataURL('image/jpeg', this.JPEG_QUALITY);
+    // An empty or oversized canvas encodes as "data:," rather than failing
+    if (!data.startsWith('data:image/jpeg')) throw new Error(`Could not read the photo ${file.name}`);
+
+    return {
+      fileName: `${(file.name || 'photo').replace(/\.[^.]+$/, '')}.jpg`,
+      mimeType: 'image/jpeg',
+      size: Math.round((data.length - data.indexOf(',') - 1) * 3 / 4),
+      data
+    };
+  },
+
+  async upload(files) {
+    if (!this.current || !files.length) return;
+    const { recordType, recordId } = this.current;
+    let added = 0;
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      // One at a time, so a large batch does not hold every photo in memory at once
+      for (const file of files) {
+        let compressed;
+        try {
+          compressed = await this.compress(file);
+        } catch (err) {
+          Utils.showToast(err.message, 'warning');
+          continue;
+        }
+        const result = await DataManager.submitForm({
+          url: '/api/addAttachment',
+          method: 'POST',
+          data: { recordType, recordId, date: DOM.today, ...compressed },
+          formId: 'attachment'
+        });
+        if (result.success) added++;
+        else Utils.showToast(result.message, 'error');
+      }
+      if (added) {
+        Utils.showToast(`${added} file${added === 1 ? '' : 's'} attached`);
+        await DataManager.loadAttachments();
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
+  },
+
+  /**
+   * File contents for viewing: from the outbox while the upload is pending, otherwise from the server
+   * @param {Object} attachment - Attachment record
+   * @return {Promise<string|null>} Data URL
+   */
+  async contents(attachment) {
+    if (attachment._pending) {
+      const entry = (await Outbox.getAll()).find(row => row.tempId === attachment['ID']);
+      return entry ? entry.body.data : null;
+    }
+    const result = await DataManager.fetchData(`/api/getAttachment/${encodeURIComponent(attachment['ID'])}`);
+    return result.success ? result.data['Data'] : null;
+  },
+
+  toBlob(dataUrl) {
+    const [header, payload] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(payload) : decodeURIComponent(payload);
+    return new Blob([Uint8Array.from(binary, ch => ch.charCodeAt(0))], { type: mimeType });
+  },
+
+  async view(id) {
+    const attachment = this.find(id);
+    if (!attachment) {
+      Utils.showToast('Attachment not found', 'warning');
+      return;
+    }
+    if (attachment['URL']) {
+      window.open(attachment['URL'], '_blank', 'noopener');
+      return;
+    }
+    // Opened before the fetch, since browsers block pop-ups that do not follow a click directly
+    const viewer = window.open('', '_blank');
+    try {
+      const dataUrl = await this.contents(attachment);
+      if (!dataUrl) throw new Error('File not available');
+      const blob = this.toBlob(dataUrl);
+      if (![...this.IMAGE_TYPES, this.PDF_TYPE].includes(blob.type)) throw new Error(`Refused to open ${blob.type}`);
+      const url = URL.createObjectURL(blob);
+      if (viewer) viewer.location.href = url;
+      else window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (err) {
+      viewer?.close();
+      Utils.showToast(Store.state.uiState.offline ? 'Connect to the internet to view this file' : 'Could not open the file', 'warning');
+      Utils.logError(`Failed to open attachment ${id}: ${err.message || err}`, 'Attachments');
+    }
+  },
+
+  async remove(id) {
+    if (!confirm('Delete this attachment?')) return;
+    if (!Store.state.credentials.token) {
+      Utils.showToast('Please log in to perform this action', 'warning');
+      return;
+    }
+    try {
+      DOM.loadingIndicator.style.display = 'block';
+      const result = await DataManager.submitForm({
+        url: `/api/deleteAttachment/${id}`,
+        method: 'POST',
+        data: { credentials: Store.state.credentials },
+        formId: 'deleteAttachment'
+      });
+      if (result.success) {
+        Utils.showToast('Attachment deleted');
+        await DataManager.loadAttachments();
+      } else {
+        Utils.showToast(result.message, 'error');
+      }
+    } catch (err) {
+      // Handled by submitForm
+    } finally {
+      DOM.loadingIndicator.style.display = 'none';
+    }
   }
 };
 
-// Service Worker with enhanced offline support
-const ServiceWorkerManager = {
-  async init() {
-    if ('serviceWorker' in navigator) {
-      try {
-        const registration = await navigator.serviceWorker.register('/sw.js');
-        Utils.logInfo('ServiceWorker registered', 'ServiceWorkerManager');
+// Statement of account for one customer over a date range
+const CustomerStatement = {
+  current: null,
 
-        registration.addEventListener('updatefound', () => {
-          const newWorker = registration.installing;
-          newWorker.addEventListener('statechange', () => {
-            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-              Utils.showToast('New version available. Refresh to update.', 'info');
-            }
+  init() {
+    document.getElementById('statementPrint')?.addEventListener('click', () => this.print());
+    document.getElementById('statementDownload')?.addEventListener('click', () => this.download());
+    document.getElementById('statementShare')?.addEventListener('click', () => this.share());
+  },
+
+  /**
+   * Everything that moved the customer's balance, oldest first: sales as debits and
+   * payments from the payment history as credits
+   * @param {string} customerId - Customer ID
+   * @return {Array<Object>} { date, ref, description, debit, credit }
+   */
+  transactions(customerId) {
+    const lines = [];
+    Store.state.cachedData.sales
+      .filter(sale => String(sale['Customer ID']) === String(customerId))
+      .forEach(sale => {
+        lines.push({
+          date: MetricsEngine.dateKey(sale['Date']),
+          ref: sale['ID'],
+          description: `Sale: ${sale['Quantity'] || 0} units${sale['Due Date'] ? `, due ${MetricsEngine.dateKey(sale['Due Date'])}` : ''}`,
+          debit: parseFloat(sale['Total Amount (NGN)']) || 0,
+          credit: 0
+        });
+        const db = { payments: LedgerOps.salePayments(Store.state.cachedData, sale['ID']).map(payment => ({ ...payment })) };
+        LedgerOps.ensurePaymentHistory(db, { ...sale });
+        db.payments.forEach(payment => {
+          lines.push({
+            date: MetricsEngine.dateKey(payment['Date']),
+            ref: payment['Reference'] || sale['ID'],
+            description: `Payment (${payment['Method'] || 'unspecified'}) for ${sale['ID']}`,
+            debit: 0,
+            credit: parseFloat(payment['Amount (NGN)']) || 0
           });
         });
+      });
+    // Stable sort keeps each sale ahead of its payment
+    return lines.sort((a, b) => a.date.localeCompare(b.date));
+  },
 
-        navigator.serviceWorker.addEventListener('message', event => {
-          if (event.data && event.data.type === 'offline-status-changed') {
-            Store.setOfflineStatus(event.data.status);
-            Utils.showToast(
-              event.data.status ? 'You are now offline' : 'Back online',
-              event.data.status ? 'warning' : 'success'
-            );
-            if (!event.data.status) {
-              this.syncPendingForms();
-            }
-          }
-        });
-      } catch (err) {
-        Utils.logError(`ServiceWorker registration failed: ${err.message || err}`, 'ServiceWorkerManager');
+  /**
+   * @param {string} customerId - Customer ID
+   * @param {Object} range - { startDate, endDate }, open-ended if blank
+   * @return {Object|null} { customer, startDate, endDate, openingBalance, lines, totalDebit, totalCredit, closingBalance }
+   */
+  build(customerId, { startDate, endDate }) {
+    const customer = Store.state.cachedData.customers.find(c => String(c['ID']) === String(customerId));
+    if (!customer) return null;
+
+    let balance = 0;
+    const lines = [];
+    this.transactions(customerId).forEach(line => {
+      if (startDate && line.date < startDate) {
+        balance += line.debit - line.credit;
+      } else if (!endDate || line.date <= endDate) {
+        lines.push({ ...line, balance: balance + line.debit - line.credit });
+        balance = lines[lines.length - 1].balance;
       }
-    }
+    });
+    const totalDebit = lines.reduce((total, line) => total + line.debit, 0);
+    const totalCredit = lines.reduce((total, line) => total + line.credit, 0);
+    const openingBalance = balance - totalDebit + totalCredit;
+
+    return {
+      customer,
+      startDate: startDate || (lines[0] ? lines[0].date : DOM.today),
+      endDate: endDate || DOM.today,
+      openingBalance,
+      lines,
+      totalDebit,
+      totalCredit,
+      closingBalance: balance
+    };
   },
 
-  async checkPendingForms() {
-    if (!Store.state.uiState.offline) {
-      await this.syncPendingForms();
+  // Containers are not money, so they sit under the statement rather than in it
+  containersLine(customer) {
+    const held = LedgerOps.num(customer['Containers Out']) - LedgerOps.num(customer['Containers Returned']);
+    const deposits = LedgerOps.num(customer['Deposits Held (NGN)']);
+    if (!held && !deposits) return '';
+    return `<p>Containers held: <strong>${held}</strong> · Deposits held: <strong>${Utils.formatCurrency(deposits)}</strong></p>`;
+  },
+
+  get title() {
+    const { customer, endDate } = this.current;
+    return `Statement ${customer['Name']} ${endDate}`;
+  },
+
+  /**
+   * @param {Object} statement - From build()
+   * @param {string} [tableClass] - Class for the table, for the in-app view
+   * @return {string} Escaped statement markup
+   */
+  toHTML(statement, tableClass = '') {
+    const text = value => Utils.sanitizeInput(String(value ?? ''));
+    const money = value => (value ? Utils.formatCurrency(value) : '');
+    const { customer } = statement;
+    return `
+      <h1>Statement of Account</h1>
+      <div class="muted">Rock Living Water</div>
+      <p>
+        <strong>${text(customer['Name'])}</strong> (${text(customer['ID'])})<br>
+        ${[customer['Phone'], customer['Town']].filter(Boolean).map(text).join(' · ')}<br>
+        Period: ${statement.startDate} to ${statement.endDate}
+      </p>
+      <table class="${tableClass}">
+        <thead>
+          <tr><th>Date</th><th>Reference</th><th>Description</th><th class="num text-end">Debit</th><th class="num text-end">Credit</th><th class="num text-end">Balance</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>${statement.startDate}</td><td></td><td>Opening balance</td><td></td><td></td><td class="num text-end">${Utils.formatCurrency(statement.openingBalance)}</td></tr>
+          ${statement.lines.map(line => `
+          <tr>
+            <td>${line.date}</td><td>${text(line.ref)}</td><td>${text(line.description)}</td>
+            <td class="num text-end">${money(line.debit)}</td><td class="num text-end">${money(line.credit)}</td>
+            <td class="num text-end">${Utils.formatCurrency(line.balance)}</td>
+          </tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colspan="3">Closing balance</td>
+            <td class="num text-end">${Utils.formatCurrency(statement.totalDebit)}</td>
+            <td class="num text-end">${Utils.formatCurrency(statement.totalCredit)}</td>
+            <td class="num text-end">${Utils.formatCurrency(statement.closingBalance)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      ${this.containersLine(customer)}
+      <p class="muted">Generated ${moment().tz('Africa/Lagos').format('YYYY-MM-DD HH:mm')}</p>`;
+  },
+
+  show(customerId, range) {
+    const container = document.getElementById('customerStatement');
+    if (!container) return;
+    this.current = this.build(customerId, range);
+    if (!this.current) {
+      container.style.display = 'none';
+      return;
     }
+    document.getElementById('customerStatementBody').innerHTML = this.toHTML(this.current, 'table table-sm');
+    container.style.display = 'block';
+  },
+
+  print() {
+    if (!this.current) return;
+    Utils.printDocument(this.title, this.toHTML(this.current));
+  },
+
+  download() {
+    if (!this.current) return;
+    Utils.downloadFile(Utils.htmlDocument(this.title, this.toHTML(this.current)), `${this.title.replace(/\s+/g, '_')}.html`, 'text/html');
   },
 
-  async syncPendingForms() {
-    await OfflineManager.syncPendingForms();
+  /**
+   * Shares the statement as an HTML file where the device supports file sharing,
+   * and as a text summary otherwise
+   */
+  async share() {
+    if (!this.current) return;
+    if (!navigator.share) {
+      Utils.showToast('Sharing is not supported on this device. Download it instead.', 'info');
+      return;
+    }
+    const { customer, startDate, endDate, closingBalance } = this.current;
+    const summary = `Rock Living Water statement for ${customer['Name']}, ${startDate} to ${endDate}. Balance due: ${Utils.formatCurrency(closingBalance)}`;
+    const file = new File([Utils.htmlDocument(this.title, this.toHTML(this.current))], `${this.title.replace(/\s+/g, '_')}.html`, { type: 'text/html' });
+
+    try {
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ title: this.title, text: summary, files: [file] });
+      } else {
+        await navigator.share({ title: this.title, text: summary });
+      }
+    } catch (err) {
+      // Closing the share sheet is not an error
+      if (err.name !== 'AbortError') {
+        Utils.logError(`Failed to share statement: ${err.message || err}`, 'CustomerStatement');
+      }
+    }
   }
 };
 
@@ -2111,166 +8661,6 @@ document.addEventListener('click', function (event) {
     }
 });
 
-class DataManager {
-  static baseUrl = 'https://script.google.com/macros/s/YOURSPREADSHEET/executable'; // Replace with your Google Apps Script web app URL
-
-  static async getCSRFToken() {
-    try {
-      const response = await fetch(`${this.baseUrl}?${path}=${encodeURIComponent('getCSRFToken')}`);
-      const data = await response.json();
-      if (data.success) {
-        localStorage.setItem('csrf_token', data.token);
-        return data.token;
-      }
-      throw new Error('Failed to get CSRF token');
-    } catch (err) {
-      Utils.logError(`Error fetching CSRF token: ${err.message}`, 'DataManager');
-      return null;
-    } catch (error) {
-      Utils.logError('Failed to get CSRF token', error.message);
-      return '';
-    }
-  }
-
-  static async login(email, password) {
-    try {
-      const csrfToken = await this.getCSRFToken();
-      const response = await fetch(`${this.baseUrl}?path=${encodeURIComponent('mylogin')}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-TOKEN': csrfToken
-        },
-        body: JSON.stringify({ email, password, csrfToken })
-      });
-      const data = await response.json();
-      if (data.success) {
-        // Store session data
-        localStorage.setItem('sessionToken', JSON.stringify({
-          tokenId: data.token,
-          email,
-          expiry: data.expiryDate
-        }));
-        Utils.showToast('Login successful', 'success');
-        return data;
-      }
-      throw new Error('data.message' || 'Login failed');
-    } catch (err) {
-      Utils.logError(`Login error: ${err.message}`, 'DataManager.login');
-      Utils.showToast(`Login error: ${err.message}`);
-      throw err;
-    }
-  }
-
-  static async checkSession() {
-    const session = localStorage.getItem('sessionToken');
-    if (!session) return false;
-    const { tokenId, email, expiry } = JSON.parse(session);
-    if (new Date(expiry) < new Date()) {
-      localStorage.removeItem('sessionToken');
-      Utils.showToast('Session expired. Please log in.');
-      window.location.href = 'index.html';
-      return false;
-    }
-    return { tokenId, email };
-  }
-
-  static async submitForm(formData, endpoint) {
-    try {
-      const session = await this.checkSession();
-      if (!session.valid) throw new Error('Invalid session');
-      const csrfToken = localStorage.getItem('csrfToken') || await this.getCSRFToken();
-      const response = await fetch(`${this.baseUrl}?${path}=${encodeURIComponent(endpoint.replace('/api/', ''))}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': csrfToken,
-          'Authorization': `Bearer ${session.token}`,
-        },
-        body: JSON.stringify({ ...formData, ...session, csrfToken })
-      });
-      const data = await response.json();
-      if (!data.success()) {
-        throw new Error('data.message' || 'Form submission failed');
-      }
-      return data;
-    } catch (err) {
-      Utils.logError(`Error submitting form to ${endpoint}: ${err.message}`, 'DataManager');
-      if (!navigator.onLine) {
-        await OfflineManager.queueForm({
-          url: `${this.baseUrl}?${encodeURIComponent(path)}`,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-Token': localStorage.getItem('csrfToken') || '',
-            'Authorization': `Bearer ${session?.token || ''}`,
-          },
-          body: formData,
-          formId: `form-${Date.now()}`,
-          csrfToken: localStorage.getItem('csrfToken') || '',
-          sessionTokenId: session?.tokenId || ''
-        });
-        Utils.showToast('Form queued for sync', 'success');
-      } else {
-        throw err;
-      }
-    }
-  }
-
-  static async fetchData(endpoint) {
-    try {
-      const session = await this.checkSession();
-      const csrfToken = localStorage.getItem('csrfToken') || '' || await this.getCSRFToken();
-      const response = await fetch(`${this.baseUrl}?${encodeURIComponent(path)}`, {
-        headers: {
-          'X-CSRF-Token': csrfToken,
-          'Authorization': `Bearer ${session?.tokenId || ''}`,
-        }
-      });
-      const data = await response.json();
-      if (!data.success) {
-        throw new Error('data.message' || `Failed to fetch ${endpoint}`);
-      }
-      return data.data;
-    } catch (err) {
-      if (!navigator.onLine && ['getdbsalesrecords', 'newreports', 'getdbcustomers', 'getdbvendors', 'getdbexpensesrecords'].includes(endpoint.replace('/api/', ''))) {
-        return Store.getCachedData(endpoint);
-      }
-      Utils.logError(`Fetch error for ${endpoint}: ${err.message}`, 'DataManager');
-      throw err;
-    }
-  }
-
-  static async logout() {
-    try {
-      const session = await this.checkSession();
-      if (!session) return;
-      const csrfToken = localStorage.getItem('csrfToken') || await this.getCSRFToken();
-      const response = await fetch(`${this.baseUrl}?path=${encodeURIComponent('logout')}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': csrfToken,
-          'Authorization': `Bearer ${session.token}`
-        },
-        body: JSON.stringify({ email: session.email, sessionToken: session.token, csrfToken })
-      });
-      const data = await response.json();
-      if (data.success) {
-        localStorage.removeItem('sessionToken');
-        localStorage.removeItem('csrfToken');
-        Utils.showToast('Logged out successfully', 'success');
-        window.location.href = 'index.html';
-      } else {
-        throw new Error(data.message || 'Logout failed');
-      }
-    } catch (err) {
-      Utils.logError(`Logout error: ${err.message}`, 'DataManager');
-      Utils.showToast(`Error logging out: ${err.message}`);
-    }
-  }
-}
-
 // Main initialization
 document.addEventListener('DOMContentLoaded', async () => {
   // Initialize all components
@@ -2284,7 +8674,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.addEventListener('online', () => {
     Store.setOfflineStatus(false);
     Utils.showToast('Back online. Syncing data...', 'success');
-    ServiceWorkerManager.syncPendingForms();
+    // Connectivity is back, so network backoffs no longer apply
+    ServiceWorkerManager.syncPendingForms({ force: true });
   });
 
   window.addEventListener('offline', () => {
@@ -2293,7 +8684,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   // Initialize the rest of the app
+  await Ledger.init();
   DataManager.init();
   FormHandler.init();
+  OutboxView.init();
+  ServiceWorkerManager.checkPendingForms();
+  GlobalSearch.init();
+  AgingReport.init();
+  PayablesReport.init();
+  CustomerStatement.init();
+  ContainerReport.init();
+  CashUp.init();
+  Payroll.init();
+  RecurringExpenses.init();
+  Budgets.init();
+  Attachments.init();
   AccessibilityHelper.init(); // Would contain accessibility enhancements
 });
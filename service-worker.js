@@ -3,7 +3,7 @@
  * @description Handles caching, offline support, and form syncing
  */
 
-const CACHE_NAME = 'rock-living-water-v5'; // Incremented version
+const CACHE_NAME = 'rock-living-water-v7'; // Incremented version
 const API_CACHE_NAME = 'rock-api-cache-v2';
 const FONT_CACHE_NAME = 'rock-fonts-v2';
 
@@ -21,6 +21,7 @@ const urlsToCache = [
   '/index.html',
   '/styles/main.css',
   '/scripts/app.js',
+  '/scripts/outbox.js',
   '/scripts/localforage.min.js',
   '/scripts/moment.min.js',
   '/scripts/chart.min.js',
@@ -34,125 +35,8 @@ const fontFilesToCache = [
   '/fonts/OpenSans-Medium.woff2'
 ];
 
-// IndexedDBHelper implementation (unchanged from previous)
-const IndexedDBHelper = {
-  DB_NAME: 'RockLivingWaterDB',
-  DB_VERSION: 1,
-  STORE_NAME: 'formQueue',
-
-  openDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-          db.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
-        }
-      };
-
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(new Error(`Failed to open database: ${request.error}`));
-    });
-  },
-
-  async addToQueue(formData) {
-    try {
-      const db = await this.openDB();
-      const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(this.STORE_NAME);
-
-      const submission = {
-        url: formData.url,
-        method: formData.method || 'POST',
-        headers: formData.headers || { 'Content-Type': 'application/json' },
-        body: formData.body || {},
-        formId: formData.formId,
-        timestamp: formData.timestamp || new Date().toISOString(),
-        attempts: formData.attempts || 0,
-        csrfToken: formData.csrfToken || ''
-      };
-
-      const request = store.add(submission);
-
-      return new Promise((resolve, reject) => {
-        request.onsuccess = () => {
-          console.log(`[IndexedDBHelper] Queued form ${formData.formId}`);
-          resolve();
-        };
-        request.onerror = () => reject(new Error(`Failed to queue form: ${request.error}`));
-      });
-    } catch (err) {
-      console.error('[IndexedDBHelper] Error in addToQueue:', err);
-      throw err;
-    }
-  },
-
-  async getQueue() {
-    try {
-      const db = await this.openDB();
-      const transaction = db.transaction([this.STORE_NAME], 'readonly');
-      const store = transaction.objectStore(this.STORE_NAME);
-      const request = store.getAll();
-
-      return new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(new Error(`Failed to get queue: ${request.error}`));
-      });
-    } catch (err) {
-      console.error('[IndexedDBHelper] Error in getQueue:', err);
-      throw err;
-    }
-  },
-
-  async removeFromQueue(submissions) {
-    try {
-      if (!submissions.length) return;
-
-      const db = await this.openDB();
-      const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(this.STORE_NAME);
-
-      const promises = submissions.map(submission => {
-        return new Promise((resolve, reject) => {
-          const request = store.delete(submission.id);
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(new Error(`Failed to delete submission ${submission.id}: ${request.error}`));
-        });
-      });
-
-      await Promise.all(promises);
-      console.log(`[IndexedDBHelper] Removed ${submissions.length} submissions`);
-    } catch (err) {
-      console.error('[IndexedDBHelper] Error in removeFromQueue:', err);
-      throw err;
-    }
-  },
-
-  async updateQueue(submissions) {
-    try {
-      if (!submissions.length) return;
-
-      const db = await this.openDB();
-      const transaction = db.transaction([this.STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(this.STORE_NAME);
-
-      const promises = submissions.map(submission => {
-        return new Promise((resolve, reject) => {
-          const request = store.put(submission);
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(new Error(`Failed to update submission ${submission.id}: ${request.error}`));
-        });
-      });
-
-      await Promise.all(promises);
-      console.log(`[IndexedDBHelper] Updated ${submissions.length} submissions`);
-    } catch (err) {
-      console.error('[IndexedDBHelper] Error in updateQueue:', err);
-      throw err;
-    }
-  }
-};
+// Shared with the page so both read and write the same outbox
+importScripts('/scripts/outbox.js');
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -206,6 +90,9 @@ self.addEventListener('fetch', (event) => {
     } else {
       event.respondWith(
         fetch(event.request).catch(() => {
+          // A write that got no answer fails as a network error, so the page queues it in
+          // the outbox rather than mistaking it for a reply from the server
+          if (event.request.method !== 'GET') return Response.error();
           return new Response(
             JSON.stringify({ success: false, message: 'Offline, please try again later' }),
             { status: 503, headers: { 'Content-Type': 'application/json' } }
@@ -224,74 +111,57 @@ self.addEventListener('fetch', (event) => {
 });
 
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-form-submissions') {
+  if (event.tag === Outbox.SYNC_TAG) {
     event.waitUntil(syncForms());
   }
 });
 
-self.addEventListener('message', (event) => {
-  if (event.data.type === 'queue-form') {
-    event.waitUntil(
-      IndexedDBHelper.addToQueue({
-        ...event.data.formData,
-        csrfToken: event.data.formData.csrfToken || ''
-      })
-        .then(() => {
-          event.ports[0].postMessage({ success: true });
-        })
-        .catch(err => {
-          console.error('Failed to queue form:', err);
-          event.ports[0].postMessage({ success: false, error: err.message });
-        })
-    );
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === Outbox.SYNC_TAG) {
+    event.waitUntil(syncForms().catch(err => console.error('Periodic sync failed:', err)));
   }
 });
 
-async function syncForms() {
-  const queue = await IndexedDBHelper.getQueue();
-  if (!queue.length) return;
+/**
+ * Replays one outbox entry straight against the REST API. Used only when no page is
+ * open; otherwise the page drains the outbox through its configured backend adapter.
+ */
+async function replayEntry(entry) {
+  if (!entry.replayHeaders) {
+    throw new Error('Entry can only be replayed from the app');
+  }
+  const response = await fetch(entry.url, {
+    method: entry.method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': entry.idempotencyKey,
+      ...entry.replayHeaders
+    },
+    body: JSON.stringify(entry.body)
+  });
 
-  const successfulSubmissions = [];
-  const failedSubmissions = [];
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
 
-  for (const formData of queue) {
-    if (formData.attempts >= 3) {
-      failedSubmissions.push(formData);
-      continue;
-    }
-    try {
-      const response = await fetch(formData.url, {
-        method: formData.method,
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': formData.csrfToken || '',
-          ...formData.headers
-        },
-        body: JSON.stringify(formData.body)
-      });
+async function syncForms() {
+  const clients = await self.clients.matchAll({ type: 'window' });
 
-      if (response.ok) {
-        successfulSubmissions.push(formData);
-      } else {
-        formData.attempts = (formData.attempts || 0) + 1;
-        failedSubmissions.push(formData);
-      }
-    } catch (err) {
-      console.error('Failed to sync form:', err);
-      formData.attempts = (formData.attempts || 0) + 1;
-      failedSubmissions.push(formData);
-    }
+  // An open page drains with fresh credentials and the right backend adapter
+  if (clients.length) {
+    clients.forEach(client => client.postMessage({ type: 'drain-outbox' }));
+    return;
   }
 
-  await IndexedDBHelper.removeFromQueue(successfulSubmissions);
-  await IndexedDBHelper.updateQueue(failedSubmissions);
-
-  const clients = await self.clients.matchAll();
-  clients.forEach(client => {
-    client.postMessage({
-      type: 'forms-synced',
-      count: successfulSubmissions.length,
-      failed: failedSubmissions.length
-    });
-  });
-}
\ No newline at end of file
+  const report = await Outbox.drain(replayEntry);
+  if (!report) return;
+  if (report.stopped) {
+    // Rejecting lets the browser retry the sync later
+    throw new Error('Outbox drain interrupted');
+  }
+}